@@ -3,6 +3,8 @@
 
 require('dotenv').config();
 const { defineConfig, devices } = require('@playwright/test');
+const { resolvePersona } = require('./src/authentication/personas');
+const { authContextOptions } = require('./src/authentication/authContext');
 
 module.exports = defineConfig({
   testDir: 'tests',
@@ -17,7 +19,9 @@ module.exports = defineConfig({
   reporter: [['list'], ['html', { open: 'never', outputFolder: 'playwright-report' }]],
   use: {
     baseURL: process.env.BASE_URL || 'https://beta.rocket.com',
-    storageState: 'data/storage-state.json',  // inject saved auth into every test
+    // inject saved auth (plus basic-auth credentials from the basic strategy) into every test; PERSONA=<name> to run as a persona.
+    // Auth headers are routed to the app origin by the test fixture in setup/fixtures.ts
+    ...authContextOptions(resolvePersona(process.env.PERSONA).storageState),
     headless: false,         // set true to run silently
     screenshot: 'only-on-failure',
     video: 'retain-on-failure',
@@ -0,0 +1,79 @@
+/**
+ * Build the role-based access matrix (output/access-matrix.json and .html).
+ *
+ * Usage:
+ *   node scripts/access-matrix.js [options]
+ *
+ * Options:
+ *   --personas <a,b,...>   Personas to compare (default: every persona in config/personas.json)
+ *   --include-default      Also probe with the default session (data/storage-state.json)
+ *   --ensure-auth          Refresh expired persona sessions before probing
+ *   --headed               Show the browser
+ *   --fail-on-violation    Exit with code 2 when a route renders for a persona outside its allowedPersonas (CI gate)
+ */
+require('dotenv').config({ quiet: true });
+const { AccessMatrix } = require('../src/route-discovery/accessMatrix');
+const routeConfig = require('../src/route-discovery/routeConfig');
+const { loadPersonas, resolvePersona } = require('../src/authentication/personas');
+const ensureAuth = require('../src/authentication/ensureAuth');
+
+function parseArgs(argv) {
+  const args = { personas: null, includeDefault: false, ensureAuth: false, headed: false, failOnViolation: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--personas') args.personas = argv[++i].split(',').map(name => name.trim()).filter(Boolean);
+    else if (arg === '--include-default') args.includeDefault = true;
+    else if (arg === '--ensure-auth') args.ensureAuth = true;
+    else if (arg === '--headed') args.headed = true;
+    else if (arg === '--fail-on-violation') args.failOnViolation = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const personas = args.personas
+    ? args.personas.map(name => resolvePersona(name))
+    : loadPersonas();
+  if (args.includeDefault && !personas.some(p => p.name === 'default')) personas.unshift(resolvePersona());
+  if (personas.length === 0) {
+    throw new Error('No personas configured. Add them to config/personas.json or pass --include-default.');
+  }
+
+  if (args.ensureAuth) {
+    for (const persona of personas) await ensureAuth({ persona });
+  }
+
+  const matrix = new AccessMatrix({
+    personas,
+    baseUrl: process.env.BASE_URL,
+    headless: !args.headed,
+  });
+  const result = await matrix.build({ configEntries: routeConfig.load() });
+  const { jsonFile, htmlFile } = matrix.save(result);
+
+  console.log(`\n📊 Access matrix: ${result.summary.routes} route(s) × ${result.personas.length} persona(s)`);
+  console.log(`   ${jsonFile}`);
+  console.log(`   ${htmlFile}`);
+  if (result.summary.withExpectations === 0) {
+    console.log('💡 No route declares allowedPersonas in routes.config.json — add them to flag over-permissive access.');
+  }
+  if (result.deniedExpected.length > 0) {
+    console.log(`\n🔒 ${result.deniedExpected.length} route(s) not reachable by an allowed persona:`);
+    result.deniedExpected.forEach(d => console.log(`   ${d.route} — ${d.persona}: ${d.outcome}`));
+  }
+  if (result.violations.length > 0) {
+    console.log(`\n🚨 ${result.violations.length} access violation(s) — rendered for a persona outside allowedPersonas:`);
+    result.violations.forEach(v => console.log(`   ${v.route} — ${v.persona} (allowed: ${v.allowedPersonas.join(', ') || 'none'})`));
+    if (args.failOnViolation) {
+      console.log('\n❌ Failing: access violations found (--fail-on-violation)');
+      process.exit(2);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
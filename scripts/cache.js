@@ -0,0 +1,51 @@
+/**
+ * LLM response cache maintenance.
+ *
+ * Usage:
+ *   node scripts/cache.js stats          Show entry counts, size and age
+ *   node scripts/cache.js prune          Delete expired/invalid entries and enforce the size limit
+ *   node scripts/cache.js prune --all    Delete every cached response
+ *
+ * Honours LLM_CACHE_TTL_HOURS and LLM_CACHE_MAX_MB like the pipeline does.
+ */
+require('dotenv').config();
+const LlmCache = require('../src/services/llmCache');
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function main() {
+  const cache = new LlmCache();
+  const command = process.argv[2] || 'stats';
+
+  switch (command) {
+    case 'stats': {
+      const stats = cache.stats();
+      console.log(`📦 LLM cache: ${stats.cacheDir}`);
+      console.log(`   Entries : ${stats.entries} (${formatBytes(stats.totalBytes)} of ${formatBytes(cache.maxBytes)} limit)`);
+      console.log(`   Expired : ${stats.expired}`);
+      console.log(`   Invalid : ${stats.invalid}`);
+      console.log(`   Oldest  : ${stats.oldest || '-'}`);
+      console.log(`   Newest  : ${stats.newest || '-'}`);
+      for (const [label, count] of Object.entries(stats.byLabel)) {
+        console.log(`   • ${label}: ${count}`);
+      }
+      break;
+    }
+
+    case 'prune': {
+      const { removed, evicted } = cache.prune({ all: process.argv.includes('--all') });
+      console.log(`🧹 Pruned ${removed} expired/invalid entr${removed === 1 ? 'y' : 'ies'}, evicted ${evicted} over the size limit.`);
+      break;
+    }
+
+    default:
+      console.log('Usage: node scripts/cache.js <stats|prune> [--all]');
+      process.exit(1);
+  }
+}
+
+main();
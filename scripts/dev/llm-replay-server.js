@@ -0,0 +1,18 @@
+/**
+ * Serve recorded LLM fixtures over the Ollama HTTP API.
+ *
+ * Usage:
+ *   node scripts/dev/llm-replay-server.js [port]
+ *   LLM_BASE_URL=http://localhost:<port> npm run dev:main
+ */
+require('dotenv').config();
+const { createReplayServer } = require('../../src/services/llmReplayServer');
+const { LlmFixtureStore } = require('../../src/services/llmFixtures');
+
+const port = parseInt(process.argv[2] || process.env.LLM_REPLAY_PORT || '11435', 10);
+const fixtures = new LlmFixtureStore();
+
+createReplayServer({ fixtures }).listen(port, () => {
+  console.log(`📼 LLM replay server listening on http://localhost:${port}`);
+  console.log(`   Serving ${fixtures.list().length} fixture(s) from ${fixtures.fixturesDir}`);
+});
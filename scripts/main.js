@@ -3,20 +3,32 @@ const path = require('path');
 const fs = require('fs');
 const AuthBootstrap = require('../src/authentication/authBootstrap');
 const McpBootstrap = require('../src/mcp-integration/mcpBootstrap');
+const { loadLoginFlow } = require('../src/authentication/loginFlow');
+const { resolvePersona, assertCredentials } = require('../src/authentication/personas');
 const ensureAuth   = require('../src/authentication/ensureAuth');
 const RouteExplorer = require('../src/route-discovery/routeExplorer');
 const RouteAnalyzer = require('../src/route-discovery/routeAnalyzer');
 const { generateCrawlData } = require('../src/dom-analysis/snapshotGenerator');
 const McpDynamicAnalyzer = require('../src/mcp-integration/mcpDynamicAnalyzer');
 const routeConfig = require('../src/route-discovery/routeConfig');
-
-const ROUTE_ANALYSIS_FILE = path.join('output', 'route-analysis.json');
+const { usageLedger } = require('../src/services/llmUsage');
+const { AnalysisHistory } = require('../src/route-discovery/analysisHistory');
 
 // ─── CLI flags ──────────────────────────────────────────────────────────────
-// --fresh        Wipe all cached output and LLM cache, then run everything from scratch.
+// --fresh           Wipe all cached output and LLM cache, then run everything from scratch.
+// --persona <name>  Log in, explore and analyse as a persona from config/personas.json (default: PERSONA env or "default").
+// --resume          Continue an interrupted route discovery from its crawl checkpoint.
+const personaFlag = process.argv.indexOf('--persona');
+const persona = resolvePersona(personaFlag !== -1 ? process.argv[personaFlag + 1] : process.env.PERSONA);
+const ROUTE_ANALYSIS_FILE = path.join(persona.outputDir, 'route-analysis.json');
+
+if (persona.name !== 'default') {
+  console.log(`[run] Persona: ${persona.name}${persona.description ? ` — ${persona.description}` : ''}`);
+}
+
 if (process.argv.includes('--fresh')) {
   console.log('[run] --fresh: clearing all cached data...');
-  for (const dir of ['output', 'data/analysis', '.cache']) {
+  for (const dir of ['output', 'data/analysis', ...(persona.name !== 'default' ? [persona.crawlDir] : []), '.cache']) {
     try { fs.rmSync(dir, { recursive: true, force: true }); console.log(`  deleted ${dir}/`); } catch (_) {}
   }
   for (const file of ['config/routes.config.json']) {
@@ -25,6 +37,29 @@ if (process.argv.includes('--fresh')) {
   console.log('[run] Cache cleared. Starting fresh run...\n');
 }
 
+/**
+ * Write output/llm-usage.json and print where inference time went this run.
+ */
+function reportLlmUsage() {
+  const { totals, byLabel } = usageLedger.summary();
+  if (usageLedger.entries.length === 0) return;
+
+  const file = usageLedger.write();
+  console.log(`\n🧠 LLM usage (${file}):`);
+  console.log(`   Calls: ${totals.calls} (${totals.cacheHits} cache hit(s), ${totals.requests} request(s), ${totals.repairs} repair(s), ${totals.retries} retr${totals.retries === 1 ? 'y' : 'ies'}, ${totals.errors} error(s))`);
+  console.log(`   Tokens: ${totals.promptTokens} prompt / ${totals.completionTokens} completion — ${(totals.latencyMs / 1000).toFixed(1)}s inference`);
+  byLabel.forEach(({ label, calls, cacheHits, latencyMs, promptTokens, completionTokens }) => {
+    console.log(`   • ${label}: ${(latencyMs / 1000).toFixed(1)}s, ${calls} call(s), ${cacheHits} cached, ${promptTokens}/${completionTokens} tokens`);
+  });
+}
+
+// Ctrl+C cancels in-flight LLM requests so the run stops promptly; a second Ctrl+C exits immediately.
+const abortController = new AbortController();
+process.once('SIGINT', () => {
+  console.log('\n[run] Interrupted — cancelling in-flight LLM requests...');
+  abortController.abort();
+});
+
 (async () => {
   const pipelineStart = Date.now();
   try {
@@ -40,30 +75,45 @@ if (process.argv.includes('--fresh')) {
       // ---------------------------------
       // STEP 1: Detect page type via MCP snapshot (replaces Crawlee + Ollama)
       // ---------------------------------
-      console.log('Detecting page type via MCP snapshot...');
-      const bootstrap = new McpBootstrap({
-        startUrl: process.env.START_URL,
-        headless: false,
-      });
-
-      const { isLoginPage, authSelectors } = await bootstrap.detect();
+      assertCredentials(persona);
+      let form = {};
+      if (persona.authStrategy === 'form') {
+        console.log('Detecting page type via MCP snapshot...');
+        const bootstrap = new McpBootstrap({
+          startUrl: process.env.START_URL,
+          headless: false,
+          username: persona.username,
+        });
+
+        const { isLoginPage, authSelectors, loginSteps } = await bootstrap.detect();
+
+        // A project login flow (config/login-flow.json) replaces the detected steps
+        const configuredSteps = loadLoginFlow(persona.loginFlowFile);
+
+        if (!isLoginPage && !configuredSteps) {
+          console.log('[run] Not a login page and no existing analysis — nothing to do.');
+          process.exit(0);
+        }
+        form = { steps: configuredSteps || loginSteps, ...authSelectors };
+      } else {
+        console.log(`Skipping login page detection — "${persona.authStrategy}" auth strategy.`);
+      }
 
       // ---------------------------------
-      // STEP 2: If Login → Bootstrap auth
+      // STEP 2: Bootstrap auth
       // ---------------------------------
-      if (!isLoginPage) {
-        console.log('[run] Not a login page and no existing analysis — nothing to do.');
-        process.exit(0);
-      }
-
       const auth = new AuthBootstrap({
         loginUrl: process.env.START_URL,
-        username: process.env.LOGIN_USERNAME,
-        password: process.env.PASSWORD,
-        usernameSelector: authSelectors.usernameSelector,
-        passwordSelector: authSelectors.passwordSelector,
-        submitSelector: authSelectors.submitSelector,
-        successUrlContains: process.env.SUCCESS_URL_CONTAINS,
+        username: persona.username,
+        password: persona.password,
+        totpSecret: persona.totpSecret,
+        ...form,
+        strategy: persona.authStrategy,
+        authOptions: persona.auth,
+        postLoginUrl: persona.postLoginUrl,
+        successUrlContains: persona.successUrlContains,
+        storageStatePath: persona.storageState,
+        diagnosticsDir: path.join(persona.outputDir, 'auth-failure'),
       });
 
       await auth.login();
@@ -75,13 +125,21 @@ if (process.argv.includes('--fresh')) {
 
       const explorer = new RouteExplorer({
         baseUrl: process.env.BASE_URL,
-        startUrl: process.env.POST_LOGIN_URL,
-        storageState: 'data/storage-state.json',
+        startUrl: persona.postLoginUrl,
+        storageState: persona.storageState,
+        persona: persona.name,
+        outputDir: persona.outputDir,
         maxPages: parseInt(process.env.MAX_CRAWL_PAGES  ?? '15', 10),
         maxRetries: parseInt(process.env.MAX_CRAWL_RETRIES ?? '2',  10),
+        spaDiscovery: process.env.SPA_DISCOVERY !== 'false',
+        maxClicksPerPage: parseInt(process.env.SPA_MAX_CLICKS ?? '15', 10),
+        concurrency: parseInt(process.env.CRAWL_CONCURRENCY ?? '3', 10),
+        requestsPerSecond: parseFloat(process.env.CRAWL_RATE_LIMIT ?? '2'),
+        politenessDelayMs: parseInt(process.env.CRAWL_DELAY_MS ?? '250', 10),
+        pageTimeoutMs: parseInt(process.env.CRAWL_PAGE_TIMEOUT_MS ?? '120000', 10),
       });
 
-      await explorer.explore();
+      await explorer.explore({ resume: process.argv.includes('--resume') });
       console.log('Authenticated route exploration complete.');
 
       // ---------------------------------
@@ -92,12 +150,15 @@ if (process.argv.includes('--fresh')) {
       const routeAnalyzer = new RouteAnalyzer({
         inputFile: 'routes.json',
         outputFile: 'route-analysis.json',
+        outputDir: persona.outputDir,
+        crawlDir: persona.crawlDir,
+        ...(persona.historyDir ? { history: new AnalysisHistory({ dir: persona.historyDir }) } : {}),
         model: process.env.LLM_MODEL || 'qwen2.5:7b',
         temperature: 0.1,
         enableCache: true,
       });
 
-      routeAnalysis = await routeAnalyzer.analyzeRoutes();
+      routeAnalysis = await routeAnalyzer.analyzeRoutes({ signal: abortController.signal });
       console.log('Route analysis complete.');
       console.log(`Categorized ${routeAnalysis.totalRoutes} routes into ${routeAnalysis.categories?.length || 0} categories.`);
       console.log(`High-risk routes identified: ${routeAnalysis.riskSummary?.high || 0}`);
@@ -120,7 +181,7 @@ if (process.argv.includes('--fresh')) {
       // ---------------------------------
       // STEP 4b: Ensure auth session is still valid before crawling
       // ---------------------------------
-      await ensureAuth();
+      await ensureAuth({ persona });
 
       // ---------------------------------
       // STEP 5: Crawl included routes and save raw DOM snapshots
@@ -129,7 +190,10 @@ if (process.argv.includes('--fresh')) {
       await generateCrawlData(routeAnalysis, {
         businessCriticalityFilter: ['High', 'Medium', 'Low'],
         maxRoutes: null,
-        outputDir: 'data/analysis',
+        outputDir: persona.crawlDir,
+        routesFile: path.join(persona.outputDir, 'routes.json'),
+        storageState: persona.storageState,
+        persona: persona.name,
         filterUrls: includedUrls,
       });
       console.log('Crawl data generation complete.');
@@ -139,8 +203,10 @@ if (process.argv.includes('--fresh')) {
       // ---------------------------------
       console.log('\nRunning MCP dynamic analysis on included routes...');
       const mcpAnalyzer = new McpDynamicAnalyzer({
-        storageState: 'data/storage-state.json',
-        testsDir: 'data/analysis',
+        storageState: persona.storageState,
+        persona: persona.name,
+        outputDir: path.join(persona.outputDir, 'mcp-analysis'),
+        testsDir: persona.crawlDir,
         baseUrl: process.env.BASE_URL,
         targetUrls: includedUrls,
         interactionLimit: parseInt(process.env.INTERACTION_LIMIT ?? '15', 10),
@@ -154,6 +220,8 @@ if (process.argv.includes('--fresh')) {
       console.log(`  State changes   : ${mcpSummary.stateChangesDetected}`);
     }
 
+    reportLlmUsage();
+
     const mins = ((Date.now() - pipelineStart) / 1000 / 60).toFixed(2);
     console.log(`\n✅ Pipeline complete in ${mins} minutes`);
     console.log('\n🚀 Ready for Test Generation!');
@@ -163,11 +231,14 @@ if (process.argv.includes('--fresh')) {
     console.log('   • "@autowright help" - View all available commands');
     console.log('\n📁 Data ready in:');
     console.log('   • config/routes.config.json - Route configuration');
-    console.log('   • output/route-analysis.json - Risk analysis results');
-    console.log('   • data/analysis/ - Dynamic interaction data');
+    console.log(`   • ${ROUTE_ANALYSIS_FILE} - Risk analysis results`);
+    console.log(`   • ${persona.historyDir || 'data/history/route-analysis'}/ - Analysis snapshots (npm run routes:diff)`);
+    console.log(`   • ${persona.crawlDir}/ - Dynamic interaction data`);
+    console.log('   • output/llm-usage.json - LLM latency and token usage per step');
   } catch (err) {
     const mins = ((Date.now() - pipelineStart) / 1000 / 60).toFixed(2);
     console.error(`Workflow crashed after ${mins} minutes:`, err);
+    reportLlmUsage();
     console.log('\n🆘 Need Help? Use Copilot Chat for debugging:');
     console.log('   • "@autowright debug this error" - Get help with the error above');
     console.log('   • "What went wrong with autowright pipeline?" - Troubleshoot issues');
@@ -0,0 +1,66 @@
+/**
+ * Prompt template maintenance.
+ *
+ * Usage:
+ *   node scripts/prompts.js list               Show templates, versions and whether an override is active
+ *   node scripts/prompts.js show <name>        Print the effective template text
+ *   node scripts/prompts.js export <name>      Copy the built-in text to config/prompts/<name>.txt for editing
+ *
+ * Honours PROMPT_OVERRIDES_DIR like the pipeline does.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { prompts } = require('../src/services/promptRegistry');
+
+function usage() {
+  console.log('Usage: node scripts/prompts.js <list|show <name>|export <name> [--force]>');
+  process.exit(1);
+}
+
+function main() {
+  const command = process.argv[2] || 'list';
+  const name = process.argv[3];
+
+  switch (command) {
+    case 'list': {
+      console.log(`📝 Prompt templates (overrides: ${prompts.overridesDir})`);
+      for (const template of prompts.list()) {
+        const source = template.source === 'built-in' ? 'built-in' : `override ${template.source}`;
+        console.log(`   • ${template.id} — ${template.description}`);
+        console.log(`     variables: ${template.variables.join(', ')} (${source})`);
+      }
+      break;
+    }
+
+    case 'show': {
+      if (!name) usage();
+      process.stdout.write(prompts.get(name).text);
+      break;
+    }
+
+    case 'export': {
+      if (!name) usage();
+      const builtIn = prompts.templates.get(name);
+      if (!builtIn) {
+        console.error(`❌ Unknown prompt template "${name}"`);
+        process.exit(1);
+      }
+      const file = prompts.overridePath(name);
+      if (fs.existsSync(file) && !process.argv.includes('--force')) {
+        console.error(`❌ ${file} already exists (use --force to overwrite)`);
+        process.exit(1);
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, builtIn.text);
+      console.log(`✅ Wrote ${file}`);
+      console.log(`   Available variables: ${builtIn.variables.map(v => `{{${v}}}`).join(', ')}`);
+      break;
+    }
+
+    default:
+      usage();
+  }
+}
+
+main();
@@ -0,0 +1,110 @@
+/**
+ * Compare route analyses between runs.
+ *
+ * Usage:
+ *   node scripts/route-diff.js list                    List stored analysis snapshots
+ *   node scripts/route-diff.js [from] [to] [options]   Diff two snapshots (default: previous → latest)
+ *
+ * Options:
+ *   --json                     Print the diff as JSON instead of a report
+ *   --output <file>            Also write the JSON diff to a file
+ *   --fail-on-new-high-risk    Exit with code 2 when a route newly became High risk (CI gate)
+ *   --persona <name>           Use a persona's snapshots (see config/personas.json)
+ */
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const { AnalysisHistory, diffAnalyses } = require('../src/route-discovery/analysisHistory');
+const { resolvePersona } = require('../src/authentication/personas');
+
+function parseArgs(argv) {
+  const args = { refs: [], json: false, output: null, failOnNewHighRisk: false, persona: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--fail-on-new-high-risk') args.failOnNewHighRisk = true;
+    else if (arg === '--output') args.output = argv[++i];
+    else if (arg === '--persona') args.persona = argv[++i];
+    else args.refs.push(arg);
+  }
+  return args;
+}
+
+function printReport(diff, fromFile, toFile) {
+  const { summary } = diff;
+  console.log(`🔀 Route analysis diff`);
+  console.log(`   from: ${fromFile}`);
+  console.log(`   to  : ${toFile}`);
+  console.log(`   ${summary.added} new, ${summary.removed} removed, ${summary.rerated} re-rated route(s); ` +
+    `${summary.menusAdded} new, ${summary.menusRemoved} removed, ${summary.menusChanged} changed menu(s)`);
+
+  if (diff.added.length > 0) {
+    console.log('\n➕ New routes:');
+    diff.added.forEach(r => console.log(`   ${r.route} — ${r.riskLevel} risk, ${r.businessCriticality} criticality`));
+  }
+  if (diff.removed.length > 0) {
+    console.log('\n➖ Removed routes:');
+    diff.removed.forEach(r => console.log(`   ${r.route} (was ${r.riskLevel} risk)`));
+  }
+  if (diff.rerated.length > 0) {
+    console.log('\n🔁 Re-rated routes:');
+    diff.rerated.forEach(r => console.log(
+      `   ${r.route}: ${r.before.riskLevel}/${r.before.businessCriticality} → ${r.after.riskLevel}/${r.after.businessCriticality}`
+    ));
+  }
+  if (diff.menus.added.length || diff.menus.removed.length || diff.menus.changed.length) {
+    console.log('\n🗂️  Navigation menus:');
+    diff.menus.added.forEach(name => console.log(`   + ${name}`));
+    diff.menus.removed.forEach(name => console.log(`   - ${name}`));
+    diff.menus.changed.forEach(m => {
+      const parts = [];
+      if (m.addedRoutes.length) parts.push(`+${m.addedRoutes.length} route(s)`);
+      if (m.removedRoutes.length) parts.push(`-${m.removedRoutes.length} route(s)`);
+      if (m.riskLevel.before !== m.riskLevel.after) parts.push(`${m.riskLevel.before} → ${m.riskLevel.after}`);
+      console.log(`   ~ ${m.menuName}: ${parts.join(', ')}`);
+    });
+  }
+  if (diff.newHighRisk.length > 0) {
+    console.log(`\n🚨 Newly High-risk routes (${diff.newHighRisk.length}):`);
+    diff.newHighRisk.forEach(route => console.log(`   ${route}`));
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const history = new AnalysisHistory({ dir: resolvePersona(args.persona).historyDir });
+
+  if (args.refs[0] === 'list') {
+    const snapshots = history.list();
+    console.log(`📚 ${snapshots.length} route analysis snapshot(s) in ${history.dir}`);
+    snapshots.forEach(s => console.log(`   ${s.id}`));
+    return;
+  }
+
+  const [fromRef = 'previous', toRef = 'latest'] = args.refs;
+  const from = history.load(fromRef);
+  const to = history.load(toRef);
+  const diff = diffAnalyses(from.analysis, to.analysis);
+
+  if (args.output) {
+    fs.mkdirSync(path.dirname(args.output), { recursive: true });
+    fs.writeFileSync(args.output, JSON.stringify(diff, null, 2));
+  }
+  if (args.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    printReport(diff, from.file, to.file);
+  }
+
+  if (args.failOnNewHighRisk && diff.newHighRisk.length > 0) {
+    if (!args.json) console.log('\n❌ Failing: new High-risk routes appeared (--fail-on-new-high-risk)');
+    process.exit(2);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
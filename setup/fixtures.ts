@@ -0,0 +1,14 @@
+import { test as base, expect } from '@playwright/test';
+const { resolvePersona } = require('../src/authentication/personas');
+const { applyAuthHeaders } = require('../src/authentication/authContext');
+
+// Playwright's test with the persona's auth headers (header/token strategies)
+// sent to the app origin only; import { test, expect } from here in specs
+export const test = base.extend({
+  context: async ({ context }, use) => {
+    await applyAuthHeaders(context, resolvePersona(process.env.PERSONA).storageState);
+    await use(context);
+  },
+});
+
+export { expect };
@@ -1,4 +1,4 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from './fixtures';
 
 test.describe('Seed Test', () => {
   test('navigate to authenticated page', async ({ page, baseURL }) => {
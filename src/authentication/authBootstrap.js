@@ -1,18 +1,47 @@
 const { chromium } = require('playwright');
-const fs = require('fs');
+const path = require('path');
+const { runLoginSteps, stepsFromSelectors, otpSteps, usesPlaceholder, validateLoginSteps } = require('./loginFlow');
+const { freshTotp, parseTotpSecret } = require('./totp');
+const { AUTH_STRATEGIES, resolveOptions, contextExtrasFor, applyStrategy } = require('./authStrategies');
+const { saveAuthContext, credentialOptions, routeAuthHeaders } = require('./authContext');
+const { writeSecureJson } = require('./secureStorage');
+const { LoginDiagnostics } = require('./loginDiagnostics');
 
 class AuthBootstrap {
   constructor(config) {
     this.config = config;
+    this.strategy = config.strategy || 'form';
+    if (!AUTH_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown auth strategy "${this.strategy}". Use one of: ${AUTH_STRATEGIES.join(', ')}`);
+    }
+    if (this.strategy !== 'form') return;
+
+    this.steps = config.steps
+      ? validateLoginSteps(config.steps)
+      : stepsFromSelectors(config);
+
+    if (config.totpSecret) {
+      parseTotpSecret(config.totpSecret); // fail fast on a malformed secret
+      if (!usesPlaceholder(this.steps, 'totp')) {
+        this.steps = [...this.steps, ...otpSteps(config)];
+      }
+    }
   }
 
   async login() {
+    if (this.strategy !== 'form') return this.loginWithStrategy();
+
     const browser = await chromium.launch({
       headless: false, // set true in CI
     });
 
     const context = await browser.newContext();
     const page = await context.newPage();
+    const diagnostics = new LoginDiagnostics(page, {
+      dir: this.config.diagnosticsDir,
+      totpConfigured: Boolean(this.config.totpSecret),
+      otpSelectors: this.steps.filter(step => usesPlaceholder([step], 'totp')).map(step => step.selector),
+    });
 
     // loginUrl is a full URL (from START_URL env var)
     const loginUrl = this.config.loginUrl;
@@ -21,13 +50,19 @@ class AuthBootstrap {
     console.log(`Navigating to ${loginUrl}`);
     await page.goto(loginUrl, { waitUntil: 'domcontentloaded' });
 
-    // Fill credentials
-    await page.fill(this.config.usernameSelector, this.config.username);
-    await page.fill(this.config.passwordSelector, this.config.password);
+    // Fill credentials and submit, one screen at a time for multi-step flows
+    try {
+      await runLoginSteps(page, this.steps, {
+        username: this.config.username,
+        password: this.config.password,
+        totp: this.config.totpSecret ? () => freshTotp(this.config.totpSecret) : undefined,
+      });
+    } catch (error) {
+      const failure = await diagnostics.capture(error);
+      await browser.close();
+      throw failure;
+    }
 
-    // Submit
-    await page.click(this.config.submitSelector);
-    
     try {
       await page.waitForLoadState('domcontentloaded', { timeout: 20000 });
       await page.waitForLoadState('networkidle', { timeout: 20000 });
@@ -45,22 +80,66 @@ class AuthBootstrap {
       this.config.successUrlContains &&
       !currentUrl.includes(this.config.successUrlContains)
     ) {
+      const failure = await diagnostics.capture(new Error(`Login did not reach a URL containing "${this.config.successUrlContains}". Current URL: ${currentUrl}`));
       await browser.close();
-      throw new Error(
-        `Login failed. Current URL: ${currentUrl}`
-      );
+      throw failure;
     }
 
     // Save storage state
-    await context.storageState({
-      path: 'data/storage-state.json',
-    });
+    const storageStatePath = await this.saveSession(context);
 
     // High-level progress: log login success
-    console.log('Login successful. Storage state saved.');
+    console.log(`Login successful. Storage state saved to ${storageStatePath}.`);
 
     await browser.close();
   }
+
+  /**
+   * Log in without a form, verify the session and save it like a form login.
+   */
+  async loginWithStrategy() {
+    const credentials = { username: this.config.username, password: this.config.password };
+    const options = await resolveOptions(this.config.authOptions || {}, credentials);
+    const origin = new URL(this.config.loginUrl).origin;
+    const extras = { origin, ...contextExtrasFor(this.strategy, options, credentials) };
+
+    console.log(`🔐 Authenticating with the "${this.strategy}" strategy`);
+    const browser = await chromium.launch({ headless: true });
+    try {
+      const context = await browser.newContext(credentialOptions(extras));
+      await routeAuthHeaders(context, extras);
+      const page = await context.newPage();
+      const discovered = await applyStrategy(this.strategy, context, page, options, { origin, credentials });
+
+      const verifyUrl = this.config.postLoginUrl || this.config.loginUrl;
+      console.log(`Navigating to ${verifyUrl}`);
+      const response = await page.goto(verifyUrl, { waitUntil: 'domcontentloaded' });
+      const status = response ? response.status() : 0;
+      const currentUrl = page.url();
+      if (status >= 400) {
+        throw new Error(`Login failed. ${verifyUrl} answered ${status} with the "${this.strategy}" strategy`);
+      }
+      if (this.config.successUrlContains && !currentUrl.includes(this.config.successUrlContains)) {
+        throw new Error(`Login failed. Current URL: ${currentUrl}`);
+      }
+
+      const storageStatePath = await this.saveSession(context, { ...extras, ...discovered });
+      console.log(`Login successful. Storage state saved to ${storageStatePath}.`);
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Save the context's storage state (encrypted when STORAGE_STATE_KEY is
+   * set) and the sidecar of extra context options (none for a form login).
+   */
+  async saveSession(context, extras = {}) {
+    const storageStatePath = this.config.storageStatePath || path.join('data', 'storage-state.json');
+    writeSecureJson(storageStatePath, await context.storageState());
+    saveAuthContext(storageStatePath, extras);
+    return storageStatePath;
+  }
 }
 
 module.exports = AuthBootstrap;
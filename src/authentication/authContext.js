@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Browser context options for a saved storage state, plus the sidecar file
+ * holding basic credentials or headers scoped to the app origin.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { readSecureJson, writeSecureJson, isEncryptedFile } = require('./secureStorage');
+
+function contextFileFor(storageStatePath) {
+  const { dir, name } = path.parse(storageStatePath);
+  return path.join(dir, `${name}.context.json`);
+}
+
+/**
+ * Auth extras saved alongside a storage state ({} when none).
+ */
+function loadAuthContext(storageStatePath) {
+  const file = contextFileFor(storageStatePath);
+  if (!fs.existsSync(file)) return {};
+  return readSecureJson(file);
+}
+
+/**
+ * Save (or, when there are none, remove) the auth extras for a storage state.
+ */
+function saveAuthContext(storageStatePath, extras = {}) {
+  const file = contextFileFor(storageStatePath);
+  const defined = Object.fromEntries(['httpCredentials', 'headers']
+    .filter(key => extras[key] && Object.keys(extras[key]).length > 0)
+    .map(key => [key, extras[key]]));
+  if (Object.keys(defined).length === 0) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  writeSecureJson(file, { origin: extras.origin, ...defined });
+}
+
+/**
+ * Context options for a set of auth extras: basic credentials, limited to the
+ * app origin. Headers are not context options; see routeAuthHeaders().
+ */
+function credentialOptions({ origin, httpCredentials } = {}) {
+  return httpCredentials ? { httpCredentials: { ...httpCredentials, origin } } : {};
+}
+
+/**
+ * Add auth headers to requests for the app origin only.
+ */
+async function routeAuthHeaders(target, { origin, headers } = {}) {
+  if (!origin || !headers || Object.keys(headers).length === 0) return;
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  await target.route(`${origin}/**`, route => route.fallback({
+    headers: { ...route.request().headers(), ...lowerCased },
+  }));
+}
+
+/**
+ * Context options for an authenticated browser; follow with applyAuthHeaders().
+ */
+function authContextOptions(storageStatePath) {
+  const storageState = isEncryptedFile(storageStatePath) ? readSecureJson(storageStatePath) : storageStatePath;
+  return { storageState, ...credentialOptions(loadAuthContext(storageStatePath)) };
+}
+
+/**
+ * Route the headers saved with a storage state (see routeAuthHeaders).
+ */
+async function applyAuthHeaders(target, storageStatePath) {
+  await routeAuthHeaders(target, loadAuthContext(storageStatePath));
+}
+
+module.exports = {
+  authContextOptions,
+  applyAuthHeaders,
+  routeAuthHeaders,
+  credentialOptions,
+  loadAuthContext,
+  saveAuthContext,
+  contextFileFor,
+};
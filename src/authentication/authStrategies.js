@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Login strategies for apps without an HTML form: basic, header, cookies and
+ * token. Credentials and headers only ever go to the app origin.
+ */
+
+const fs = require('fs');
+const { resolveValue } = require('./loginFlow');
+const { readSecureJson } = require('./secureStorage');
+const { routeAuthHeaders } = require('./authContext');
+
+const AUTH_STRATEGIES = ['form', 'basic', 'header', 'cookies', 'token'];
+
+/**
+ * Parse an AUTH_* env var that holds a JSON object, naming the variable when
+ * it does not.
+ */
+function parseEnvJson(env, name) {
+  let value;
+  let reason;
+  try {
+    value = JSON.parse(env[name]);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) reason = 'expected a JSON object';
+  } catch (parseError) {
+    reason = parseError.message;
+  }
+  if (!reason) return value;
+
+  const error = new Error(`Invalid ${name}: ${reason}`);
+  error.code = 'AUTH_ENV_INVALID';
+  error.envVar = name;
+  throw error;
+}
+
+/**
+ * Strategy options for the default persona, from AUTH_* env vars. JSON values
+ * are only parsed for the strategy that uses them.
+ */
+function authOptionsFromEnv(env = process.env, strategy = env.AUTH_STRATEGY || 'form') {
+  const options = {
+    cookiesFile: env.AUTH_COOKIES_FILE,
+    tokenUrl: env.AUTH_TOKEN_URL,
+    tokenPath: env.AUTH_TOKEN_PATH,
+    tokenUse: env.AUTH_TOKEN_USE,
+    tokenName: env.AUTH_TOKEN_NAME,
+  };
+  if (strategy === 'header') {
+    const headers = env.AUTH_HEADERS ? parseEnvJson(env, 'AUTH_HEADERS') : {};
+    if (env.AUTH_BEARER_TOKEN) headers.Authorization = `Bearer ${env.AUTH_BEARER_TOKEN}`;
+    if (env.AUTH_API_KEY) headers[env.AUTH_API_KEY_HEADER || 'X-API-Key'] = env.AUTH_API_KEY;
+    options.headers = headers;
+  }
+  if (strategy === 'token' && env.AUTH_TOKEN_BODY) {
+    options.tokenBody = parseEnvJson(env, 'AUTH_TOKEN_BODY');
+  }
+  return options;
+}
+
+/**
+ * Resolve placeholders in every string of an options object.
+ */
+async function resolveOptions(value, credentials) {
+  if (typeof value === 'string') return resolveValue(value, credentials);
+  if (Array.isArray(value)) return Promise.all(value.map(v => resolveOptions(v, credentials)));
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(Object.entries(value).map(async ([k, v]) => [k, await resolveOptions(v, credentials)]));
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+// ─── Cookie files ─────────────────────────────────────────────────────────────
+
+const SAME_SITE = { lax: 'Lax', strict: 'Strict', none: 'None', no_restriction: 'None' };
+
+/**
+ * Read cookies from a Playwright storage state, a JSON cookie array
+ * (browser extension export) or a Netscape cookies.txt file.
+ */
+function readCookiesFile(file) {
+  if (!fs.existsSync(file)) throw new Error(`Cookies file not found: ${file}`);
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (/^\s*[[{]/.test(text)) {
+    const parsed = readSecureJson(file);
+    const cookies = Array.isArray(parsed) ? parsed : parsed.cookies || [];
+    return cookies.map(c => ({
+      name: c.name,
+      value: c.value,
+      domain: c.domain,
+      path: c.path || '/',
+      expires: c.expires ?? c.expirationDate ?? -1,
+      httpOnly: Boolean(c.httpOnly),
+      secure: Boolean(c.secure),
+      sameSite: SAME_SITE[String(c.sameSite || 'lax').toLowerCase()] || 'Lax',
+    }));
+  }
+
+  // Netscape format: domain, include-subdomains, path, secure, expiry, name, value
+  return text.split('\n')
+    .filter(line => line.trim() && (!line.startsWith('#') || line.startsWith('#HttpOnly_')))
+    .map(line => {
+      const httpOnly = line.startsWith('#HttpOnly_');
+      const [domain, , cookiePath, secure, expires, name, ...value] = line.replace(/^#HttpOnly_/, '').trim().split('\t');
+      return {
+        name,
+        value: value.join('\t'),
+        domain,
+        path: cookiePath || '/',
+        expires: Number(expires) || -1,
+        httpOnly,
+        secure: secure === 'TRUE',
+        sameSite: 'Lax',
+      };
+    })
+    .filter(c => c.name);
+}
+
+// ─── Strategies ───────────────────────────────────────────────────────────────
+
+/**
+ * Credentials or headers a strategy needs before the browser context is
+ * created, in the context sidecar's shape (see authContext.js).
+ */
+function contextExtrasFor(strategy, options, credentials) {
+  switch (strategy) {
+    case 'basic':
+      return { httpCredentials: { username: credentials.username, password: credentials.password } };
+    case 'header':
+      if (!options.headers || Object.keys(options.headers).length === 0) {
+        throw new Error('Auth strategy "header" needs headers (AUTH_HEADERS, AUTH_BEARER_TOKEN or AUTH_API_KEY)');
+      }
+      return { headers: options.headers };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Read a dotted path such as "data.access_token" from a JSON value.
+ */
+function valueAtPath(value, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => node?.[key], value);
+}
+
+/**
+ * Apply a strategy to a fresh context. Returns auth extras discovered during
+ * login (the token strategy's header).
+ */
+async function applyStrategy(strategy, context, page, options, target) {
+  switch (strategy) {
+    case 'basic':
+    case 'header':
+      return {};
+
+    case 'cookies': {
+      if (!options.cookiesFile) throw new Error('Auth strategy "cookies" needs a cookies file (AUTH_COOKIES_FILE)');
+      const cookies = readCookiesFile(options.cookiesFile);
+      if (cookies.length === 0) throw new Error(`No cookies found in ${options.cookiesFile}`);
+      await context.addCookies(cookies);
+      console.log(`🍪 Injected ${cookies.length} cookie(s) from ${options.cookiesFile}`);
+      return {};
+    }
+
+    case 'token': {
+      if (!options.tokenUrl) throw new Error('Auth strategy "token" needs a token endpoint (AUTH_TOKEN_URL)');
+      const body = options.tokenBody || { username: target.credentials.username, password: target.credentials.password };
+      console.log(`🔑 Requesting token from ${options.tokenUrl}`);
+      const response = await context.request.post(options.tokenUrl, { data: body });
+      if (!response.ok()) {
+        throw new Error(`Token endpoint ${options.tokenUrl} answered ${response.status()} ${response.statusText()}`);
+      }
+
+      const json = await response.json().catch(() => null);
+      const token = options.tokenPath
+        ? valueAtPath(json, options.tokenPath)
+        : json?.access_token ?? json?.token ?? json?.id_token;
+      if (!token) {
+        // Cookie-based APIs set the session on the response; context.request keeps them
+        if ((await context.cookies()).length > 0) {
+          console.log('🔑 No token in the response — using the cookies the endpoint set.');
+          return {};
+        }
+        throw new Error(`Token endpoint ${options.tokenUrl} returned no token${options.tokenPath ? ` at "${options.tokenPath}"` : ''}`);
+      }
+
+      const use = options.tokenUse || 'header';
+      const { origin } = target;
+      if (use === 'cookie') {
+        await context.addCookies([{ name: options.tokenName || 'access_token', value: String(token), url: origin }]);
+        return {};
+      }
+      if (use === 'localStorage') {
+        await page.goto(origin, { waitUntil: 'domcontentloaded' });
+        await page.evaluate(([key, value]) => localStorage.setItem(key, value), [options.tokenName || 'access_token', String(token)]);
+        return {};
+      }
+      if (use === 'header') {
+        const headers = { [options.tokenName || 'Authorization']: options.tokenName ? String(token) : `Bearer ${token}` };
+        await routeAuthHeaders(context, { origin, headers });
+        return { headers };
+      }
+      throw new Error(`Unknown tokenUse "${use}". Use header, cookie or localStorage.`);
+    }
+
+    default:
+      throw new Error(`Unknown auth strategy "${strategy}". Use one of: ${AUTH_STRATEGIES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  AUTH_STRATEGIES,
+  authOptionsFromEnv,
+  resolveOptions,
+  readCookiesFile,
+  contextExtrasFor,
+  applyStrategy,
+};
@@ -1,63 +1,72 @@
 'use strict';
 
 require('dotenv').config();
-const fs           = require('fs');
-const { chromium } = require('playwright');
+const path = require('path');
 const McpBootstrap = require('../mcp-integration/mcpBootstrap');
 const AuthBootstrap = require('./authBootstrap');
-
-const STORAGE_STATE_FILE = 'data/storage-state.json';
+const { loadLoginFlow } = require('./loginFlow');
+const { resolvePersona, assertCredentials } = require('./personas');
+const { SessionValidator } = require('./sessionCheck');
 
 /**
  * Verify the saved storage state still gives an authenticated session.
- * If not (redirected to login), run McpBootstrap + AuthBootstrap to refresh it.
+ * If not, run McpBootstrap + AuthBootstrap to refresh it. Validity is decided
+ * by SessionValidator (cookie expiry, probe endpoint, then a headless browser
+ * check), with recently verified sessions trusted without re-checking.
+ *
+ * Reads START_URL from environment / .env. Credentials, POST_LOGIN_URL,
+ * SUCCESS_URL_CONTAINS and the storage state file come from the persona
+ * (default: the LOGIN_USERNAME / PASSWORD / TOTP_SECRET env vars and
+ * data/storage-state.json).
  *
- * Reads POST_LOGIN_URL, SUCCESS_URL_CONTAINS, START_URL, LOGIN_USERNAME,
- * PASSWORD from environment / .env.
+ * @param {object} [options]
+ * @param {import('./personas').Persona|string} [options.persona] - Persona or persona name (default: PERSONA env var)
+ * @param {SessionValidator} [options.validator] - Session checks to use (default: configured from env)
  */
-async function ensureAuth() {
-  const storageState = fs.existsSync(STORAGE_STATE_FILE) ? STORAGE_STATE_FILE : undefined;
-
-  // Quick headless probe: navigate to the post-login URL and check where we land
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({ storageState });
-  const page    = await context.newPage();
-
-  try {
-    await page.goto(process.env.POST_LOGIN_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  } catch (_) { /* ignore load errors — we only care about the final URL */ }
-
-  const landed = page.url();
-  await browser.close();
-
-  const isExpired = !landed.includes(process.env.SUCCESS_URL_CONTAINS);
+async function ensureAuth(options = {}) {
+  const persona = typeof options.persona === 'object' ? options.persona : resolvePersona(options.persona ?? process.env.PERSONA);
+  const tag = persona.name === 'default' ? '[auth]' : `[auth:${persona.name}]`;
+  const validator = options.validator || new SessionValidator();
 
-  if (!isExpired) {
-    console.log('[auth] Session is valid — no re-authentication needed.');
+  const session = await validator.check(persona);
+  if (session.valid) {
+    console.log(`${tag} Session is valid (${session.strategy}: ${session.reason}) — no re-authentication needed.`);
     return;
   }
 
-  console.log(`[auth] Session expired (landed at ${landed}) — re-authenticating…`);
+  console.log(`${tag} Session expired (${session.strategy}: ${session.reason}) — re-authenticating…`);
+  assertCredentials(persona);
 
-  const bootstrap = new McpBootstrap({ startUrl: process.env.START_URL, headless: false });
-  const { isLoginPage, authSelectors } = await bootstrap.detect();
+  // Only form logins need the login page detected
+  let form = {};
+  if (persona.authStrategy === 'form') {
+    const bootstrap = new McpBootstrap({ startUrl: process.env.START_URL, headless: false, username: persona.username });
+    const { isLoginPage, authSelectors, loginSteps } = await bootstrap.detect();
+    const configuredSteps = loadLoginFlow(persona.loginFlowFile);
 
-  if (!isLoginPage) {
-    throw new Error('[auth] Expected a login page during re-auth but did not detect one.');
+    if (!isLoginPage && !configuredSteps) {
+      throw new Error(`${tag} Expected a login page during re-auth but did not detect one.`);
+    }
+    form = { steps: configuredSteps || loginSteps, ...authSelectors };
   }
 
   const auth = new AuthBootstrap({
     loginUrl:           process.env.START_URL,
-    username:           process.env.LOGIN_USERNAME,
-    password:           process.env.PASSWORD,
-    usernameSelector:   authSelectors.usernameSelector,
-    passwordSelector:   authSelectors.passwordSelector,
-    submitSelector:     authSelectors.submitSelector,
-    successUrlContains: process.env.SUCCESS_URL_CONTAINS,
+    username:           persona.username,
+    password:           persona.password,
+    totpSecret:         persona.totpSecret,
+    ...form,
+    strategy:           persona.authStrategy,
+    authOptions:        persona.auth,
+    postLoginUrl:       persona.postLoginUrl,
+    successUrlContains: persona.successUrlContains,
+    storageStatePath:   persona.storageState,
+    diagnosticsDir:     path.join(persona.outputDir, 'auth-failure'),
   });
 
   await auth.login();
-  console.log('[auth] Re-authentication complete. Fresh storage-state.json saved.');
+  validator.recordVerified(persona, 'login');
+  console.log(`${tag} Re-authentication complete. Fresh ${persona.storageState} saved.`);
 }
 
 module.exports = ensureAuth;
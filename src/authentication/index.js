@@ -5,8 +5,30 @@
 
 const AuthBootstrap = require('./authBootstrap');
 const ensureAuth = require('./ensureAuth');
+const { loadLoginFlow, runLoginSteps, validateLoginSteps } = require('./loginFlow');
+const { generateTotp } = require('./totp');
+const { loadPersonas, resolvePersona } = require('./personas');
+const { SessionValidator } = require('./sessionCheck');
+const { AUTH_STRATEGIES } = require('./authStrategies');
+const { authContextOptions, applyAuthHeaders } = require('./authContext');
+const { readSecureJson, writeSecureJson } = require('./secureStorage');
+const { LoginDiagnostics, classifyLoginFailure } = require('./loginDiagnostics');
 
 module.exports = {
   AuthBootstrap,
-  ensureAuth
+  ensureAuth,
+  loadLoginFlow,
+  runLoginSteps,
+  validateLoginSteps,
+  generateTotp,
+  loadPersonas,
+  resolvePersona,
+  SessionValidator,
+  AUTH_STRATEGIES,
+  authContextOptions,
+  applyAuthHeaders,
+  readSecureJson,
+  writeSecureJson,
+  LoginDiagnostics,
+  classifyLoginFailure
 };
\ No newline at end of file
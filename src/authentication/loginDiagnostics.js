@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Diagnostics for failed form logins: saves a screenshot, ARIA snapshot and
+ * failure.json, and classifies the failure as a LOGIN_FAILED error `reason`.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { DEFAULT_OTP_SELECTOR } = require('./loginFlow');
+const { redactor } = require('../services/redaction');
+
+const MAX_NETWORK_ENTRIES = 30;
+const MAX_BODY_CHARS = 2000;
+
+const ERROR_MESSAGE_SELECTOR = [
+  '[role="alert"]',
+  '[aria-live="assertive"]',
+  '[aria-invalid="true"] ~ *',
+  '.error', '.errors', '.alert', '.invalid-feedback', '.help-block',
+  '[class*="error" i]', '[id*="error" i]',
+].join(', ');
+
+const CAPTCHA_SELECTOR = [
+  'iframe[src*="recaptcha"]', 'iframe[src*="hcaptcha"]', 'iframe[src*="challenges.cloudflare.com"]',
+  '.g-recaptcha', '.h-captcha', '.cf-turnstile', '[id*="captcha" i]', '[name*="captcha" i]',
+].join(', ');
+
+const CHALLENGE_RE = /not a robot|verify (?:that )?you(?:'re| are) (?:a )?human/i;
+const CAPTCHA_RE = new RegExp(`captcha|${CHALLENGE_RE.source}`, 'i');
+const LOCKED_RE = /\blocked\b|suspended|disabled|too many (?:failed )?(?:login )?(?:attempts|requests|tries)|temporarily (?:blocked|unavailable)|try again later/i;
+const MFA_RE = /(?:code|otp|passcode|token)\b.{0,40}\b(?:invalid|incorrect|expired|wrong|not valid)|(?:invalid|incorrect|expired|wrong)\b.{0,40}\b(?:code|otp|passcode)|verification (?:failed|unsuccessful)/i;
+const CREDENTIALS_RE = /(?:invalid|incorrect|wrong|unrecognized|not recognized|doesn't match|does not match|couldn't find|could not find|no account)\b.{0,60}\b(?:password|username|user name|e-?mail|credentials|account|login|sign.?in)|(?:password|username|e-?mail|credentials)\b.{0,40}\b(?:invalid|incorrect|wrong|not (?:valid|correct|recognized))|authentication failed|login failed/i;
+
+const HINTS = {
+  'invalid-credentials': 'check the username and password (LOGIN_USERNAME / PASSWORD, or the persona credentials)',
+  mfa: 'check TOTP_SECRET (or the persona totpSecret) and that this machine\'s clock is accurate',
+  selector: 'the login form has changed: fix or delete config/login-flow.json, or re-run detection',
+  captcha: 'a CAPTCHA blocked the automated login: log in headed once, or use the cookies/token auth strategy',
+  'account-locked': 'the account is locked or rate-limited: wait, or unlock it, before retrying',
+  unknown: 'see the screenshot and ARIA snapshot',
+};
+
+class LoginDiagnostics {
+  constructor(page, options = {}) {
+    this.page = page;
+    this.dir = options.dir || path.join('output', 'auth-failure');
+    this.totpConfigured = Boolean(options.totpConfigured);
+    this.otpSelectors = [...new Set([...(options.otpSelectors || []), DEFAULT_OTP_SELECTOR])];
+    this.network = [];
+    this.pending = [];
+    page.on('response', response => this.pending.push(this.record(response)));
+  }
+
+  /**
+   * Keep submit requests, navigations and failed API calls.
+   */
+  async record(response) {
+    const request = response.request();
+    const type = request.resourceType();
+    const status = response.status();
+    const isApi = type === 'xhr' || type === 'fetch';
+    if (request.method() === 'GET' && type !== 'document' && !(isApi && status >= 400)) return;
+
+    const entry = { method: request.method(), url: redactor.text(response.url()), status, resourceType: type };
+    if (status >= 400 || (request.method() !== 'GET' && isApi)) {
+      const body = await response.text().catch(() => null);
+      if (body) entry.body = redactor.text(body.slice(0, MAX_BODY_CHARS));
+    }
+    this.network.push(entry);
+    if (this.network.length > MAX_NETWORK_ENTRIES) this.network.shift();
+  }
+
+  /**
+   * Save the failure artefacts and build the error to throw.
+   */
+  async capture(cause) {
+    await Promise.allSettled(this.pending);
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const evidence = await this.collectEvidence();
+    const { reason, detail } = classifyLoginFailure({
+      ...evidence,
+      cause,
+      network: this.network,
+      totpConfigured: this.totpConfigured,
+      otpSelectors: this.otpSelectors,
+    });
+
+    await this.page.screenshot({ path: path.join(this.dir, 'screenshot.png'), fullPage: true }).catch(() => {});
+    const aria = await this.page.locator('body').ariaSnapshot({ timeout: 5000 }).catch(() => null);
+    if (aria) fs.writeFileSync(path.join(this.dir, 'aria-snapshot.txt'), redactor.text(aria), 'utf8');
+
+    const failure = {
+      reason,
+      hint: HINTS[reason],
+      detail,
+      url: redactor.text(this.page.url()),
+      failedStep: cause.step ? { index: cause.stepIndex + 1, action: cause.step.action, selector: cause.step.selector } : null,
+      error: redactor.text(cause.message),
+      ...evidence,
+      network: this.network,
+      capturedAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(path.join(this.dir, 'failure.json'), redactor.stringify(failure), 'utf8');
+
+    const error = new Error(`Login failed (${reason}): ${detail} — ${HINTS[reason]}. Diagnostics: ${this.dir}`);
+    error.code = 'LOGIN_FAILED';
+    error.reason = reason;
+    error.hint = HINTS[reason];
+    error.diagnosticsDir = this.dir;
+    error.cause = cause;
+    return error;
+  }
+
+  /**
+   * What the page shows: error messages, a CAPTCHA, an OTP or password field.
+   */
+  async collectEvidence() {
+    const messages = await this.page.locator(ERROR_MESSAGE_SELECTOR).evaluateAll(elements => {
+      const texts = elements
+        .filter(el => el.offsetParent !== null || el.getClientRects().length > 0)
+        .map(el => (el.innerText || '').trim().replace(/\s+/g, ' '))
+        .filter(text => text.length > 0 && text.length <= 300);
+      return [...new Set(texts)].slice(0, 10);
+    }).catch(() => []);
+
+    const visible = selector => this.page.locator(selector).first().isVisible().catch(() => false);
+    const captchaElement = await this.page.locator(CAPTCHA_SELECTOR).count().catch(() => 0);
+    const bodyText = await this.page.locator('body').innerText({ timeout: 5000 }).catch(() => '');
+
+    return {
+      messages: messages.map(message => redactor.text(message)),
+      captcha: captchaElement > 0 || CHALLENGE_RE.test(bodyText),
+      otpFieldVisible: (await Promise.all(this.otpSelectors.map(visible))).some(Boolean),
+      passwordFieldVisible: await visible('input[type="password"]'),
+    };
+  }
+}
+
+/**
+ * Decide why a login failed from what the page and network showed.
+ */
+function classifyLoginFailure({ messages = [], captcha, otpFieldVisible, passwordFieldVisible, network = [], cause, totpConfigured, otpSelectors = [DEFAULT_OTP_SELECTOR] }) {
+  const said = re => messages.find(message => re.test(message));
+  const quote = message => `"${message}"`;
+  const step = cause?.step;
+  const otpStep = step && otpSelectors.includes(step.selector);
+
+  // What the app says outranks a CAPTCHA badge, which many sites show on every login
+  if (said(LOCKED_RE)) return { reason: 'account-locked', detail: quote(said(LOCKED_RE)) };
+  if (network.some(entry => entry.status === 429)) return { reason: 'account-locked', detail: 'the server answered 429 Too Many Requests' };
+  if (said(MFA_RE)) return { reason: 'mfa', detail: quote(said(MFA_RE)) };
+  if (said(CREDENTIALS_RE)) return { reason: 'invalid-credentials', detail: quote(said(CREDENTIALS_RE)) };
+  if (captcha) return { reason: 'captcha', detail: said(CAPTCHA_RE) ? quote(said(CAPTCHA_RE)) : 'CAPTCHA challenge on the page' };
+
+  const rejected = network.find(entry => entry.method !== 'GET' && [400, 401, 403].includes(entry.status));
+  if (otpStep && otpFieldVisible) return { reason: 'mfa', detail: `the one-time code step failed (${cause.message})` };
+  if (otpStep) {
+    // The code field never appeared — usually the password was rejected on the previous screen
+    return passwordFieldVisible || rejected
+      ? { reason: 'invalid-credentials', detail: 'the one-time code screen never appeared; the login form is still shown' }
+      : { reason: 'mfa', detail: 'the one-time code screen never appeared' };
+  }
+  if (!totpConfigured && otpFieldVisible) return { reason: 'mfa', detail: 'the app asks for a one-time code but no TOTP secret is configured' };
+  if (rejected) return { reason: 'invalid-credentials', detail: `${rejected.method} ${rejected.url} answered ${rejected.status}` };
+  if (step) return { reason: 'selector', detail: cause.message };
+  if (messages.length > 0) return { reason: 'unknown', detail: quote(messages[0]) };
+  return { reason: 'unknown', detail: cause?.message || 'login did not complete' };
+}
+
+module.exports = { LoginDiagnostics, classifyLoginFailure };
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Declarative login flows: ordered fill/click/press/wait steps replayed by
+ * AuthBootstrap, detected by McpBootstrap or pinned in config/login-flow.json.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const DEFAULT_FLOW_FILE = path.join(__dirname, '..', '..', 'config', 'login-flow.json');
+const DEFAULT_STEP_TIMEOUT = 15000;
+
+// Used when MFA is configured but the code field was not seen during detection
+// (it usually only appears after the password is submitted). A bare "code" is
+// not enough: postal, promo and country code fields would match too.
+const DEFAULT_OTP_SELECTOR = [
+  'input[autocomplete="one-time-code"]',
+  'input[name*="otp" i]',
+  'input[id*="otp" i]',
+  'input[name*="mfa" i]',
+  'input[id*="mfa" i]',
+  'input[name*="verification" i]',
+  'input[id*="verification" i]',
+].join(', ');
+
+// Hints for placeholders that are commonly left unset
+const PLACEHOLDER_HINTS = {
+  username: 'set LOGIN_USERNAME',
+  password: 'set PASSWORD',
+  totp: 'set TOTP_SECRET to the authenticator secret',
+};
+
+// Required fields per action
+const ACTIONS = {
+  fill:            ['selector', 'value'],
+  click:           ['selector'],
+  press:           ['selector', 'key'],
+  waitForSelector: ['selector'],
+  waitForUrl:      ['url'],
+};
+
+/**
+ * Check a flow's shape and throw a descriptive error for the first problem.
+ */
+function validateLoginSteps(steps, source = 'login flow') {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error(`${source}: expected a non-empty array of login steps`);
+  }
+  steps.forEach((step, i) => {
+    const required = ACTIONS[step?.action];
+    if (!required) {
+      throw new Error(`${source}: step ${i + 1} has unknown action "${step?.action}". Use one of: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    const missing = required.filter(field => typeof step[field] !== 'string' || step[field] === '');
+    if (missing.length > 0) {
+      throw new Error(`${source}: step ${i + 1} (${step.action}) is missing ${missing.join(', ')}`);
+    }
+  });
+  return steps;
+}
+
+/**
+ * The classic single-page flow: fill username and password (and the one-time
+ * code when the form has one), click submit.
+ */
+function stepsFromSelectors({ usernameSelector, passwordSelector, submitSelector, otpSelector }) {
+  return [
+    { action: 'fill', selector: usernameSelector, value: '{{username}}' },
+    { action: 'fill', selector: passwordSelector, value: '{{password}}' },
+    ...(otpSelector ? [{ action: 'fill', selector: otpSelector, value: '{{totp}}' }] : []),
+    { action: 'click', selector: submitSelector },
+  ];
+}
+
+/**
+ * Steps for an MFA screen shown after the password is submitted: wait for the
+ * code field, fill a fresh code, submit.
+ */
+function otpSteps({ otpSelector, otpSubmitSelector } = {}) {
+  const selector = otpSelector || DEFAULT_OTP_SELECTOR;
+  return [
+    { action: 'waitForSelector', selector },
+    { action: 'fill', selector, value: '{{totp}}' },
+    otpSubmitSelector
+      ? { action: 'click', selector: otpSubmitSelector }
+      : { action: 'press', selector, key: 'Enter' },
+  ];
+}
+
+/**
+ * Whether any step fills the given placeholder, e.g. usesPlaceholder(steps, 'totp').
+ */
+function usesPlaceholder(steps, name) {
+  const re = new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`);
+  return steps.some(step => typeof step.value === 'string' && re.test(step.value));
+}
+
+/**
+ * Load the project's login flow override, if there is one.
+ */
+function loadLoginFlow(file = process.env.LOGIN_FLOW_FILE || DEFAULT_FLOW_FILE) {
+  if (!fs.existsSync(file)) return null;
+  let steps;
+  try {
+    steps = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid login flow file ${file}: ${error.message}`);
+  }
+  console.log(`🔑 Using login flow from ${file}`);
+  return validateLoginSteps(steps, file);
+}
+
+/**
+ * Replace {{name}} and {{env.NAME}} placeholders; function credentials are
+ * called when the value is typed.
+ */
+async function resolveValue(value, credentials) {
+  let result = '';
+  let last = 0;
+  for (const match of value.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)) {
+    const name = match[1];
+    let resolved = name.startsWith('env.') ? process.env[name.slice(4)] : credentials[name];
+    if (typeof resolved === 'function') resolved = await resolved();
+    if (resolved === undefined || resolved === null) {
+      const hint = PLACEHOLDER_HINTS[name] ? ` (${PLACEHOLDER_HINTS[name]})` : '';
+      throw new Error(`Login step value references {{${name}}}, which is not set${hint}`);
+    }
+    result += value.slice(last, match.index) + String(resolved);
+    last = match.index + match[0].length;
+  }
+  return result + value.slice(last);
+}
+
+/**
+ * Describe a step for logs without revealing filled values.
+ */
+function describeStep(step) {
+  switch (step.action) {
+    case 'fill':       return `fill ${step.selector}`;
+    case 'press':      return `press ${step.key} in ${step.selector}`;
+    case 'waitForUrl': return `wait for URL containing ${step.url}`;
+    default:           return `${step.action} ${step.selector}`;
+  }
+}
+
+/**
+ * Replay a login flow on a Playwright page.
+ */
+async function runLoginSteps(page, steps, credentials = {}, options = {}) {
+  validateLoginSteps(steps);
+  const stepTimeout = options.stepTimeout ?? DEFAULT_STEP_TIMEOUT;
+
+  for (const [i, step] of steps.entries()) {
+    const timeout = step.timeout ?? stepTimeout;
+    const label = `Step ${i + 1}/${steps.length}: ${describeStep(step)}`;
+
+    try {
+      if (step.optional) {
+        // Optional steps (interstitials) run only if their element shows up
+        const visible = await page.locator(step.selector).first()
+          .waitFor({ state: 'visible', timeout }).then(() => true, () => false);
+        if (!visible) {
+          console.log(`🔑 ${label} — skipped (not shown)`);
+          continue;
+        }
+      }
+
+      console.log(`🔑 ${label}`);
+      switch (step.action) {
+        case 'fill':
+          await page.locator(step.selector).first().fill(await resolveValue(step.value, credentials), { timeout });
+          break;
+        case 'click':
+          await page.locator(step.selector).first().click({ timeout });
+          break;
+        case 'press':
+          await page.locator(step.selector).first().press(step.key, { timeout });
+          break;
+        case 'waitForSelector':
+          await page.locator(step.selector).first().waitFor({ state: step.state || 'visible', timeout });
+          break;
+        case 'waitForUrl':
+          await page.waitForURL(url => url.href.includes(step.url), { timeout });
+          break;
+      }
+    } catch (error) {
+      const failure = new Error(`Login ${label} failed: ${error.message.split('\n')[0]}`);
+      failure.code = 'LOGIN_STEP_FAILED';
+      failure.step = step;
+      failure.stepIndex = i;
+      throw failure;
+    }
+  }
+}
+
+module.exports = {
+  validateLoginSteps,
+  stepsFromSelectors,
+  otpSteps,
+  usesPlaceholder,
+  loadLoginFlow,
+  runLoginSteps,
+  resolveValue,
+  DEFAULT_OTP_SELECTOR,
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Personas: named users the pipeline can log in, explore and test as, declared
+ * in config/personas.json. Each gets its own storage state and output dirs.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { authOptionsFromEnv } = require('./authStrategies');
+
+const DEFAULT_PERSONAS_FILE = path.join(__dirname, '..', '..', 'config', 'personas.json');
+const DEFAULT_PERSONA_NAME = 'default';
+const NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+
+function envPrefix(name) {
+  return `PERSONA_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+}
+
+/**
+ * The persona everything used before personas existed.
+ */
+function defaultPersona() {
+  return {
+    name: DEFAULT_PERSONA_NAME,
+    username: process.env.LOGIN_USERNAME,
+    password: process.env.PASSWORD,
+    totpSecret: process.env.TOTP_SECRET,
+    postLoginUrl: process.env.POST_LOGIN_URL,
+    successUrlContains: process.env.SUCCESS_URL_CONTAINS,
+    authStrategy: process.env.AUTH_STRATEGY || 'form',
+    auth: authOptionsFromEnv(),
+    storageState: path.join('data', 'storage-state.json'),
+    outputDir: 'output',
+    crawlDir: path.join('data', 'analysis'),
+    historyDir: undefined,
+  };
+}
+
+/**
+ * Build a named persona from its personas.json entry.
+ */
+function namedPersona(name, entry = {}) {
+  if (!NAME_RE.test(name) || name === DEFAULT_PERSONA_NAME) {
+    throw new Error(`Invalid persona name "${name}": use letters, digits, "-" and "_" (and not "${DEFAULT_PERSONA_NAME}")`);
+  }
+  const prefix = envPrefix(name);
+  const fromEnv = (field, conventional) => process.env[entry[`${field}Env`] || `${prefix}${conventional}`];
+  const root = path.join('data', 'personas', name);
+
+  return {
+    name,
+    description: entry.description,
+    username: fromEnv('username', 'USERNAME'),
+    password: fromEnv('password', 'PASSWORD'),
+    totpSecret: fromEnv('totpSecret', 'TOTP_SECRET'),
+    loginFlowFile: entry.loginFlowFile,
+    postLoginUrl: entry.postLoginUrl || process.env.POST_LOGIN_URL,
+    successUrlContains: entry.successUrlContains || process.env.SUCCESS_URL_CONTAINS,
+    authStrategy: entry.authStrategy || 'form',
+    auth: entry.auth || {},
+    storageState: path.join(root, 'storage-state.json'),
+    outputDir: path.join('output', 'personas', name),
+    crawlDir: path.join(root, 'analysis'),
+    historyDir: path.join(root, 'history'),
+  };
+}
+
+/**
+ * Named personas from the personas file, in file order.
+ */
+function loadPersonas(file = process.env.PERSONAS_FILE || DEFAULT_PERSONAS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid personas file ${file}: ${error.message}`);
+  }
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(`Invalid personas file ${file}: expected an object keyed by persona name`);
+  }
+  return Object.entries(entries).map(([name, entry]) => namedPersona(name, entry));
+}
+
+/**
+ * Look up a persona by name; no name (or "default") gives the default persona.
+ */
+function resolvePersona(name, options = {}) {
+  if (!name || name === DEFAULT_PERSONA_NAME) return defaultPersona();
+
+  const personas = loadPersonas(options.file);
+  const persona = personas.find(p => p.name === name);
+  if (!persona) {
+    const available = personas.map(p => p.name).join(', ') || 'none configured';
+    throw new Error(`Unknown persona "${name}" (available: ${available}). Add it to config/personas.json.`);
+  }
+  return persona;
+}
+
+/**
+ * Throw when a persona is missing the credentials needed to log in. Only the
+ * form and basic strategies need a username and password up front.
+ */
+function assertCredentials(persona) {
+  if (!['form', 'basic'].includes(persona.authStrategy || 'form')) return;
+  const missing = [];
+  if (!persona.username) missing.push('username');
+  if (!persona.password) missing.push('password');
+  if (missing.length === 0) return;
+
+  const hint = persona.name === DEFAULT_PERSONA_NAME
+    ? 'set LOGIN_USERNAME and PASSWORD'
+    : `set ${envPrefix(persona.name)}USERNAME / ${envPrefix(persona.name)}PASSWORD or usernameEnv / passwordEnv in the personas file`;
+  throw new Error(`Persona "${persona.name}" has no ${missing.join(' or ')} — ${hint}`);
+}
+
+module.exports = { loadPersonas, resolvePersona, defaultPersona, assertCredentials, DEFAULT_PERSONA_NAME };
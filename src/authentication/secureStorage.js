@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Optional at-rest encryption (AES-256-GCM, scrypt key) with STORAGE_STATE_KEY.
+ * Plaintext files are still read; a missing or wrong key throws STORAGE_KEY_MISSING/INVALID.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+function isEncrypted(value) {
+  return Boolean(value && value.encrypted === ALGORITHM && value.data);
+}
+
+function encryptJson(value, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    encrypted: ALGORITHM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decryptJson(envelope, passphrase, source = 'storage file') {
+  if (!passphrase) {
+    const error = new Error(`${source} is encrypted — set STORAGE_STATE_KEY to read it`);
+    error.code = 'STORAGE_KEY_MISSING';
+    throw error;
+  }
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      deriveKey(passphrase, Buffer.from(envelope.salt, 'base64')),
+      Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const text = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(text);
+  } catch (_) {
+    const error = new Error(`Cannot decrypt ${source}: STORAGE_STATE_KEY is wrong or the file is corrupt`);
+    error.code = 'STORAGE_KEY_INVALID';
+    throw error;
+  }
+}
+
+/**
+ * Read a JSON session file, decrypting it when needed.
+ */
+function readSecureJson(file, passphrase = process.env.STORAGE_STATE_KEY) {
+  const value = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return isEncrypted(value) ? decryptJson(value, passphrase, file) : value;
+}
+
+/**
+ * Write a JSON session file, encrypted when a key is configured.
+ */
+function writeSecureJson(file, value, passphrase = process.env.STORAGE_STATE_KEY) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const content = passphrase ? encryptJson(value, passphrase) : value;
+  fs.writeFileSync(file, JSON.stringify(content, null, 2), { mode: 0o600 });
+}
+
+function isEncryptedFile(file) {
+  try {
+    return isEncrypted(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (_) {
+    return false;
+  }
+}
+
+module.exports = { readSecureJson, writeSecureJson, isEncryptedFile, encryptJson, decryptJson };
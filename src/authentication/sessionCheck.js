@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Session validity checks for ensureAuth, cheapest first: storage state
+ * cookies, a GET of SESSION_PROBE_URL, then a headless browser. Valid results
+ * are cached for SESSION_VERIFY_TTL_MINUTES.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { authContextOptions, applyAuthHeaders, loadAuthContext } = require('./authContext');
+const { readSecureJson } = require('./secureStorage');
+
+const STRATEGIES = ['cookies', 'probe', 'browser'];
+const UNREADABLE_CODES = ['STORAGE_KEY_MISSING', 'STORAGE_KEY_INVALID'];
+
+class SessionValidator {
+  constructor(options = {}) {
+    this.strategies = options.strategies
+      || (process.env.SESSION_CHECK || STRATEGIES.join(',')).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = this.strategies.filter(s => !STRATEGIES.includes(s));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown session check strategy "${unknown.join(', ')}". Use: ${STRATEGIES.join(', ')}`);
+    }
+    this.probeUrl = options.probeUrl ?? process.env.SESSION_PROBE_URL;
+    this.ariaMarker = options.ariaMarker ?? process.env.SESSION_ARIA_MARKER;
+    this.cookieNames = options.cookieNames
+      ?? (process.env.SESSION_COOKIE_NAMES || '').split(',').map(s => s.trim()).filter(Boolean);
+    this.ttlMs = (options.ttlMinutes ?? parseFloat(process.env.SESSION_VERIFY_TTL_MINUTES ?? '10')) * 60 * 1000;
+    this.cacheFile = options.cacheFile || path.join('.cache', 'session-checks.json');
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Decide whether a persona's saved session is still usable.
+   */
+  async check(persona) {
+    if (!fs.existsSync(persona.storageState)) {
+      return { valid: false, strategy: 'cookies', reason: `no storage state at ${persona.storageState}` };
+    }
+    let state;
+    let extras;
+    try {
+      state = readSecureJson(persona.storageState);
+      extras = loadAuthContext(persona.storageState);
+    } catch (error) {
+      if (!UNREADABLE_CODES.includes(error.code)) throw error;
+      // Encrypted with another key (or none set): a fresh login replaces it
+      console.log(`⚠️  [auth] ${error.message}`);
+      this.forget(persona);
+      return { valid: false, strategy: 'cookies', reason: `storage state unreadable (${error.code})` };
+    }
+
+    if (this.strategies.includes('cookies')) {
+      const expired = this.expiredReason(state, persona.postLoginUrl);
+      if (expired) {
+        this.forget(persona);
+        return { valid: false, strategy: 'cookies', reason: expired };
+      }
+    }
+
+    const cached = this.lastVerified(persona);
+    if (cached) {
+      const ageS = Math.round((Date.now() - cached.verifiedAt) / 1000);
+      return { valid: true, strategy: 'cache', reason: `verified by ${cached.strategy} ${ageS}s ago` };
+    }
+
+    for (const strategy of this.strategies.filter(s => s !== 'cookies')) {
+      const result = strategy === 'probe'
+        ? await this.probe(state, extras)
+        : await this.browserCheck(persona);
+      if (result.valid === null) {
+        if (result.reason) console.log(`[auth] ${strategy} check inconclusive: ${result.reason}`);
+        continue;
+      }
+      if (result.valid) this.recordVerified(persona, strategy);
+      else this.forget(persona);
+      return { valid: result.valid, strategy, reason: result.reason };
+    }
+
+    // Only the cookie check ran and found nothing wrong
+    return { valid: true, strategy: 'cookies', reason: 'session cookies not expired (unverified)' };
+  }
+
+  /**
+   * Remember that a persona's current storage state is known to be good,
+   * e.g. right after a fresh login.
+   */
+  recordVerified(persona, strategy) {
+    if (this.ttlMs <= 0) return;
+    const cache = this.readCache();
+    cache[path.resolve(persona.storageState)] = {
+      verifiedAt: Date.now(),
+      storageMtimeMs: fs.statSync(persona.storageState).mtimeMs,
+      strategy,
+    };
+    this.writeCache(cache);
+  }
+
+  // ─── Strategies ────────────────────────────────────────────────────────────
+
+  /**
+   * Cookies for the app that carry the session: the named ones, or every
+   * cookie whose domain matches the app host.
+   */
+  sessionCookies(state, appUrl) {
+    const cookies = state.cookies || [];
+    if (this.cookieNames.length > 0) return cookies.filter(c => this.cookieNames.includes(c.name));
+    if (!appUrl) return cookies;
+    const host = new URL(appUrl).hostname;
+    return cookies.filter(c => domainMatches(c.domain, host));
+  }
+
+  /**
+   * Why the stored cookies cannot hold a live session, or null if they might.
+   */
+  expiredReason(state, appUrl) {
+    const cookies = this.sessionCookies(state, appUrl);
+    const now = Date.now() / 1000;
+
+    if (this.cookieNames.length > 0) {
+      const missing = this.cookieNames.filter(name => !cookies.some(c => c.name === name));
+      if (missing.length > 0) return `session cookie(s) missing: ${missing.join(', ')}`;
+      const expired = cookies.filter(c => c.expires > 0 && c.expires < now);
+      if (expired.length > 0) return `session cookie(s) expired: ${expired.map(c => c.name).join(', ')}`;
+      return null;
+    }
+
+    // Without names, only call it expired when every persistent cookie has expired
+    // and there are no browser-session cookies left that could still be valid
+    if (cookies.length > 0 && cookies.every(c => c.expires > 0 && c.expires < now)) {
+      return `all ${cookies.length} cookie(s) for the app have expired`;
+    }
+    return null;
+  }
+
+  /**
+   * GET the probe endpoint with the stored cookies, and saved credentials or
+   * headers when it is on their origin.
+   */
+  async probe(state, extras = {}) {
+    if (!this.probeUrl) return { valid: null, reason: null };
+
+    const url = new URL(this.probeUrl);
+    const now = Date.now() / 1000;
+    const cookie = (state.cookies || [])
+      .filter(c => domainMatches(c.domain, url.hostname)
+        && url.pathname.startsWith(c.path || '/')
+        && (!c.secure || url.protocol === 'https:')
+        && !(c.expires > 0 && c.expires < now))
+      .map(c => `${c.name}=${c.value}`)
+      .join('; ');
+
+    const { httpCredentials, headers } = extras.origin === url.origin ? extras : {};
+
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: {
+          ...(httpCredentials ? { authorization: `Basic ${Buffer.from(`${httpCredentials.username}:${httpCredentials.password}`).toString('base64')}` } : {}),
+          ...headers,
+          cookie,
+          accept: 'application/json, text/html;q=0.9',
+        },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(10000),
+      });
+    } catch (error) {
+      return { valid: null, reason: `${this.probeUrl} unreachable (${error.message})` };
+    }
+
+    if (response.status >= 200 && response.status < 300) {
+      return { valid: true, reason: `${this.probeUrl} answered ${response.status}` };
+    }
+    if ([401, 403].includes(response.status)) {
+      return { valid: false, reason: `${this.probeUrl} answered ${response.status}` };
+    }
+    if (response.status >= 300 && response.status < 400) {
+      return { valid: false, reason: `${this.probeUrl} redirected to ${response.headers.get('location')}` };
+    }
+    return { valid: null, reason: `${this.probeUrl} answered ${response.status}` };
+  }
+
+  /**
+   * Open the post-login page headless and look for a logged-in marker or the
+   * expected landing URL.
+   */
+  async browserCheck(persona) {
+    const { chromium } = require('playwright');
+    const browser = await chromium.launch({ headless: true });
+    try {
+      const context = await browser.newContext(authContextOptions(persona.storageState));
+      await applyAuthHeaders(context, persona.storageState);
+      const page = await context.newPage();
+      try {
+        await page.goto(persona.postLoginUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      } catch (_) { /* ignore load errors — we only care about where we end up */ }
+
+      if (this.ariaMarker) {
+        const visible = await page.locator(this.ariaMarker).first()
+          .waitFor({ state: 'visible', timeout: 10000 }).then(() => true, () => false);
+        return visible
+          ? { valid: true, reason: `found ${this.ariaMarker}` }
+          : { valid: false, reason: `${this.ariaMarker} not shown (landed at ${page.url()})` };
+      }
+
+      const landed = page.url();
+      return landed.includes(persona.successUrlContains)
+        ? { valid: true, reason: `landed at ${landed}` }
+        : { valid: false, reason: `landed at ${landed}` };
+    } finally {
+      await browser.close();
+    }
+  }
+
+  // ─── Verification cache ────────────────────────────────────────────────────
+
+  lastVerified(persona) {
+    if (this.ttlMs <= 0) return null;
+    const entry = this.readCache()[path.resolve(persona.storageState)];
+    if (!entry) return null;
+    const fresh = Date.now() - entry.verifiedAt < this.ttlMs;
+    const unchanged = fs.statSync(persona.storageState).mtimeMs === entry.storageMtimeMs;
+    return fresh && unchanged ? entry : null;
+  }
+
+  forget(persona) {
+    const cache = this.readCache();
+    const key = path.resolve(persona.storageState);
+    if (!(key in cache)) return;
+    delete cache[key];
+    this.writeCache(cache);
+  }
+
+  readCache() {
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+    } catch (_) {
+      return {};
+    }
+  }
+
+  writeCache(cache) {
+    fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+    fs.writeFileSync(this.cacheFile, JSON.stringify(cache, null, 2));
+  }
+}
+
+/** RFC 6265 domain matching: ".example.com" / "example.com" match sub.example.com */
+function domainMatches(cookieDomain, host) {
+  const domain = (cookieDomain || '').replace(/^\./, '').toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+module.exports = { SessionValidator, STRATEGIES };
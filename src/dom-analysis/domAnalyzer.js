@@ -1,7 +1,51 @@
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const OllamaClient = require('../services/llmClient');
+const { createLlmClient } = require('../services/createLlmClient');
+const { LlmJsonError } = require('../services/llmJson');
+const LlmCache = require('../services/llmCache');
+const { prompts } = require('../services/promptRegistry');
+const { redactor } = require('../services/redaction');
+
+const ANALYZE_SCHEMA = {
+  type: 'object',
+  required: ['pageType', 'recommendedLocators', 'testScenarios'],
+  properties: {
+    pageType: { type: 'string', minLength: 1 },
+    recommendedLocators: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['description', 'playwrightLocator'],
+        properties: {
+          description: { type: 'string' },
+          playwrightLocator: { type: 'string', minLength: 1 },
+          reason: { type: 'string' },
+        },
+      },
+    },
+    testScenarios: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'steps'],
+        properties: {
+          name: { type: 'string' },
+          steps: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+  },
+};
+
+const AUTH_SELECTORS_SCHEMA = {
+  type: 'object',
+  required: ['usernameSelector', 'passwordSelector', 'submitSelector'],
+  properties: {
+    usernameSelector: { type: 'string', minLength: 1 },
+    passwordSelector: { type: 'string', minLength: 1 },
+    submitSelector: { type: 'string', minLength: 1 },
+  },
+};
 
 class DomAnalyzer {
   constructor(options = {}) {
@@ -10,64 +54,31 @@ class DomAnalyzer {
     this.enableCache = options.enableCache !== false; // Cache enabled by default
     this.cacheDir = options.cacheDir || path.join(process.cwd(), '.cache', 'llm-responses');
 
-    this.client = new OllamaClient({
+    this.client = createLlmClient({
+      provider: options.provider,
+      baseUrl: options.baseUrl,
       model: options.model || 'qwen2.5:7b',
       temperature: 0.1,
       timeout: options.timeout || 300000, // 5 minutes for DOM analysis
+      cache: this.enableCache ? new LlmCache({ cacheDir: this.cacheDir }) : null,
     });
-
-    // Ensure cache directory exists
-    if (this.enableCache) {
-      this.ensureCacheDir();
-    }
-  }
-
-  ensureCacheDir() {
-    if (!fs.existsSync(this.cacheDir)) {
-      fs.mkdirSync(this.cacheDir, { recursive: true });
-    }
-  }
-
-  getCacheKey(methodName, content) {
-    // Use simple static keys for development caching
-    return `${methodName}_simple.json`;
-  }
-
-  getCachedResponse(methodName, content) {
-    if (!this.enableCache) return null;
-    
-    const cacheKey = this.getCacheKey(methodName, content);
-    const cachePath = path.join(this.cacheDir, cacheKey);
-    
-    if (fs.existsSync(cachePath)) {
-      // High-level: cache hit log
-      console.log(`Using cached response for ${methodName}`);
-      try {
-        return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-      } catch (err) {
-        // High-level: cache file warning
-        console.log(`Invalid cache file, will regenerate: ${cacheKey}`);
-        return null;
-      }
-    }
-    return null;
   }
 
-  saveCachedResponse(methodName, content, response) {
-    if (!this.enableCache) return;
-    
-    const cacheKey = this.getCacheKey(methodName, content);
-    const cachePath = path.join(this.cacheDir, cacheKey);
-    
+  /**
+   * Request schema-valid JSON from the LLM. On failure the last raw response
+   * is dumped to raw-llm-output.txt before the LlmJsonError is rethrown.
+   */
+  async generateJson(prompt, label, schema, options = {}) {
     try {
-      fs.writeFileSync(cachePath, JSON.stringify(response, null, 2));
-      // High-level: cache save log
-      console.log(`Cached response for ${methodName} (${cacheKey})`);
+      return await this.client.generateJson(prompt, label, { schema, ...options });
     } catch (err) {
-      // High-level: cache save error
-      console.log(`Failed to save cache: ${err.message}`);
+      if (err instanceof LlmJsonError) {
+        fs.writeFileSync('raw-llm-output.txt', redactor.text(err.lastResponse));
+      }
+      throw err;
     }
   }
+
   normalizeUrlForCaching(url) {
     try {
       const urlObj = new URL(url);
@@ -78,7 +89,8 @@ class DomAnalyzer {
       return url;
     }
   }
-  async analyze() {
+
+  async analyze(options = {}) {
     // Look for input file in output directory
     const inputPath = path.join('output', this.inputFile);
     const rawData = JSON.parse(
@@ -112,90 +124,21 @@ class DomAnalyzer {
       interactiveElements: interactive.slice(0, 200),
     };
 
-    // Check cache first
-    const cacheContent = { method: 'analyze' };
-    const cachedResult = this.getCachedResponse('analyze', cacheContent);
-    
-
-    
-    if (cachedResult) {
-      // Still save to output file for consistency
-      const outputDir = 'output';
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
-      const outputPath = path.join(outputDir, this.outputFile);
-      fs.writeFileSync(outputPath, JSON.stringify(cachedResult, null, 2));
-      // High-level: analysis save log
-      console.log(`Analysis saved to ${outputPath} (from cache)`);
-      return cachedResult;
-    }
-
-    const prompt = `
-You are a senior QA automation engineer.
-
-Return ONLY valid JSON.
-Do not include markdown.
-Do not include explanations.
-Do not include backticks.
-
-IMPORTANT: For Playwright selectors, use proper CSS selector syntax:
-- For elements with data-testid: use [data-testid='value'] (not [data-testid='value'] element)
-- For elements with id: use #id
-- For elements with class: use .class
-- For specific element types with attributes: use element[attribute='value']
-- Examples: 
-  * button[data-testid='Submit'] (correct)
-  * [data-testid='Submit'] button (wrong - this looks for button inside testid element)
-
-{
-  "pageType": "...",
-  "recommendedLocators": [
-    {
-      "description": "...",
-      "playwrightLocator": "...",
-      "reason": "..."
-    }
-  ],
-  "testScenarios": [
-    {
-      "name": "...",
-      "steps": ["...", "..."]
-    }
-  ]
-}
-
-PAGE DATA:
-${JSON.stringify(simplified, null, 2)}
-`;
+    const { prompt, template } = prompts.render('dom-analyze', {
+      pageData: simplified,
+    });
 
     // High-level: LLM request log
-    console.log('Generating fresh LLM response for analyze...');
-    const result = await this.client.generate(prompt, 'DomAnalyzer.analyze');
-
-    // 🔥 Extract JSON safely
-    const jsonMatch = result.match(/\{[\s\S]*\}/);
-
-    if (!jsonMatch) {
-      fs.writeFileSync('raw-llm-output.txt', result);
-      throw new Error('No valid JSON found in LLM response');
-    }
-
-    let parsed;
-
-    try {
-      parsed = JSON.parse(jsonMatch[0]);
-    } catch (err) {
-      fs.writeFileSync('raw-llm-output.txt', result);
-      throw new Error('LLM returned malformed JSON');
-    }
+    console.log('Requesting LLM response for analyze...');
+    const parsed = await this.generateJson(prompt, 'DomAnalyzer.analyze', ANALYZE_SCHEMA, {
+      template,
+      cache: options.cache,
+      signal: options.signal,
+    });
 
     // ✅ Inject URL from crawler metadata (guaranteed correct - use original URL)
     parsed.url = page.metadata.url;
 
-    // Cache the response
-    this.saveCachedResponse('analyze', cacheContent, parsed);
-
     // ✅ Ensure output directory exists
     const outputDir = 'output';
     if (!fs.existsSync(outputDir)) {
@@ -215,73 +158,23 @@ ${JSON.stringify(simplified, null, 2)}
     return parsed;
   }
 
-  async extractAuthSelectors(existingAnalysis = null) {
-    const analysis = existingAnalysis || await this.analyze();
+  async extractAuthSelectors(existingAnalysis = null, options = {}) {
+    const analysis = existingAnalysis || await this.analyze(options);
 
     if (!analysis.pageType.toLowerCase().includes('login')) {
       throw new Error('Page is not identified as a login page');
     }
 
-    // Check cache first
-    const cacheContent = { method: 'extractAuthSelectors' };
-    const cachedResult = this.getCachedResponse('extractAuthSelectors', cacheContent);
-    
-    if (cachedResult) {
-      // Still update the output file
-      const outputDir = 'output';
-      const outputPath = path.join(outputDir, this.outputFile);
-      const updatedAnalysis = { ...analysis, authSelectors: cachedResult };
-      fs.writeFileSync(outputPath, JSON.stringify(updatedAnalysis, null, 2));
-      // High-level: auth selectors cache log
-      console.log(`Auth selectors saved to ${outputPath} (from cache)`);
-      return cachedResult;
-    }
-
-    const prompt = `You are a senior QA automation engineer.
-
-    Based on the following page analysis, extract the most reliable Playwright selectors for username/email input, password input, and submit button.
-
-    IMPORTANT: Use proper Playwright CSS selector syntax:
-    - For elements with data-testid: use [data-testid='value'] OR element[data-testid='value']
-    - For elements with id: use #id
-    - Examples:
-      * button[data-testid='Submit'] (correct)
-      * [data-testid='Submit'] (correct if unique)
-      * [data-testid='Submit'] button (wrong - looks for button inside testid element)
-
-    Return ONLY valid JSON in the following format:
-    {
-      "usernameSelector": "...",
-      "passwordSelector": "...",
-      "submitSelector": "..."
-
-    }
-    PAGE ANALYSIS:
-    ${JSON.stringify(analysis, null, 2)}
-    `;
-
-    console.log('🤖 Generating fresh LLM response for extractAuthSelectors...');
-    const result = await this.client.generate(prompt, 'DomAnalyzer.extractAuthSelectors');
-
-    const jsonMatch = result.match(/\{[\s\S]*\}/);
-
-    if (!jsonMatch) {
-      fs.writeFileSync('raw-llm-output.txt', result);
-      throw new Error('No valid JSON found in LLM response');
-    }
-
-    let selectors;
-
-    try {
-      selectors = JSON.parse(jsonMatch[0]);
-    } catch (err) {
-      fs.writeFileSync('raw-llm-output.txt', result);
-      throw new Error('LLM returned malformed JSON');
-    }
+    const { prompt, template } = prompts.render('dom-auth-selectors', {
+      pageAnalysis: analysis,
+    });
 
-    // Cache the response
-    // Cache the response
-    this.saveCachedResponse('extractAuthSelectors', cacheContent, selectors);
+    console.log('🤖 Requesting LLM response for extractAuthSelectors...');
+    const selectors = await this.generateJson(prompt, 'DomAnalyzer.extractAuthSelectors', AUTH_SELECTORS_SCHEMA, {
+      template,
+      cache: options.cache,
+      signal: options.signal,
+    });
 
     // ✅ Save selectors to analysis output file
     const outputDir = 'output';
@@ -1,6 +1,7 @@
 const { PlaywrightCrawler } = require('crawlee');
 const fs = require('fs');
 const path = require('path');
+const { redactor } = require('../services/redaction');
 
 class RawDomCrawler {
   constructor(options = {}) {
@@ -118,7 +119,7 @@ class RawDomCrawler {
     }
 
     const outputPath = path.join(this.outputDir, this.outputFile);
-    fs.writeFileSync(outputPath, JSON.stringify(this.results, null, 2));
+    fs.writeFileSync(outputPath, redactor.stringify(this.results));
     // High-level progress: log output file save
     console.log(`Raw page data saved to ${outputPath}`);
 
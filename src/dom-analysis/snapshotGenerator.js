@@ -1,5 +1,10 @@
 const fs = require('fs');
 const path = require('path');
+const { credentialOptions, loadAuthContext, routeAuthHeaders } = require('../authentication/authContext');
+const { readSecureJson } = require('../authentication/secureStorage');
+const { redactor } = require('../services/redaction');
+const { loadCrawlRules } = require('../route-discovery/crawlRules');
+const { routeKey } = require('../route-discovery/routeTemplates');
 
 /**
  * Generate crawl data for routes based on configurable criteria
@@ -10,7 +15,10 @@ const path = require('path');
  * @param {number} options.maxRoutes - Maximum number of routes to process (default: 3)
  * @param {string} options.outputDir - Output directory name (default: 'tests')
  * @param {string} options.routesFile - Path to routes file (default: 'output/routes.json')
+ * @param {string} options.storageState - Storage state to crawl with (default: 'data/storage-state.json')
+ * @param {string} options.persona - Persona name recorded in crawl-summary.json (default: none)
  * @param {Object} options.sortOrder - Priority order for sorting (default: { 'High': 3, 'Medium': 2, 'Low': 1 })
+ * @param {Object} options.crawlRules - Include/exclude, depth and limit rules (default: config/crawl-rules.json, see crawlRules.js)
  */
 async function generateCrawlData(routeAnalysis, options = {}) {
   // Set default options
@@ -20,9 +28,12 @@ async function generateCrawlData(routeAnalysis, options = {}) {
     maxRoutes: 3,
     outputDir: 'tests',
     routesFile: path.join('output', 'routes.json'),
+    storageState: path.join('data', 'storage-state.json'),
+    persona: null,
     sortOrder: { 'High': 3, 'Medium': 2, 'Low': 1 },
     ...options
   };
+  const crawlRules = config.crawlRules || loadCrawlRules();
 
   // Read routes data to get the correct explorationDomain 
   if (!fs.existsSync(config.routesFile)) {
@@ -124,6 +135,7 @@ async function generateCrawlData(routeAnalysis, options = {}) {
 
   // Track processed URLs to avoid duplicates
   const processedUrls = new Set();
+  const excludedUrls = new Map(); // URL → reason the crawl rules gave
   let processedCount = 0;
 
   // Generate crawl data for each filtered route
@@ -141,7 +153,15 @@ async function generateCrawlData(routeAnalysis, options = {}) {
         continue;
       }
 
-      if (processedUrls.has(fullUrl)) {
+      if (processedUrls.has(fullUrl) || excludedUrls.has(fullUrl)) {
+        continue;
+      }
+
+      // Depth as recorded by RouteExplorer; routes without one only get the pattern rules
+      const verdict = crawlRules.admit(fullUrl, routesData.discoveredVia?.[routeKey(fullUrl)]?.depth);
+      if (!verdict.allowed) {
+        excludedUrls.set(fullUrl, verdict.reason);
+        console.log(`⏭️ Skipping ${targetUrl}: ${verdict.reason}`);
         continue;
       }
       processedUrls.add(fullUrl);
@@ -173,17 +193,20 @@ async function generateCrawlData(routeAnalysis, options = {}) {
         });
         let storageState = null;
         try {
-          if (fs.existsSync('data/storage-state.json')) {
-            storageState = JSON.parse(fs.readFileSync('data/storage-state.json', 'utf8'));
+          if (fs.existsSync(config.storageState)) {
+            storageState = readSecureJson(config.storageState);
           } else {
-            throw new Error('Storage state file not found');
+            throw new Error(`Storage state file not found: ${config.storageState}`);
           }
         } catch (error) {
           throw error;
         }
+        const authExtras = loadAuthContext(config.storageState);
         const context = await browser.newContext({
-          storageState: storageState
+          storageState: storageState,
+          ...credentialOptions(authExtras)
         });
+        await routeAuthHeaders(context, authExtras);
         const page = await context.newPage();
         try {
           await page.setViewportSize({ width: 1280, height: 800 });
@@ -235,7 +258,7 @@ async function generateCrawlData(routeAnalysis, options = {}) {
               tree: buildTree(document.documentElement),
             };
           });
-          fs.writeFileSync(outputPath, JSON.stringify([pageData], null, 2));
+          fs.writeFileSync(outputPath, redactor.stringify([pageData]));
         } finally {
           await context.close();
           await browser.close();
@@ -249,6 +272,7 @@ async function generateCrawlData(routeAnalysis, options = {}) {
   // Create a summary file for processed routes
   const summaryFile = path.join(outputDir, 'crawl-summary.json');
   const summary = {
+    persona: config.persona,
     filterCriteria: {
       businessCriticality: config.businessCriticalityFilter,
       testingPriority: config.testingPriorityFilter
@@ -256,7 +280,9 @@ async function generateCrawlData(routeAnalysis, options = {}) {
     totalMenusFound: allRoutes.length,
     totalIndividualRoutes: allRoutes.reduce((sum, route) => sum + route.routes.length, 0),
     uniqueRoutesProcessed: processedCount,
-    duplicatesSkipped: allRoutes.reduce((sum, route) => sum + route.routes.length, 0) - processedCount,
+    duplicatesSkipped: allRoutes.reduce((sum, route) => sum + route.routes.length, 0) - processedCount - excludedUrls.size,
+    crawlRules: crawlRules.toJSON(),
+    excludedRoutes: Array.from(excludedUrls, ([url, reason]) => ({ url, reason })),
     outputDirectory: config.outputDir,
     generatedAt: new Date().toISOString(),
     note: 'Each route contains raw-dom.json file with complete DOM structure. All sub-routes in each menu are processed. Includes both main navigation and extracted navigation routes.',
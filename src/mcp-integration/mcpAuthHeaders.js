@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * @playwright/mcp initPage script: routes AUTOWRIGHT_AUTH_HEADERS onto the
+ * page's requests to the app origin.
+ */
+
+const { routeAuthHeaders } = require('../authentication/authContext');
+
+async function routeHeadersForPage({ page }) {
+  if (!process.env.AUTOWRIGHT_AUTH_HEADERS) return;
+  await routeAuthHeaders(page, JSON.parse(process.env.AUTOWRIGHT_AUTH_HEADERS));
+}
+
+// @playwright/mcp calls the module's default export with { page }
+module.exports = { default: routeHeadersForPage };
@@ -7,10 +7,15 @@
  *   1. Spawns @playwright/mcp unauthenticated
  *   2. Navigates to START_URL and takes an ARIA snapshot
  *   3. Parses the snapshot to detect whether it is a login page
- *   4. Extracts auth selectors (username, password, submit) from ARIA roles
+ *   4. Extracts auth selectors (username, password, submit and any one-time
+ *      code field) from ARIA roles
+ *   5. For identifier-first logins (email → Next → password), types the
+ *      username, submits it and snapshots again until the password screen
+ *      shows up, recording each screen as login steps
  *
- * Returns { isLoginPage, pageType, authSelectors } — compatible with the
- * authBootstrap constructor so no other code needs to change.
+ * Returns { isLoginPage, pageType, authSelectors, loginSteps } — authSelectors
+ * stays compatible with the authBootstrap constructor; loginSteps is the full
+ * declarative flow (see authentication/loginFlow.js).
  */
 
 const path = require('path');
@@ -19,6 +24,17 @@ const fs   = require('fs');
 const sdkBase = path.join(process.cwd(), 'node_modules', '@modelcontextprotocol', 'sdk', 'dist', 'cjs');
 const { Client }               = require(path.join(sdkBase, 'client', 'index.js'));
 const { StdioClientTransport } = require(path.join(sdkBase, 'client', 'stdio.js'));
+const { stepsFromSelectors }   = require('../authentication/loginFlow');
+
+// ARIA snapshot line patterns, e.g. `- textbox "Email" [ref=e12]`
+const TEXTBOX_RE = /^\s*-\s+textbox\s+"([^"]+)"(?:.*\[ref=(\w+)\])?/i;
+const BUTTON_RE  = /^\s*-\s+button\s+"([^"]+)"(?:.*\[ref=(\w+)\])?/i;
+
+const PASSWORD_FIELD_RE = /password|passcode/i;
+const OTP_FIELD_RE      = /one.?time|\bt?otp\b|verification|\b(?:2fa|mfa)\b|(?:security|authenticat\w*) code|\d-digit/i;
+const USERNAME_FIELD_RE = /email|username|user name|phone|mobile|login|sign.?in/i;
+const SUBMIT_BUTTON_RE  = /sign.?in|log.?in|continue|next|submit|verify|proceed/i;
+const SIGN_IN_TEXT_RE   = /sign.?in|log.?in|login/i;
 
 class McpBootstrap {
   /**
@@ -26,11 +42,17 @@ class McpBootstrap {
    * @param {string}  options.startUrl  - URL to navigate to (from START_URL env var)
    * @param {boolean} [options.headless] - Run headless (default: false)
    * @param {number}  [options.navWaitMs] - Ms to wait after navigation (default: 4000)
+   * @param {string}  [options.username] - Typed into identifier-first screens to reach the
+   *   password screen (default: LOGIN_USERNAME env var)
+   * @param {number}  [options.maxLoginScreens] - Screens to walk through looking for the
+   *   password field (default: 3)
    */
   constructor(options = {}) {
     this.startUrl  = options.startUrl;
     this.headless  = options.headless  ?? false;
     this.navWaitMs = options.navWaitMs ?? 4000;
+    this.username  = options.username  ?? process.env.LOGIN_USERNAME;
+    this.maxLoginScreens = options.maxLoginScreens ?? 3;
 
     this.client    = null;
     this.transport = null;
@@ -101,7 +123,7 @@ class McpBootstrap {
 
   /**
    * Navigate to startUrl, snapshot the page, and return detection results.
-   * @returns {{ isLoginPage: boolean, pageType: string, authSelectors: object|null }}
+   * @returns {{ isLoginPage: boolean, pageType: string, authSelectors: object|null, loginSteps: object[]|null }}
    */
   async detect() {
     await this.start();
@@ -113,27 +135,111 @@ class McpBootstrap {
       const snapshot = await this._call('browser_snapshot');
       console.log('📸 Snapshot captured. Analyzing...');
 
-      const isLoginPage   = this._detectLoginPage(snapshot);
-      const pageType      = isLoginPage ? 'login' : 'authenticated';
-      const authSelectors = isLoginPage ? this._extractAuthSelectors(snapshot) : null;
+      const flow        = await this._detectLoginFlow(snapshot);
+      const isLoginPage = flow !== null;
+      const pageType    = isLoginPage ? 'login' : 'authenticated';
 
       if (isLoginPage) {
-        console.log('🔐 Login page detected.');
-        console.log(`   Username: ${authSelectors.usernameSelector}`);
-        console.log(`   Password: ${authSelectors.passwordSelector}`);
-        console.log(`   Submit  : ${authSelectors.submitSelector}`);
+        console.log(`🔐 Login page detected (${flow.screens} screen${flow.screens === 1 ? '' : 's'}).`);
+        console.log(`   Username: ${flow.authSelectors.usernameSelector}`);
+        console.log(`   Password: ${flow.authSelectors.passwordSelector}`);
+        console.log(`   Submit  : ${flow.authSelectors.submitSelector}`);
+        if (flow.authSelectors.otpSelector) {
+          console.log(`   OTP     : ${flow.authSelectors.otpSelector}`);
+        }
       } else {
         console.log('✅ No login page — already authenticated.');
       }
 
-      return { isLoginPage, pageType, authSelectors };
+      return {
+        isLoginPage,
+        pageType,
+        authSelectors: flow?.authSelectors ?? null,
+        loginSteps:    flow?.loginSteps ?? null,
+      };
     } finally {
       await this.stop();
     }
   }
 
+  /**
+   * Walk the login screens from `snapshot`, submitting identifier-first
+   * screens, until one shows a password field.
+   */
+  async _detectLoginFlow(snapshot) {
+    const steps = [];
+    let usernameSelector = null;
+
+    for (let screen = 1; screen <= this.maxLoginScreens; screen++) {
+      if (this._detectLoginPage(snapshot)) {
+        const selectors = this._extractAuthSelectors(snapshot);
+        if (!usernameSelector) {
+          return { authSelectors: selectors, loginSteps: stepsFromSelectors(selectors), screens: screen };
+        }
+        // Username was entered on an earlier screen; only the password remains
+        steps.push(
+          { action: 'waitForSelector', selector: selectors.passwordSelector },
+          { action: 'fill', selector: selectors.passwordSelector, value: '{{password}}' },
+          ...(selectors.otpSelector ? [{ action: 'fill', selector: selectors.otpSelector, value: '{{totp}}' }] : []),
+          { action: 'click', selector: selectors.submitSelector },
+        );
+        return {
+          authSelectors: { ...selectors, usernameSelector },
+          loginSteps: steps,
+          screens: screen,
+        };
+      }
+
+      const identifier = this._findIdentifierStep(snapshot);
+      if (!identifier) return null;
+      if (!this.username) {
+        console.log(`⚠️  "${identifier.fieldLabel}" looks like an identifier-first login screen, but LOGIN_USERNAME is not set — cannot continue to the password screen.`);
+        return null;
+      }
+
+      console.log(`➡️  Identifier-first screen: entering "${identifier.fieldLabel}" and clicking "${identifier.buttonLabel}"`);
+      usernameSelector = usernameSelector || `role=textbox[name="${identifier.fieldLabel}"]`;
+      steps.push(
+        { action: 'fill', selector: `role=textbox[name="${identifier.fieldLabel}"]`, value: '{{username}}' },
+        { action: 'click', selector: `role=button[name="${identifier.buttonLabel}"]` },
+      );
+
+      await this._call('browser_type', { element: `${identifier.fieldLabel} textbox`, ref: identifier.fieldRef, text: this.username });
+      await this._call('browser_click', { element: `${identifier.buttonLabel} button`, ref: identifier.buttonRef });
+      await this._call('browser_wait_for', { time: this.navWaitMs / 1000 });
+      snapshot = await this._call('browser_snapshot');
+      console.log(`📸 Snapshot of login screen ${screen + 1} captured. Analyzing...`);
+    }
+
+    return null;
+  }
+
   // ─── ARIA snapshot parsing ──────────────────────────────────────────────────
 
+  /**
+   * Find the username field and continue button of an identifier-first
+   * screen, on pages that mention signing in.
+   */
+  _findIdentifierStep(snapshot) {
+    if (!SIGN_IN_TEXT_RE.test(snapshot)) return null;
+
+    let field  = null;
+    let button = null;
+    for (const line of snapshot.split('\n')) {
+      const tbMatch = line.match(TEXTBOX_RE);
+      if (tbMatch && tbMatch[2] && !field && !OTP_FIELD_RE.test(tbMatch[1]) && USERNAME_FIELD_RE.test(tbMatch[1])) {
+        field = { label: tbMatch[1], ref: tbMatch[2] };
+      }
+      const btnMatch = line.match(BUTTON_RE);
+      if (btnMatch && btnMatch[2] && !button && SUBMIT_BUTTON_RE.test(btnMatch[1])) {
+        button = { label: btnMatch[1], ref: btnMatch[2] };
+      }
+    }
+
+    if (!field || !button) return null;
+    return { fieldLabel: field.label, fieldRef: field.ref, buttonLabel: button.label, buttonRef: button.ref };
+  }
+
   /**
    * Detect if the page is a login page based on ARIA snapshot content.
    * @param {string} snapshot - ARIA accessibility snapshot text
@@ -147,6 +253,7 @@ class McpBootstrap {
    * Extract authentication selectors from ARIA snapshot.
    * @param {string} snapshot - ARIA accessibility snapshot text
    * @returns {object} Object containing usernameSelector, passwordSelector, submitSelector
+   *   and otpSelector (null unless a one-time-code field is on the page)
    */
   _extractAuthSelectors(snapshot) {
     const lines = snapshot.split('\n');
@@ -154,23 +261,19 @@ class McpBootstrap {
     let usernameLabel = null;
     let passwordLabel = null;
     let submitLabel   = null;
-
-    // Patterns for fields
-    const textboxRe = /^\s*-\s+textbox\s+"([^"]+)"/i;
-    const buttonRe  = /^\s*-\s+button\s+"([^"]+)"/i;
-
-    const passwordFieldRe  = /password|passcode/i;
-    const usernameFieldRe  = /email|username|user name|phone|mobile|login|sign.?in/i;
-    const submitButtonRe   = /sign.?in|log.?in|continue|next|submit|verify|proceed/i;
+    let otpLabel      = null;
 
     for (const line of lines) {
       // Textboxes
-      const tbMatch = line.match(textboxRe);
+      const tbMatch = line.match(TEXTBOX_RE);
       if (tbMatch) {
         const label = tbMatch[1];
-        if (passwordFieldRe.test(label) && !passwordLabel) {
+        if (OTP_FIELD_RE.test(label)) {
+          // One-time code (MFA) — never mistaken for the username
+          if (!otpLabel) otpLabel = label;
+        } else if (PASSWORD_FIELD_RE.test(label) && !passwordLabel) {
           passwordLabel = label;
-        } else if (usernameFieldRe.test(label) && !usernameLabel) {
+        } else if (USERNAME_FIELD_RE.test(label) && !usernameLabel) {
           usernameLabel = label;
         } else if (!usernameLabel && !passwordLabel) {
           // First textbox on the page is likely username if nothing else matched
@@ -179,9 +282,9 @@ class McpBootstrap {
       }
 
       // Submit button
-      const btnMatch = line.match(buttonRe);
+      const btnMatch = line.match(BUTTON_RE);
       if (btnMatch && !submitLabel) {
-        if (submitButtonRe.test(btnMatch[1])) {
+        if (SUBMIT_BUTTON_RE.test(btnMatch[1])) {
           submitLabel = btnMatch[1];
         }
       }
@@ -190,8 +293,8 @@ class McpBootstrap {
     // If we found a password field but no username field yet, grab the first textbox
     if (!usernameLabel) {
       for (const line of lines) {
-        const tbMatch = line.match(textboxRe);
-        if (tbMatch && !passwordFieldRe.test(tbMatch[1])) {
+        const tbMatch = line.match(TEXTBOX_RE);
+        if (tbMatch && !PASSWORD_FIELD_RE.test(tbMatch[1]) && !OTP_FIELD_RE.test(tbMatch[1])) {
           usernameLabel = tbMatch[1];
           break;
         }
@@ -201,7 +304,7 @@ class McpBootstrap {
     // Fallback submit: any button if none matched the pattern
     if (!submitLabel) {
       for (const line of lines) {
-        const btnMatch = line.match(buttonRe);
+        const btnMatch = line.match(BUTTON_RE);
         if (btnMatch) { submitLabel = btnMatch[1]; break; }
       }
     }
@@ -210,6 +313,7 @@ class McpBootstrap {
       usernameSelector: usernameLabel ? `role=textbox[name="${usernameLabel}"]` : 'input[type="email"], input[type="text"]',
       passwordSelector: passwordLabel ? `role=textbox[name="${passwordLabel}"]` : 'input[type="password"]',
       submitSelector:   submitLabel   ? `role=button[name="${submitLabel}"]`    : 'button[type="submit"]',
+      otpSelector:      otpLabel      ? `role=textbox[name="${otpLabel}"]`      : null,
     };
   }
 }
@@ -19,6 +19,9 @@
 
 const path = require('path');
 const fs   = require('fs');
+const os   = require('os');
+const { authContextOptions, loadAuthContext } = require('../authentication/authContext');
+const { redactor } = require('../services/redaction');
 
 const sdkBase = path.join(process.cwd(), 'node_modules', '@modelcontextprotocol', 'sdk', 'dist', 'cjs');
 const { Client }               = require(path.join(sdkBase, 'client', 'index.js'));
@@ -28,6 +31,7 @@ class McpDynamicAnalyzer {
   /**
    * @param {object}   options
    * @param {string}   options.storageState      - Path to Playwright storage-state JSON
+   * @param {string}   [options.persona]          - Persona name recorded in every result (see authentication/personas.js)
    * @param {string}   options.outputDir         - Directory for output artefacts
    * @param {string}   [options.baseUrl]          - Base URL to prepend to relative routes (e.g. 'https://beta.rocket.com')
    * @param {number}   [options.maxRoutes]        - Max routes to analyse (null = all)
@@ -42,6 +46,7 @@ class McpDynamicAnalyzer {
    */
   constructor(options = {}) {
     this.storageState     = path.resolve(options.storageState || path.join(process.cwd(), 'data', 'storage-state.json'));
+    this.persona          = options.persona          || null;
     this.outputDir        = options.outputDir        || path.join(process.cwd(), 'output', 'mcp-analysis');
     this.testsDir         = options.testsDir         ? path.resolve(options.testsDir) : path.join(process.cwd(), 'tests');
     this.baseUrl          = options.baseUrl          ? options.baseUrl.replace(/\/$/, '') : null;
@@ -69,6 +74,10 @@ class McpDynamicAnalyzer {
       .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
     this.skipLabelRe = new RegExp('\\b(' + labelPatterns.join('|') + ')\\b', 'i');
 
+    // Runtime config (written in start()): session cookies live only in a private temp dir
+    this.configDir  = null;
+    this.configPath = null;
+
     /** @type {Client|null} */
     this.client    = null;
     /** @type {StdioClientTransport|null} */
@@ -92,17 +101,24 @@ class McpDynamicAnalyzer {
       },
     };
 
+    // Auth headers reach the server through its environment (see mcpAuthHeaders.js)
+    const serverEnv = {};
     if (fs.existsSync(this.storageState)) {
-      mcpConfig.browser.contextOptions.storageState = this.storageState;
-      console.log(`[MCP] Storage state  : ${this.storageState}`);
+      // Inlined decrypted — see writeRuntimeConfig()
+      mcpConfig.browser.contextOptions = authContextOptions(this.storageState);
+      const { origin, headers } = loadAuthContext(this.storageState);
+      if (headers) {
+        mcpConfig.browser.initPage = [path.join(__dirname, 'mcpAuthHeaders.js')];
+        serverEnv.AUTOWRIGHT_AUTH_HEADERS = JSON.stringify({ origin, headers });
+      }
+      console.log(`[MCP] Storage state  : ${this.storageState}${this.persona ? ` (persona: ${this.persona})` : ''}`);
     } else {
       console.warn(`[MCP] Warning: storage-state not found at ${this.storageState} — proceeding unauthenticated.`);
     }
 
-    const configPath = path.join(process.cwd(), '.mcp-runtime-config.json');
-    fs.writeFileSync(configPath, JSON.stringify(mcpConfig, null, 2), 'utf8');
+    this.writeRuntimeConfig(mcpConfig);
 
-    const cliArgs = ['--config', configPath];
+    const cliArgs = ['--config', this.configPath];
 
     console.log(`[MCP] Spawning server: node cli.js ${cliArgs.join(' ')}`);
 
@@ -110,6 +126,7 @@ class McpDynamicAnalyzer {
     this.transport = new StdioClientTransport({
       command: process.execPath,     // full path to node.exe
       args: [mcpBin, ...cliArgs],
+      env: serverEnv,
     });
 
     this.client = new Client(
@@ -117,7 +134,12 @@ class McpDynamicAnalyzer {
       { capabilities: { tools: {} } }
     );
 
-    await this.client.connect(this.transport);
+    try {
+      await this.client.connect(this.transport);
+    } finally {
+      // The server has read its config once connected; don't leave the session on disk
+      this.removeRuntimeConfig();
+    }
     console.log('[MCP] Client connected.');
 
     const { tools } = await this.client.listTools();
@@ -127,12 +149,25 @@ class McpDynamicAnalyzer {
   async stop() {
     try { await this.client?.close();    } catch (_) {}
     try { await this.transport?.close(); } catch (_) {}
-    // Remove the temporary runtime config file
-    const configPath = path.join(process.cwd(), '.mcp-runtime-config.json');
-    try { if (fs.existsSync(configPath)) fs.unlinkSync(configPath); } catch (_) {}
+    this.removeRuntimeConfig();
     console.log('[MCP] Client disconnected.');
   }
 
+  /**
+   * Write the server config to an owner-only temp directory; it holds the live session.
+   */
+  writeRuntimeConfig(mcpConfig) {
+    this.configDir = fs.mkdtempSync(path.join(os.tmpdir(), `autowright-mcp-${this.persona || 'default'}-`));
+    this.configPath = path.join(this.configDir, 'config.json');
+    fs.writeFileSync(this.configPath, JSON.stringify(mcpConfig, null, 2), { encoding: 'utf8', mode: 0o600 });
+  }
+
+  removeRuntimeConfig() {
+    if (!this.configDir) return;
+    try { fs.rmSync(this.configDir, { recursive: true, force: true }); } catch (_) {}
+    this.configDir = null;
+  }
+
   // ─── Tool wrappers ─────────────────────────────────────────────────────────
 
   async callTool(name, args = {}) {
@@ -338,6 +373,7 @@ class McpDynamicAnalyzer {
 
     const pageResult = {
       url,
+      persona: this.persona,
       timestamp: new Date().toISOString(),
       finalUrl: null,
       pageTitle: null,
@@ -524,7 +560,7 @@ class McpDynamicAnalyzer {
     fs.mkdirSync(dir, { recursive: true });
 
     if (pageResult.initialSnapshot?.ariaText) {
-      fs.writeFileSync(path.join(dir, 'snapshot.txt'), pageResult.initialSnapshot.ariaText, 'utf8');
+      fs.writeFileSync(path.join(dir, 'snapshot.txt'), redactor.text(pageResult.initialSnapshot.ariaText), 'utf8');
       console.log(`  → snapshot: ${dir}`);
     }
     // analysis.json is written to the tests/ mirror below — not duplicated here
@@ -538,7 +574,7 @@ class McpDynamicAnalyzer {
       if (segments.length > 0) {
         const testDir = path.join(this.testsDir, ...segments);
         fs.mkdirSync(testDir, { recursive: true });
-        fs.writeFileSync(path.join(testDir, 'dynamic-analysis.json'), JSON.stringify(pageResult, null, 2), 'utf8');
+        fs.writeFileSync(path.join(testDir, 'dynamic-analysis.json'), redactor.stringify(pageResult), 'utf8');
         console.log(`  → tests mirror: ${testDir}`);
       }
     } catch (_) {}
@@ -547,6 +583,14 @@ class McpDynamicAnalyzer {
   // ─── Main entry ────────────────────────────────────────────────────────────
 
   async analyze() {
+    try {
+      return await this.analyzeRoutes();
+    } finally {
+      await this.stop();
+    }
+  }
+
+  async analyzeRoutes() {
     await this.start();
 
     const urls = this.resolveTargetUrls();
@@ -561,6 +605,7 @@ class McpDynamicAnalyzer {
     }
 
     const summary = {
+      persona: this.persona,
       generatedAt: new Date().toISOString(),
       totalRoutes: results.length,
       totalInteractions:    results.reduce((n, r) => n + r.interactions.length, 0),
@@ -576,7 +621,6 @@ class McpDynamicAnalyzer {
     console.log(`  State changes : ${summary.stateChangesDetected}`);
     console.log(`  Nav events    : ${summary.navigationEvents}`);
 
-    await this.stop();
     return summary;
   }
 }
@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Role-based access matrix: what each persona gets on every route (rendered,
+ * login, forbidden, not-found, redirected, error), checked against `allowedPersonas`.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { toPathKey } = require('./routeConfig');
+const { authContextOptions, applyAuthHeaders } = require('../authentication/authContext');
+
+const OUTCOMES = ['rendered', 'login', 'forbidden', 'not-found', 'redirected', 'error'];
+
+const LOGIN_PATH_RE = /\/(?:login|log-in|signin|sign-in|sign_in|auth|sso|oauth2?|authorize)\b/i;
+const FORBIDDEN_TEXT_RE = /access denied|forbidden|not authori[sz]ed|unauthori[sz]ed|you (?:do not|don't) have (?:access|permission)|insufficient (?:permissions|privileges)/i;
+const NOT_FOUND_TEXT_RE = /page not found|\b404\b|does not exist|can(?:no|')t be found/i;
+
+/**
+ * Classify one visit.
+ */
+function classifyAccess(visit) {
+  if (visit.error) return 'error';
+
+  const requested = new URL(visit.requestedUrl);
+  const final = new URL(visit.finalUrl || visit.requestedUrl);
+  const login = visit.loginUrl ? new URL(visit.loginUrl) : null;
+  const label = `${visit.title || ''} ${visit.heading || ''}`;
+
+  const onLoginPage = (login && final.origin === login.origin && final.pathname === login.pathname)
+    || (LOGIN_PATH_RE.test(final.pathname) && !LOGIN_PATH_RE.test(requested.pathname));
+  if (onLoginPage || visit.hasPasswordField) return 'login';
+
+  if (visit.status === 401 || visit.status === 403 || FORBIDDEN_TEXT_RE.test(label)) return 'forbidden';
+  if (visit.status === 404 || NOT_FOUND_TEXT_RE.test(label)) return 'not-found';
+  if (visit.status >= 500) return 'error';
+  if (toPathKey(final.href).replace(/\/$/, '') !== toPathKey(requested.href).replace(/\/$/, '')) return 'redirected';
+  return 'rendered';
+}
+
+class AccessMatrix {
+  constructor(options = {}) {
+    this.personas = options.personas || [];
+    this.baseUrl = options.baseUrl;
+    this.loginUrl = options.loginUrl || process.env.START_URL;
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.settleMs = options.settleMs ?? 1500;
+    this.headless = options.headless ?? true;
+    this.outputDir = options.outputDir || 'output';
+    this.representatives = new Map(); // Route key → URL to visit (see collectRoutes)
+  }
+
+  /**
+   * Route keys discovered by any persona plus those in routes.config.json;
+   * the URL to visit for each is kept in `this.representatives`.
+   */
+  collectRoutes(configEntries = []) {
+    const add = url => {
+      const key = toPathKey(url);
+      if (!this.representatives.has(key)) this.representatives.set(key, url);
+    };
+    configEntries.forEach(entry => add(entry.url));
+    for (const persona of this.personas) {
+      const file = path.join(persona.outputDir, 'routes.json');
+      if (!fs.existsSync(file)) continue;
+      const routesData = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (routesData.discoveredRoutes || []).forEach(add);
+    }
+    return [...this.representatives.keys()].sort();
+  }
+
+  /**
+   * Visit one URL in an authenticated page and describe what happened.
+   */
+  async visit(page, url) {
+    const visit = { requestedUrl: url, loginUrl: this.loginUrl };
+    try {
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.timeoutMs });
+      await page.waitForLoadState('networkidle', { timeout: this.settleMs * 4 }).catch(() => {});
+      await page.waitForTimeout(this.settleMs);
+
+      visit.status = response?.status();
+      visit.finalUrl = page.url();
+      visit.title = await page.title().catch(() => '');
+      visit.heading = await page.locator('h1').first().textContent({ timeout: 1000 }).catch(() => '');
+      visit.hasPasswordField = await page.locator('input[type="password"]').count().then(n => n > 0, () => false);
+    } catch (error) {
+      visit.error = error.message.split('\n')[0];
+    }
+
+    visit.outcome = classifyAccess(visit);
+    delete visit.loginUrl;
+    return visit;
+  }
+
+  /**
+   * Probe every route with every persona and compare against expectations.
+   */
+  async build(options = {}) {
+    const { chromium } = require('playwright');
+    const configEntries = options.configEntries || [];
+    const routes = options.routes || this.collectRoutes(configEntries);
+    const personas = this.personas.filter(persona => {
+      if (fs.existsSync(persona.storageState)) return true;
+      console.log(`⚠️  Skipping persona "${persona.name}": no storage state at ${persona.storageState} (run the pipeline with --persona ${persona.name} first)`);
+      return false;
+    });
+    if (personas.length === 0) {
+      throw new Error('No persona has a saved storage state — log in as at least one persona first.');
+    }
+
+    console.log(`🔐 Probing ${routes.length} route(s) as ${personas.length} persona(s): ${personas.map(p => p.name).join(', ')}`);
+    const results = new Map(routes.map(route => [route, {}]));
+    const browser = await chromium.launch({ headless: this.headless });
+    try {
+      for (const persona of personas) {
+        const context = await browser.newContext(authContextOptions(persona.storageState));
+        await applyAuthHeaders(context, persona.storageState);
+        const page = await context.newPage();
+        const counts = {};
+        for (const [i, route] of routes.entries()) {
+          const visit = await this.visit(page, new URL(this.representatives.get(route) || route, this.baseUrl).href);
+          results.get(route)[persona.name] = visit;
+          counts[visit.outcome] = (counts[visit.outcome] || 0) + 1;
+          console.log(`   [${persona.name}] ${i + 1}/${routes.length} ${route} → ${visit.outcome}${visit.status ? ` (${visit.status})` : ''}`);
+        }
+        await context.close();
+        console.log(`✅ ${persona.name}: ${OUTCOMES.filter(o => counts[o]).map(o => `${counts[o]} ${o}`).join(', ')}`);
+      }
+    } finally {
+      await browser.close();
+    }
+
+    return this.compile(routes, personas.map(p => p.name), results, configEntries);
+  }
+
+  /**
+   * Turn raw visits into the matrix and flag violations.
+   */
+  compile(routes, personaNames, results, configEntries = []) {
+    const expectations = new Map(configEntries
+      .filter(entry => Array.isArray(entry.allowedPersonas))
+      .map(entry => [toPathKey(entry.url), entry]));
+
+    const violations = [];
+    const deniedExpected = [];
+    const rows = routes.map(route => {
+      const expected = expectations.get(route);
+      const access = results.get(route) || {};
+      for (const persona of personaNames) {
+        const visit = access[persona];
+        if (!visit || !expected) continue;
+        const allowed = expected.allowedPersonas.includes(persona);
+        if (visit.outcome === 'rendered' && !allowed) {
+          violations.push({ route, persona, allowedPersonas: expected.allowedPersonas, riskLevel: expected.riskLevel });
+        } else if (visit.outcome !== 'rendered' && allowed) {
+          deniedExpected.push({ route, persona, outcome: visit.outcome });
+        }
+      }
+      return {
+        route,
+        allowedPersonas: expected?.allowedPersonas ?? null,
+        riskLevel: expected?.riskLevel ?? null,
+        access,
+      };
+    });
+
+    const byPersona = Object.fromEntries(personaNames.map(persona => [
+      persona,
+      Object.fromEntries(OUTCOMES.map(outcome => [
+        outcome,
+        rows.filter(row => row.access[persona]?.outcome === outcome).length,
+      ])),
+    ]));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      baseUrl: this.baseUrl,
+      personas: personaNames,
+      summary: {
+        routes: routes.length,
+        withExpectations: rows.filter(row => row.allowedPersonas).length,
+        violations: violations.length,
+        deniedExpected: deniedExpected.length,
+        byPersona,
+      },
+      violations,
+      deniedExpected,
+      routes: rows,
+    };
+  }
+
+  /**
+   * Write access-matrix.json and access-matrix.html.
+   */
+  save(matrix) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const jsonFile = path.join(this.outputDir, 'access-matrix.json');
+    const htmlFile = path.join(this.outputDir, 'access-matrix.html');
+    fs.writeFileSync(jsonFile, JSON.stringify(matrix, null, 2));
+    fs.writeFileSync(htmlFile, renderAccessMatrixHtml(matrix));
+    return { jsonFile, htmlFile };
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Self-contained HTML table: one row per route, one column per persona.
+ */
+function renderAccessMatrixHtml(matrix) {
+  const violationKeys = new Set(matrix.violations.map(v => `${v.route}|${v.persona}`));
+  const header = matrix.personas.map(p => `<th>${escapeHtml(p)}</th>`).join('');
+  const rows = matrix.routes.map(row => {
+    const cells = matrix.personas.map(persona => {
+      const visit = row.access[persona];
+      if (!visit) return '<td class="none">—</td>';
+      const violation = violationKeys.has(`${row.route}|${persona}`);
+      const detail = [visit.status, visit.finalUrl !== visit.requestedUrl ? visit.finalUrl : null, visit.error]
+        .filter(Boolean).join(' · ');
+      return `<td class="${visit.outcome}${violation ? ' violation' : ''}" title="${escapeHtml(detail)}">`
+        + `${escapeHtml(visit.outcome)}${violation ? ' ⚠' : ''}</td>`;
+    }).join('');
+    const allowed = row.allowedPersonas ? escapeHtml(row.allowedPersonas.join(', ')) : '<span class="none">any</span>';
+    return `<tr><td><code>${escapeHtml(row.route)}</code></td><td>${allowed}</td>${cells}</tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Access matrix — ${escapeHtml(matrix.baseUrl)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ddd; padding: .35rem .6rem; text-align: left; font-size: .9rem; }
+  th { background: #f4f4f4; position: sticky; top: 0; }
+  .rendered { background: #e6f4ea; }
+  .login, .forbidden { background: #f1f3f4; color: #555; }
+  .not-found, .redirected { background: #fef7e0; }
+  .error { background: #fce8e6; }
+  .violation { background: #d93025; color: #fff; font-weight: bold; }
+  .none { color: #999; }
+</style>
+</head>
+<body>
+<h1>Access matrix</h1>
+<p>${escapeHtml(matrix.summary.routes)} routes × ${escapeHtml(matrix.personas.length)} personas, generated ${escapeHtml(matrix.generatedAt)}.
+<strong>${escapeHtml(matrix.summary.violations)} violation(s)</strong> — routes rendered for a persona not listed in <code>allowedPersonas</code>.</p>
+<table>
+<thead><tr><th>Route</th><th>Allowed</th>${header}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = { AccessMatrix, classifyAccess, renderAccessMatrixHtml, OUTCOMES };
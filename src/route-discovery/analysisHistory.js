@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * Route analysis history: timestamped snapshots under data/history/ and the
+ * diff between two of them.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { toPathKey } = require('./routeConfig');
+
+const RISK_LEVELS = ['Unknown', 'Low', 'Medium', 'High'];
+const SNAPSHOT_RE = /^route-analysis-(.+)\.json$/;
+
+class AnalysisHistory {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.ANALYSIS_HISTORY_DIR || path.join('data', 'history', 'route-analysis');
+    this.limit = options.limit ?? parseInt(process.env.ANALYSIS_HISTORY_LIMIT ?? '20', 10);
+  }
+
+  /**
+   * Store a snapshot of an analysis and prune old ones.
+   */
+  save(analysis) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const stamp = (analysis.analysisTimestamp || new Date().toISOString()).replace(/[:.]/g, '-');
+    const file = path.join(this.dir, `route-analysis-${stamp}.json`);
+    fs.writeFileSync(file, JSON.stringify(analysis, null, 2));
+
+    const snapshots = this.list();
+    for (const old of snapshots.slice(0, Math.max(0, snapshots.length - this.limit))) {
+      fs.unlinkSync(old.file);
+    }
+    return file;
+  }
+
+  /**
+   * Snapshots, oldest first.
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(name => SNAPSHOT_RE.test(name))
+      .sort()
+      .map(name => ({ id: name.match(SNAPSHOT_RE)[1], file: path.join(this.dir, name) }));
+  }
+
+  /**
+   * Resolve 'latest', 'previous', -N, an id prefix or a file path to a snapshot file.
+   */
+  resolve(ref) {
+    if (fs.existsSync(ref) && fs.statSync(ref).isFile()) return ref;
+
+    const snapshots = this.list();
+    const offset = ref === 'latest' ? -1 : ref === 'previous' ? -2 : /^-\d+$/.test(ref) ? parseInt(ref, 10) : null;
+    const match = offset !== null
+      ? snapshots.at(offset)
+      : snapshots.filter(s => s.id.startsWith(ref)).at(-1);
+
+    if (!match) {
+      throw new Error(`No route analysis snapshot matches "${ref}" in ${this.dir} (${snapshots.length} available)`);
+    }
+    return match.file;
+  }
+
+  load(ref) {
+    const file = this.resolve(ref);
+    return { file, analysis: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  }
+}
+
+/**
+ * Per-route rating keyed by path. Uses routeRatings when present, else the
+ * menu-level navigationStructure (first menu listing a route wins).
+ */
+function ratingsByPath(analysis) {
+  const ratings = new Map();
+  for (const rating of analysis.routeRatings || []) {
+    ratings.set(toPathKey(rating.route), {
+      riskLevel: rating.riskLevel,
+      businessCriticality: rating.businessCriticality,
+      menuName: rating.menuName,
+    });
+  }
+  for (const menu of analysis.navigationStructure || []) {
+    for (const route of menu.routes || []) {
+      if (ratings.has(toPathKey(route))) continue;
+      ratings.set(toPathKey(route), {
+        riskLevel: menu.riskLevel || 'Unknown',
+        businessCriticality: menu.businessCriticality || 'Unknown',
+        menuName: menu.menuName,
+      });
+    }
+  }
+  for (const route of analysis.originalRoutesData?.successful || []) {
+    if (!ratings.has(toPathKey(route))) {
+      ratings.set(toPathKey(route), { riskLevel: 'Unknown', businessCriticality: 'Unknown', menuName: null });
+    }
+  }
+  return ratings;
+}
+
+function menusByName(analysis) {
+  const menus = new Map();
+  for (const menu of analysis.navigationStructure || []) {
+    const key = menu.menuName.trim().toLowerCase();
+    const existing = menus.get(key) || { menuName: menu.menuName.trim(), routes: new Set(), riskLevel: menu.riskLevel };
+    for (const route of menu.routes || []) existing.routes.add(toPathKey(route));
+    menus.set(key, existing);
+  }
+  return menus;
+}
+
+/**
+ * Compare two route analyses.
+ */
+function diffAnalyses(before, after) {
+  const oldRatings = ratingsByPath(before);
+  const newRatings = ratingsByPath(after);
+
+  const added = [];
+  const rerated = [];
+  for (const [route, rating] of newRatings) {
+    const previous = oldRatings.get(route);
+    if (!previous) {
+      added.push({ route, ...rating });
+    } else if (previous.riskLevel !== rating.riskLevel || previous.businessCriticality !== rating.businessCriticality) {
+      const delta = RISK_LEVELS.indexOf(rating.riskLevel) - RISK_LEVELS.indexOf(previous.riskLevel);
+      rerated.push({
+        route,
+        before: { riskLevel: previous.riskLevel, businessCriticality: previous.businessCriticality },
+        after: { riskLevel: rating.riskLevel, businessCriticality: rating.businessCriticality },
+        direction: delta > 0 ? 'up' : delta < 0 ? 'down' : 'criticality',
+      });
+    }
+  }
+  const removed = [...oldRatings]
+    .filter(([route]) => !newRatings.has(route))
+    .map(([route, rating]) => ({ route, ...rating }));
+
+  const oldMenus = menusByName(before);
+  const newMenus = menusByName(after);
+  const menus = { added: [], removed: [], changed: [] };
+  for (const [key, menu] of newMenus) {
+    const previous = oldMenus.get(key);
+    if (!previous) {
+      menus.added.push(menu.menuName);
+      continue;
+    }
+    const addedRoutes = [...menu.routes].filter(r => !previous.routes.has(r));
+    const removedRoutes = [...previous.routes].filter(r => !menu.routes.has(r));
+    if (addedRoutes.length || removedRoutes.length || previous.riskLevel !== menu.riskLevel) {
+      menus.changed.push({
+        menuName: menu.menuName,
+        addedRoutes,
+        removedRoutes,
+        riskLevel: { before: previous.riskLevel, after: menu.riskLevel },
+      });
+    }
+  }
+  for (const [key, menu] of oldMenus) {
+    if (!newMenus.has(key)) menus.removed.push(menu.menuName);
+  }
+
+  const newHighRisk = [
+    ...added.filter(r => r.riskLevel === 'High').map(r => r.route),
+    ...rerated.filter(r => r.after.riskLevel === 'High' && r.direction === 'up').map(r => r.route),
+  ];
+
+  return {
+    from: before.analysisTimestamp ?? null,
+    to: after.analysisTimestamp ?? null,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      rerated: rerated.length,
+      menusAdded: menus.added.length,
+      menusRemoved: menus.removed.length,
+      menusChanged: menus.changed.length,
+      newHighRisk: newHighRisk.length,
+    },
+    added,
+    removed,
+    rerated,
+    menus,
+    newHighRisk,
+  };
+}
+
+module.exports = { AnalysisHistory, diffAnalyses };
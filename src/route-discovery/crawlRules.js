@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Crawl rules from config/crawl-rules.json: include/exclude globs or regexes,
+ * maxDepth and per-pattern limits on which URLs RouteExplorer follows.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', '..', 'config', 'crawl-rules.json');
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split(/(\/\*\*$|\*\*|\*)/)
+    .map(part => {
+      if (part === '/**') return '(?:/.*)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/?#]*';
+      return escapeRegExp(part);
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function compilePattern(pattern) {
+  if (typeof pattern === 'string') {
+    const regex = globToRegExp(pattern);
+    const withQuery = pattern.includes('?');
+    return { source: pattern, test: target => regex.test(withQuery ? target.full : target.path) };
+  }
+  if (pattern && typeof pattern.regex === 'string') {
+    const regex = new RegExp(pattern.regex, pattern.flags || '');
+    return { source: `/${pattern.regex}/${pattern.flags || ''}`, test: target => regex.test(target.full) };
+  }
+  throw new Error(`Invalid crawl pattern: ${JSON.stringify(pattern)}`);
+}
+
+/**
+ * The parts of a URL that rules match against.
+ */
+function targetOf(url) {
+  try {
+    const parsed = new URL(url, 'https://x');
+    const hashRoute = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+    return { path: parsed.pathname + hashRoute, full: parsed.pathname + parsed.search + hashRoute };
+  } catch {
+    return { path: url.split('?')[0], full: url };
+  }
+}
+
+class CrawlRules {
+  constructor(rules = {}) {
+    this.include = (rules.include || []).map(compilePattern);
+    this.exclude = (rules.exclude || []).map(compilePattern);
+    this.maxDepth = Number.isInteger(rules.maxDepth) ? rules.maxDepth : null;
+    this.limits = (rules.limits || []).map(limit => {
+      if (!Number.isInteger(limit.max) || limit.max < 0) {
+        throw new Error(`Invalid crawl limit for ${JSON.stringify(limit.pattern)}: "max" must be a non-negative integer`);
+      }
+      return { ...compilePattern(limit.pattern), max: limit.max, count: 0 };
+    });
+  }
+
+  /**
+   * Whether a URL may be followed. An admitted URL counts towards the limits
+   * it matches, so call this once per route.
+   */
+  admit(url, depth) {
+    const target = targetOf(url);
+
+    const excluded = this.exclude.find(rule => rule.test(target));
+    if (excluded) return { allowed: false, reason: `excluded by ${excluded.source}` };
+    if (this.include.length > 0 && !this.include.some(rule => rule.test(target))) {
+      return { allowed: false, reason: 'not matched by any include rule' };
+    }
+    if (this.maxDepth !== null && depth !== undefined && depth > this.maxDepth) {
+      return { allowed: false, reason: `depth ${depth} exceeds maxDepth ${this.maxDepth}` };
+    }
+
+    const matched = this.limits.filter(limit => limit.test(target));
+    const full = matched.find(limit => limit.count >= limit.max);
+    if (full) return { allowed: false, reason: `limit of ${full.max} reached for ${full.source}` };
+    matched.forEach(limit => limit.count++);
+    return { allowed: true };
+  }
+
+  /**
+   * Routes counted per limit pattern, for crawl checkpoints.
+   */
+  checkpoint() {
+    return Object.fromEntries(this.limits.map(limit => [limit.source, limit.count]));
+  }
+
+  /**
+   * Continue counting from checkpoint() output. Limits not in it start at 0.
+   */
+  restore(counts = {}) {
+    this.limits.forEach(limit => { limit.count = counts[limit.source] ?? limit.count; });
+  }
+
+  /**
+   * The rules as configured, for routes.json and crawl-summary.json.
+   */
+  toJSON() {
+    return {
+      include: this.include.map(rule => rule.source),
+      exclude: this.exclude.map(rule => rule.source),
+      maxDepth: this.maxDepth,
+      limits: this.limits.map(limit => ({ pattern: limit.source, max: limit.max })),
+    };
+  }
+}
+
+/**
+ * Build the project crawl rules from the rules file and CRAWL_MAX_DEPTH.
+ */
+function loadCrawlRules(file = process.env.CRAWL_RULES_FILE || DEFAULT_RULES_FILE) {
+  let rules = {};
+  if (fs.existsSync(file)) {
+    try {
+      rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid crawl rules file ${file}: ${error.message}`);
+    }
+    console.log(`📏 Using crawl rules from ${file}`);
+  }
+  if (process.env.CRAWL_MAX_DEPTH) rules.maxDepth = parseInt(process.env.CRAWL_MAX_DEPTH, 10);
+  return new CrawlRules(rules);
+}
+
+module.exports = { CrawlRules, loadCrawlRules, globToRegExp };
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Spaces out page navigations per host, in call order, so concurrent
+ * RouteExplorer workers stay under `requestsPerSecond`.
+ */
+class HostRateLimiter {
+  constructor(options = {}) {
+    const rate = options.requestsPerSecond || 0;
+    this.intervalMs = rate > 0 ? 1000 / rate : 0;
+    this.nextSlot = new Map(); // host → earliest time the next navigation may start
+  }
+
+  /**
+   * Resolve when a navigation to this URL's host may start.
+   */
+  async wait(url) {
+    if (this.intervalMs === 0) return;
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, slot + this.intervalMs);
+    if (slot > now) await new Promise(resolve => setTimeout(resolve, slot - now));
+  }
+}
+
+module.exports = { HostRateLimiter };
@@ -6,9 +6,22 @@
 const RouteExplorer = require('./routeExplorer');
 const RouteAnalyzer = require('./routeAnalyzer');
 const routeConfig = require('./routeConfig');
+const { HeuristicRiskScorer } = require('./riskScorer');
+const { AnalysisHistory, diffAnalyses } = require('./analysisHistory');
+const { AccessMatrix } = require('./accessMatrix');
+const { RouteTemplater, RouteTemplateIndex } = require('./routeTemplates');
+const { CrawlRules, loadCrawlRules } = require('./crawlRules');
 
 module.exports = {
   RouteExplorer,
   RouteAnalyzer,
-  routeConfig
+  routeConfig,
+  HeuristicRiskScorer,
+  AnalysisHistory,
+  diffAnalyses,
+  AccessMatrix,
+  RouteTemplater,
+  RouteTemplateIndex,
+  CrawlRules,
+  loadCrawlRules
 };
\ No newline at end of file
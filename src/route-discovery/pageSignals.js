@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Page signals for risk scoring: forms, password fields, money inputs and
+ * PII-looking text, from a live page or a raw-dom snapshot.
+ */
+
+// Matched against an input's name, id, placeholder, aria-label and label text
+const MONETARY_FIELD_PATTERN = 'amount|payment|price|total|balance|fee|salary|deposit|withdraw|currency|\\$|€|£';
+
+const PII_PATTERNS = {
+  email: /[\w.+-]+@[\w-]+\.[\w.-]+/,
+  phone: /\(?\b\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b/,
+  ssn: /\b\d{3}-\d{2}-\d{4}\b|social security|\bssn\b|tax id/i,
+  dateOfBirth: /date of birth|\bdob\b|birth ?date/i,
+  accountNumber: /account (?:number|no\.?|#)|routing number|iban|\*{2,}\s?\d{4}\b/i,
+  address: /street address|postal code|zip code/i,
+};
+
+/**
+ * Kinds of PII-looking text found in `text`.
+ */
+function piiIndicatorsIn(text) {
+  return Object.entries(PII_PATTERNS)
+    .filter(([, pattern]) => pattern.test(text || ''))
+    .map(([kind]) => kind);
+}
+
+/**
+ * Collect signals from a live Playwright page.
+ */
+async function collectPageSignals(page) {
+  const counts = await page.evaluate(pattern => {
+    const monetary = new RegExp(pattern, 'i');
+    const inputs = Array.from(document.querySelectorAll('input, select, textarea'))
+      .filter(el => !['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type));
+    const describe = el => [
+      el.name, el.id, el.placeholder, el.getAttribute('aria-label'),
+      ...Array.from(el.labels || []).map(label => label.textContent),
+    ].filter(Boolean).join(' ');
+
+    return {
+      forms: document.forms.length,
+      passwordFields: inputs.filter(el => el.type === 'password').length,
+      inputFields: inputs.length,
+      monetaryInputs: inputs.filter(el => monetary.test(describe(el))).length,
+    };
+  }, MONETARY_FIELD_PATTERN);
+
+  let ariaText = '';
+  try {
+    ariaText = await page.locator('body').ariaSnapshot({ timeout: 5000 });
+  } catch (_) {
+    // Snapshot is best effort; counts alone still feed the scorer
+  }
+
+  return { ...counts, pii: piiIndicatorsIn(ariaText) };
+}
+
+/**
+ * Collect the same signals from a raw-dom.json tree (snapshotGenerator format).
+ */
+function signalsFromDomTree(tree) {
+  const monetary = new RegExp(MONETARY_FIELD_PATTERN, 'i');
+  const signals = { forms: 0, passwordFields: 0, inputFields: 0, monetaryInputs: 0, pii: [] };
+  const texts = [];
+  const stack = tree ? [tree] : [];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.text) texts.push(node.text);
+    if (node.ariaLabel) texts.push(node.ariaLabel);
+    if (node.tag === 'form') signals.forms++;
+    if (['input', 'select', 'textarea'].includes(node.tag) && !['hidden', 'submit', 'button', 'reset', 'image'].includes(node.type)) {
+      signals.inputFields++;
+      if (node.type === 'password') signals.passwordFields++;
+      if (monetary.test([node.name, node.id, node.placeholder, node.ariaLabel].filter(Boolean).join(' '))) {
+        signals.monetaryInputs++;
+      }
+    }
+    if (node.children) stack.push(...node.children);
+  }
+
+  signals.pii = piiIndicatorsIn(texts.join('\n'));
+  return signals;
+}
+
+module.exports = { collectPageSignals, signalsFromDomTree, piiIndicatorsIn, MONETARY_FIELD_PATTERN };
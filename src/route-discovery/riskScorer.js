@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * HeuristicRiskScorer
+ *
+ * LLM-free risk scoring from URL keywords, page signals and navigation depth.
+ * Rules can be overridden in config/risk-rules.json (or RISK_RULES_FILE).
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { signalsFromDomTree } = require('./pageSignals');
+const { routeKey } = require('./routeTemplates');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', '..', 'config', 'risk-rules.json');
+
+const DEFAULT_RULES = {
+  // `pattern` is a regex alternation matched against whole path words (a trailing "s" is allowed)
+  keywords: [
+    { name: 'payments', pattern: 'pay|payment|autopay|billing|invoice|checkout|transfer|bank|card|wallet|loan|mortgage', risk: 3, criticality: 4 },
+    { name: 'administration', pattern: 'admin|administration|role|permission|user|tenant|audit', risk: 3, criticality: 3 },
+    { name: 'account security', pattern: 'settings|security|password|credential|mfa|2fa|otp|token|api|key|profile|account', risk: 2, criticality: 2 },
+    { name: 'destructive action', pattern: 'delete|remove|cancel|close|terminate|deactivate', risk: 2, criticality: 2 },
+    { name: 'data access', pattern: 'report|analytics|export|statement|document|download|upload|history', risk: 1, criticality: 2 },
+  ],
+  // Risk points for what the page contains; only the strongest signal counts
+  signals: { passwordField: 2, monetaryInput: 2, piiText: 1, form: 1 },
+  // Criticality points by path depth
+  depth: { topLevel: 1, deepFrom: 4, deep: -1 },
+  // Minimum points for each level; anything lower is Low
+  thresholds: {
+    risk: { High: 3, Medium: 1 },
+    criticality: { Critical: 4, High: 3, Medium: 1 },
+  },
+};
+
+function pathOf(route) {
+  try   { return new URL(route, 'https://x').pathname; }
+  catch { return route.split('?')[0]; }
+}
+
+function levelFor(points, thresholds) {
+  const match = Object.entries(thresholds)
+    .sort(([, a], [, b]) => b - a)
+    .find(([, min]) => points >= min);
+  return match ? match[0] : 'Low';
+}
+
+class HeuristicRiskScorer {
+  constructor(options = {}) {
+    this.rulesFile = options.rulesFile || process.env.RISK_RULES_FILE || DEFAULT_RULES_FILE;
+    this.crawlDir = options.crawlDir || path.join('data', 'analysis');
+    this.rules = options.rules || this.loadRules();
+    this.keywordMatchers = this.rules.keywords.map(rule => ({
+      ...rule,
+      regex: new RegExp(`^(?:${rule.pattern})s?$`, 'i'),
+    }));
+  }
+
+  /**
+   * DEFAULT_RULES with the project rules file applied on top.
+   */
+  loadRules() {
+    if (!fs.existsSync(this.rulesFile)) return DEFAULT_RULES;
+    try {
+      const projectRules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      console.log(`📏 Using risk rules from ${this.rulesFile}`);
+      return { ...DEFAULT_RULES, ...projectRules };
+    } catch (error) {
+      throw new Error(`Invalid risk rules file ${this.rulesFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Page signals per route key (/loans/:id), from RouteExplorer's `pageSignals` and any
+   * raw-dom.json snapshots already in the crawl dir (the snapshot wins).
+   */
+  collectPageSignals(routesData) {
+    const signals = new Map(Object.entries(routesData.pageSignals || {}));
+
+    for (const route of routesData.discoveredRoutes || []) {
+      const file = path.join(this.crawlDir, ...pathOf(route).split('/').filter(Boolean), 'raw-dom.json');
+      if (!fs.existsSync(file)) continue;
+      try {
+        const [snapshot] = JSON.parse(fs.readFileSync(file, 'utf8'));
+        signals.set(routeKey(route), signalsFromDomTree(snapshot?.tree));
+      } catch (_) {
+        // Unreadable snapshot — keep whatever the explorer recorded
+      }
+    }
+    return signals;
+  }
+
+  /**
+   * Score a single route.
+   */
+  scoreRoute(route, signals = {}) {
+    const words = pathOf(route).toLowerCase().split(/[/\-_.]+/).filter(Boolean);
+    const depth = pathOf(route).split('/').filter(Boolean).length;
+    const reasons = [];
+    let riskPoints = 0;
+    let criticalityPoints = 0;
+
+    for (const rule of this.keywordMatchers) {
+      const word = words.find(w => rule.regex.test(w));
+      if (!word) continue;
+      reasons.push(`keyword "${word}" (${rule.name})`);
+      riskPoints = Math.max(riskPoints, rule.risk);
+      criticalityPoints = Math.max(criticalityPoints, rule.criticality);
+    }
+
+    const pagePoints = [];
+    if (signals.passwordFields > 0) {
+      pagePoints.push(this.rules.signals.passwordField);
+      reasons.push(`${signals.passwordFields} password field(s)`);
+    }
+    if (signals.monetaryInputs > 0) {
+      pagePoints.push(this.rules.signals.monetaryInput);
+      reasons.push(`${signals.monetaryInputs} monetary input(s)`);
+    }
+    if (signals.pii?.length > 0) {
+      pagePoints.push(this.rules.signals.piiText);
+      reasons.push(`PII-looking text: ${signals.pii.join(', ')}`);
+    }
+    if (signals.forms > 0) {
+      pagePoints.push(this.rules.signals.form);
+      reasons.push(signals.inputFields != null
+        ? `${signals.forms} form(s) with ${signals.inputFields} field(s)`
+        : `${signals.forms} form(s)`);
+    }
+    riskPoints += Math.max(0, ...pagePoints);
+
+    if (depth <= 1) {
+      criticalityPoints += this.rules.depth.topLevel;
+      reasons.push('top-level route');
+    } else if (depth >= this.rules.depth.deepFrom) {
+      criticalityPoints += this.rules.depth.deep;
+      reasons.push(`nested ${depth} levels deep`);
+    }
+
+    // More independent evidence → more trust; depth alone says little
+    const evidence = reasons.filter(r => !/top-level|nested/.test(r)).length;
+    const confidence = Math.min(0.8, 0.3 + 0.15 * evidence);
+
+    return {
+      riskLevel: levelFor(riskPoints, this.rules.thresholds.risk),
+      businessCriticality: levelFor(criticalityPoints, this.rules.thresholds.criticality),
+      riskPoints,
+      criticalityPoints,
+      reasons,
+      confidence: Math.round(confidence * 100) / 100,
+    };
+  }
+
+  /**
+   * Score routes and group them into navigationStructure entries, one per
+   * menu and risk level.
+   */
+  score(routes, routesData = {}) {
+    const signals = this.collectPageSignals(routesData);
+    const menuByPath = new Map();
+    for (const menu of routesData.navigationStructure || []) {
+      for (const route of menu.routes || []) {
+        if (!menuByPath.has(pathOf(route))) menuByPath.set(pathOf(route), menu.menuName);
+      }
+    }
+
+    const groups = new Map();
+    for (const route of routes) {
+      const { riskLevel, businessCriticality, reasons } = this.scoreRoute(route, signals.get(routeKey(route)));
+      const segment = pathOf(route).split('/').filter(Boolean)[0];
+      const menuName = menuByPath.get(pathOf(route))
+        || (segment ? segment.replace(/[-_]/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : 'Home');
+
+      const key = `${menuName}|${riskLevel}|${businessCriticality}`;
+      if (!groups.has(key)) {
+        groups.set(key, { menuName, routes: [], riskLevel, businessCriticality, source: 'heuristic', reasons: [] });
+      }
+      const group = groups.get(key);
+      group.routes.push(route);
+      group.reasons.push(...reasons.filter(r => !group.reasons.includes(r)));
+    }
+
+    return [...groups.values()];
+  }
+}
+
+module.exports = { HeuristicRiskScorer, DEFAULT_RULES };
@@ -1,76 +1,83 @@
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const LLMClient = require('../services/llmClient');
+const { createLlmClient } = require('../services/createLlmClient');
+const { LlmJsonError, extractJson } = require('../services/llmJson');
+const LlmCache = require('../services/llmCache');
+const { prompts } = require('../services/promptRegistry');
+const { createProgressReporter } = require('../services/llmProgress');
+const { LlmFixtureMissingError, LlmFixtureRedactedError } = require('../services/llmFixtures');
+const { redactor } = require('../services/redaction');
+const { toPathKey } = require('./routeConfig');
+const { HeuristicRiskScorer } = require('./riskScorer');
+const { AnalysisHistory } = require('./analysisHistory');
+
+const RISK_LEVELS = ['Low', 'Medium', 'High'];
+const CRITICALITY_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+const ROUTE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['navigationStructure'],
+  properties: {
+    navigationStructure: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['menuName', 'routes', 'riskLevel', 'businessCriticality'],
+        properties: {
+          menuName: { type: 'string', minLength: 1 },
+          routes: { type: 'array', items: { type: 'string' } },
+          riskLevel: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+          businessCriticality: { type: 'string', enum: ['Critical', 'High', 'Medium', 'Low'] },
+          rationale: { type: 'string' },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+        },
+      },
+    },
+    riskSummary: {
+      type: 'object',
+      properties: {
+        high: { type: 'integer' },
+        medium: { type: 'integer' },
+        low: { type: 'integer' },
+      },
+    },
+    totalRoutes: { type: 'integer' },
+  },
+};
 
 class RouteAnalyzer {
   constructor(options = {}) {
     this.inputFile = options.inputFile || 'routes.json';
     this.outputFile = options.outputFile || 'route-analysis.json';
+    this.outputDir = options.outputDir || 'output'; // Per-persona runs use output/personas/<name>
     this.model = options.model || 'qwen2.5:7b';
     this.temperature = options.temperature || 0.1;
     this.timeout = options.timeout || 600000; // 10 minutes for route analysis
     this.enableCache = options.enableCache !== false; // Cache enabled by default
     this.cacheDir = options.cacheDir || path.join(process.cwd(), '.cache', 'llm-responses');
-
-    this.llmClient = new LLMClient({
-      baseUrl: 'http://localhost:11434',
+    this.maxResponseChars = options.maxResponseChars; // Runaway-output limit; sized from the route count when unset
+    // Map-reduce batching: each LLM call sees at most chunkSize routes / maxChunkChars of route text
+    this.chunkSize = options.chunkSize || parseInt(process.env.ROUTE_ANALYSIS_CHUNK_SIZE ?? '40', 10);
+    this.maxChunkChars = options.maxChunkChars || 4000;
+    // 'llm' (default) or 'heuristic' to score routes from rules without calling the LLM
+    this.mode = options.mode || process.env.ROUTE_ANALYSIS_MODE || 'llm';
+    if (!['llm', 'heuristic'].includes(this.mode)) {
+      throw new Error(`Unknown route analysis mode "${this.mode}". Use "llm" or "heuristic".`);
+    }
+    // Score routes heuristically instead of failing when the LLM is unavailable
+    this.heuristicFallback = options.heuristicFallback ?? process.env.ROUTE_ANALYSIS_FALLBACK !== 'false';
+    this.scorer = options.scorer || new HeuristicRiskScorer({ crawlDir: options.crawlDir });
+    // Timestamped copy of every saved analysis for `npm run routes:diff`; pass history: null to disable
+    this.history = options.history === undefined ? new AnalysisHistory() : options.history;
+
+    this.llmClient = createLlmClient({
+      provider: options.provider,
+      baseUrl: options.baseUrl,
       model: this.model,
       temperature: this.temperature,
       timeout: this.timeout,
+      cache: this.enableCache ? new LlmCache({ cacheDir: this.cacheDir }) : null,
     });
-
-    // Ensure cache directory exists
-    if (this.enableCache) {
-      this.ensureCacheDir();
-    }
-  }
-
-  ensureCacheDir() {
-    if (!fs.existsSync(this.cacheDir)) {
-      fs.mkdirSync(this.cacheDir, { recursive: true });
-    }
-  }
-
-  getCacheKey(methodName, content) {
-    // Use simple static keys for development caching
-    return `${methodName}_simple.json`;
-  }
-
-  getCachedResponse(methodName, content) {
-    if (!this.enableCache) return null;
-
-    const cacheKey = this.getCacheKey(methodName, content);
-    const cachePath = path.join(this.cacheDir, cacheKey);
-
-    if (fs.existsSync(cachePath)) {
-      // High-level: cache hit log
-      console.log(`Using cached response for ${methodName}`);
-      try {
-        return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-      } catch (err) {
-        // High-level: cache file warning
-        console.log(`Invalid cache file, will regenerate: ${cacheKey}`);
-        return null;
-      }
-    }
-    return null;
-  }
-
-  saveCachedResponse(methodName, content, response) {
-    if (!this.enableCache) return;
-
-    const cacheKey = this.getCacheKey(methodName, content);
-    const cachePath = path.join(this.cacheDir, cacheKey);
-
-    try {
-      fs.writeFileSync(cachePath, JSON.stringify(response, null, 2));
-      // High-level: cache save log
-      console.log(`Cached response for ${methodName}`);
-    } catch (err) {
-      // High-level: cache save error
-      console.warn(`Failed to cache response: ${err.message}`);
-    }
   }
 
   /**
@@ -78,7 +85,7 @@ class RouteAnalyzer {
    */
   loadRoutesData() {
     try {
-      const routesPath = path.join('output', this.inputFile);
+      const routesPath = path.join(this.outputDir, this.inputFile);
       if (!fs.existsSync(routesPath)) {
         throw new Error('Routes file not found. Please run route exploration first.');
       }
@@ -93,9 +100,16 @@ class RouteAnalyzer {
   }
 
   /**
-   * Analyze routes using LLM for categorization and risk assessment
+   * Analyze routes using LLM for categorization and risk assessment.
+   * Routes are analyzed in prompt-sized batches and the per-batch
+   * navigationStructure results are merged, so every route gets rated.
+   * When the LLM is unavailable (or mode is 'heuristic') routes are scored by
+   * HeuristicRiskScorer instead.
+   * @param {object} [options]
+   * @param {boolean} [options.cache] - Set false to bypass the LLM cache for this call
+   * @param {AbortSignal} [options.signal] - Cancels the LLM request
    */
-  async analyzeRoutes() {
+  async analyzeRoutes(options = {}) {
     const routesData = this.loadRoutesData();
 
     if (!routesData.discoveredRoutes || routesData.discoveredRoutes.length === 0) {
@@ -120,71 +134,133 @@ class RouteAnalyzer {
       console.log('No navigation structure found - will analyze routes individually');
     }
 
-    const analysisPrompt = this.buildAnalysisPrompt(routesData);
+    let navigationStructure;
+    let analysisType = 'dom-extracted-navigation';
+    let analysisBatches = 0;
+    let fallbackReason = null;
 
-    // Check cache first
-    const cacheContent = { method: 'analyzeRoutes' };
-    const cachedResult = this.getCachedResponse('analyzeRoutes', cacheContent);
+    if (this.mode === 'heuristic') {
+      console.log('📏 Scoring routes with heuristic rules (no LLM calls)');
+      navigationStructure = this.scorer.score(routesData.discoveredRoutes, routesData);
+      analysisType = 'heuristic';
+    } else {
+      try {
+        ({ navigationStructure, batches: analysisBatches } = await this.analyzeWithLlm(routesData, options));
+      } catch (error) {
+        // Only an unreachable model falls back; bad output or a rejected request is a real failure
+        if (!this.heuristicFallback || options.signal?.aborted || !this.llmClient.isUnavailableError(error.cause ?? error)) throw error;
+        console.log(`⚠️  LLM route analysis unavailable (${error.message})`);
+        console.log('📏 Falling back to heuristic risk scoring');
+        navigationStructure = this.scorer.score(routesData.discoveredRoutes, routesData);
+        analysisType = 'heuristic-fallback';
+        fallbackReason = error.message;
+      }
+    }
 
-    if (cachedResult) {
-      // High-level: cache hit log
-      console.log('Using cached route analysis');
-      // Still save to output file for consistency
-      this.saveAnalysis(cachedResult);
-      return cachedResult;
+    const llmResponse = { navigationStructure, totalRoutes: routesData.discoveredRoutes.length };
+
+    // Debug: Save LLM response for troubleshooting
+    if (process.env.DEBUG_LLM) {
+      fs.writeFileSync('raw-llm-response.txt', redactor.stringify(llmResponse));
+      // High-level: raw LLM response log
+      console.log('Raw LLM response saved to raw-llm-response.txt');
+    }
+
+    const analysisResult = this.parseAnalysisResponse(llmResponse);
+    const routeRatings = this.buildRouteRatings(routesData, navigationStructure);
+    const lowConfidence = routeRatings.filter(rating => rating.confidence < 0.5).length;
+    if (lowConfidence > 0) {
+      console.log(`⚠️  ${lowConfidence} route rating(s) have confidence below 0.5 — review them in routes.config.json`);
     }
 
+    // Enhance with metadata
+    const enhancedResult = {
+      ...analysisResult,
+      totalRoutes: routesData.discoveredRoutes.length,
+      failedRoutes: routesData.failedRoutes?.length || 0,
+      explorationDomain: routesData.explorationDomain,
+      persona: routesData.persona ?? null,
+      analysisTimestamp: new Date().toISOString(),
+      analysisType,
+      analysisBatches,
+      ...(fallbackReason ? { fallbackReason } : {}),
+      heuristicRoutes: navigationStructure
+        .filter(menu => menu.source === 'heuristic')
+        .flatMap(menu => menu.routes),
+      routeRatings,
+      navigationExtractionSource: 'RouteExplorer DOM analysis',
+      originalRoutesData: {
+        successful: routesData.discoveredRoutes,
+        failed: routesData.failedRoutes || [],
+        skipped: routesData.skippedLogoutRoutes || [],
+        extractedNavigation: routesData.navigationStructure || [],
+        routeTemplates: routesData.routeTemplates || {}
+      }
+    };
+
+    // Save analysis results
+    this.saveAnalysis(enhancedResult);
+
+    return enhancedResult;
+  }
+
+  /**
+   * Map-reduce LLM analysis; routes the model leaves out are asked about once
+   * more, then scored heuristically.
+   */
+  async analyzeWithLlm(routesData, options = {}) {
     // High-level: LLM connection log
-    console.log('Connecting to Ollama LLM service...');
+    console.log(`Connecting to ${this.llmClient.provider} LLM service at ${this.llmClient.baseUrl}...`);
+
+    const controller = new AbortController();
+    const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+    const runBatches = (chunks, labelFor) => Promise.all(chunks.map((chunk, i) =>
+      this.analyzeChunk(routesData, chunk, labelFor(i + 1, chunks.length), { ...options, signal })
+        .catch(error => {
+          controller.abort();
+          throw error;
+        })
+    ));
 
     try {
       // High-level: LLM request log
-      console.log('Generating fresh LLM response for analyzeRoutes...');
-      const llmResponse = await this.llmClient.generate(analysisPrompt, 'RouteAnalyzer');
-
-      // Debug: Save raw LLM response for troubleshooting
-      if (process.env.DEBUG_LLM) {
-        fs.writeFileSync('raw-llm-response.txt', llmResponse);
-        // High-level: raw LLM response log
-        console.log('Raw LLM response saved to raw-llm-response.txt');
+      console.log('Requesting LLM response for analyzeRoutes...');
+      const chunks = this.chunkRoutes(routesData.discoveredRoutes);
+      if (chunks.length > 1) {
+        console.log(`Splitting ${routesData.discoveredRoutes.length} routes into ${chunks.length} batches of up to ${this.chunkSize}`);
       }
 
-      const analysisResult = this.parseAnalysisResponse(llmResponse);
-
-      // Enhance with metadata
-      const enhancedResult = {
-        ...analysisResult,
-        totalRoutes: routesData.discoveredRoutes.length,
-        failedRoutes: routesData.failedRoutes?.length || 0,
-        explorationDomain: routesData.explorationDomain,
-        analysisTimestamp: new Date().toISOString(),
-        analysisType: 'dom-extracted-navigation',
-        navigationExtractionSource: 'RouteExplorer DOM analysis',
-        originalRoutesData: {
-          successful: routesData.discoveredRoutes,
-          failed: routesData.failedRoutes || [],
-          skipped: routesData.skippedLogoutRoutes || [],
-          extractedNavigation: routesData.navigationStructure || []
-        }
-      };
+      let navigationStructure = this.mergeNavigationStructures(await runBatches(chunks, (n, total) => (total > 1 ? `RouteAnalyzer [${n}/${total}]` : 'RouteAnalyzer')));
 
-      // Cache the enhanced result
-      this.saveCachedResponse('analyzeRoutes', cacheContent, enhancedResult);
-
-      // Save analysis results
-      this.saveAnalysis(enhancedResult);
+      // Reduce step may leave gaps when the model skipped routes; ask once more for just those
+      let unrated = this.findUnratedRoutes(routesData.discoveredRoutes, navigationStructure);
+      if (unrated.length > 0) {
+        console.log(`⚠️  ${unrated.length} route(s) missing from the analysis — re-analyzing them`);
+        const retries = await runBatches(this.chunkRoutes(unrated), (n, total) => `RouteAnalyzer (coverage ${n}/${total})`);
+        navigationStructure = this.mergeNavigationStructures([navigationStructure, ...retries]);
+        unrated = this.findUnratedRoutes(routesData.discoveredRoutes, navigationStructure);
+      }
+      if (unrated.length > 0) {
+        console.log(`⚠️  ${unrated.length} route(s) still unrated — scoring them with heuristic rules`);
+        navigationStructure.push(...this.scorer.score(unrated, routesData));
+      }
 
-      return enhancedResult;
+      return { navigationStructure, batches: chunks.length };
 
     } catch (error) {
+      if (error instanceof LlmJsonError) {
+        fs.writeFileSync('raw-llm-output.txt', redactor.text(error.lastResponse));
+        throw error;
+      }
+      if (error instanceof LlmFixtureMissingError || error instanceof LlmFixtureRedactedError || options.signal?.aborted) throw error;
       // Enhanced error messages for common issues
-      if (error.message.includes('fetch')) {
-        throw new Error(`Failed to connect to Ollama service at http://localhost:11434. Please ensure Ollama is running with: ollama serve`);
+      if (this.llmClient.isConnectionError(error)) {
+        throw new Error(this.llmClient.connectionHint(), { cause: error });
       }
-      if (error.message.includes('model')) {
-        throw new Error(`Model '${this.model}' not found. Please install it with: ollama pull ${this.model}`);
+      if (this.llmClient.isModelNotFound(error) && this.llmClient.provider === 'ollama') {
+        throw new Error(`Model '${this.model}' not found. Please install it with: ollama pull ${this.model}`, { cause: error });
       }
-      throw new Error(`Route analysis failed: ${error.message}`);
+      throw new Error(`Route analysis failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -234,20 +310,166 @@ ${Object.entries(hierarchy.nested).map(([parent, children]) =>
   }
 
   /**
-   * Build analysis prompt using pre-organized navigation structure from RouteExplorer
+   * Split sorted routes into prompt-sized batches, keeping siblings together.
+   */
+  chunkRoutes(routes) {
+    const sorted = [...new Set(routes)].sort((a, b) => a.localeCompare(b));
+    const chunks = [];
+    let current = [];
+    let chars = 0;
+
+    for (const route of sorted) {
+      if (current.length > 0 && (current.length >= this.chunkSize || chars + route.length > this.maxChunkChars)) {
+        chunks.push(current);
+        current = [];
+        chars = 0;
+      }
+      current.push(route);
+      chars += route.length;
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Map step: ask the model about one batch of routes.
    */
-  buildAnalysisPrompt(routesData) {
-    const routes = routesData.discoveredRoutes;
+  async analyzeChunk(routesData, routes, label, options = {}) {
+    const { prompt, template, navigationGroupCount } = this.buildAnalysisPrompt(routesData, routes);
+    const expectedChars = this.expectedResponseChars(routes, navigationGroupCount);
+
+    const response = await this.llmClient.generateJson(prompt, label, {
+      schema: ROUTE_ANALYSIS_SCHEMA,
+      template,
+      cache: options.cache,
+      signal: options.signal,
+      onToken: createProgressReporter({ expectedChars }),
+      maxResponseChars: this.maxResponseChars || this.llmClient.maxResponseChars || expectedChars * 4,
+    });
+    return response.navigationStructure;
+  }
+
+  /**
+   * Merge batch results by menu name; the higher risk and lower confidence win.
+   */
+  mergeNavigationStructures(structures) {
+    const higher = (levels, a, b) => (levels.indexOf(a) >= levels.indexOf(b) ? a : b);
+    const merged = new Map();
+
+    for (const menu of structures.flat()) {
+      const key = menu.menuName.trim().toLowerCase();
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...menu, menuName: menu.menuName.trim(), routes: [] });
+      } else {
+        existing.riskLevel = higher(RISK_LEVELS, existing.riskLevel, menu.riskLevel);
+        existing.businessCriticality = higher(CRITICALITY_LEVELS, existing.businessCriticality, menu.businessCriticality);
+        existing.rationale = existing.rationale || menu.rationale;
+        if (menu.confidence !== undefined) {
+          existing.confidence = Math.min(existing.confidence ?? 1, menu.confidence);
+        }
+      }
+
+      const target = merged.get(key);
+      const seen = new Set(target.routes.map(toPathKey));
+      for (const route of menu.routes || []) {
+        if (seen.has(toPathKey(route))) continue;
+        seen.add(toPathKey(route));
+        target.routes.push(route);
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * One rating per route with its rationale, signals and 0–1 confidence,
+   * nudged by whether the heuristic rules agree with the model.
+   */
+  buildRouteRatings(routesData, navigationStructure) {
+    const pageSignals = this.scorer.collectPageSignals(routesData);
+    const menuByPath = new Map();
+    for (const menu of navigationStructure) {
+      for (const route of menu.routes || []) {
+        if (!menuByPath.has(toPathKey(route))) menuByPath.set(toPathKey(route), menu);
+      }
+    }
+
+    return [...new Set(routesData.discoveredRoutes)].map(route => {
+      const heuristic = this.scorer.scoreRoute(route, pageSignals.get(toPathKey(route)));
+      const menu = menuByPath.get(toPathKey(route));
+      const base = {
+        route,
+        menuName: menu?.menuName ?? null,
+        riskLevel: menu?.riskLevel ?? heuristic.riskLevel,
+        businessCriticality: menu?.businessCriticality ?? heuristic.businessCriticality,
+        signals: heuristic.reasons,
+      };
+
+      if (!menu || menu.source === 'heuristic') {
+        return {
+          ...base,
+          source: 'heuristic',
+          rationale: `Rated by rules: ${heuristic.reasons.join('; ') || 'no risk signals found'}.`,
+          confidence: heuristic.confidence,
+        };
+      }
+
+      const gap = Math.abs(RISK_LEVELS.indexOf(menu.riskLevel) - RISK_LEVELS.indexOf(heuristic.riskLevel));
+      const rulesHaveEvidence = heuristic.reasons.some(r => !/top-level|nested/.test(r));
+      let confidence = menu.confidence ?? 0.6;
+      if (rulesHaveEvidence) confidence += [0.1, -0.1, -0.25][gap];
+
+      const rationale = menu.rationale || `Grouped under "${menu.menuName}" by the LLM (no rationale given).`;
+      return {
+        ...base,
+        source: 'llm',
+        rationale: gap > 0 && rulesHaveEvidence
+          ? `${rationale} Heuristic rules suggest ${heuristic.riskLevel} risk.`
+          : rationale,
+        confidence: Math.round(Math.min(0.95, Math.max(0.05, confidence)) * 100) / 100,
+      };
+    });
+  }
+
+  /**
+   * Discovered routes that no navigationStructure entry covers.
+   */
+  findUnratedRoutes(routes, navigationStructure) {
+    const rated = new Set(navigationStructure.flatMap(menu => (menu.routes || []).map(toPathKey)));
+    return [...new Set(routes)].filter(route => !rated.has(toPathKey(route)));
+  }
+
+  /**
+   * Rough size of a complete answer, for progress and the runaway-output limit.
+   */
+  expectedResponseChars(routes, menuCount) {
+    const routeChars = routes.reduce((sum, route) => sum + route.length + 6, 0);
+    return Math.max(5000, routeChars + (menuCount || routes.length) * 150);
+  }
+
+  /**
+   * Build the analysis prompt for one batch of routes, using the navigation
+   * menus from RouteExplorer that link to any route in the batch.
+   * @param {object} routesData - routes.json contents
+   * @param {string[]} [routes] - Batch to analyze (default: every discovered route)
+   * @returns {{ prompt: string, template: string, navigationGroupCount: number }} Rendered prompt and its template id
+   */
+  buildAnalysisPrompt(routesData, routes = routesData.discoveredRoutes) {
     const domain = routesData.explorationDomain || routesData.baseUrl;
     const navigationStructure = routesData.navigationStructure || [];
+    const batchKeys = new Set(routes.map(toPathKey));
+    const isBatch = routes.length < new Set(routesData.discoveredRoutes).size;
 
     // Drastically optimize: Deduplicate and group navigation entries
     const routeToMenus = new Map();
     
-    // Group menus by their primary route (many menus point to same route)
+    // Group menus by their primary route (many menus point to same route),
+    // keeping only menus that link into this batch
     navigationStructure.forEach(menu => {
-      if (menu.routes && menu.routes.length > 0) {
-        const primaryRoute = menu.routes[0];
+      const batchRoutes = (menu.routes || []).filter(route => batchKeys.has(toPathKey(route)));
+      if (batchRoutes.length > 0) {
+        const primaryRoute = batchRoutes[0];
         if (!routeToMenus.has(primaryRoute)) {
           routeToMenus.set(primaryRoute, []);
         }
@@ -257,62 +479,51 @@ ${Object.entries(hierarchy.nested).map(([parent, children]) =>
 
     // Create super-compact summary - just unique routes with their menu context
     const compactNavigation = Array.from(routeToMenus.entries())
-      .slice(0, 10) // Limit to 10 most important route groups
       .map(([route, menus]) => ({
         route,
         menuNames: menus.slice(0, 2), // Max 2 menu names per route
         menuCount: menus.length
       }));
 
-    const prompt = `Analyze ${routes.length} web application routes for security risks.
-
-**DOMAIN**: ${domain}
-
-**KEY ROUTES** (${routes.length} total):
-${routes.slice(0, 15).map((route, i) => `${i + 1}. ${route}`).join('\n')}${routes.length > 15 ? `\n... and ${routes.length - 15} more` : ''}
-
-**NAVIGATION GROUPS** (${compactNavigation.length} groups):
-${compactNavigation.map(nav => 
-  `• ${nav.route} (${nav.menuCount} menu${nav.menuCount > 1 ? 's' : ''}: ${nav.menuNames.join(', ')}${nav.menuCount > 2 ? ` +${nav.menuCount - 2} more` : ''})`
-).join('\n')}
-
-Return JSON with security analysis - assign risk levels based on route functionality:
-
-{
-  "navigationStructure": [
-    {
-      "menuName": "Payment Systems",
-      "routes": ["/mortgage/servicing/make-a-payment", "/mortgage/servicing/manage-autopay"],
-      "riskLevel": "High",
-      "businessCriticality": "Critical"
-    }
-  ],
-  "riskSummary": { "high": 0, "medium": 0, "low": 0 },
-  "totalRoutes": ${routes.length}
-}`;
-
-    return prompt;
+    const routeList = routes.map((route, i) => `${i + 1}. ${route}`).join('\n');
+
+    const navigationGroups = compactNavigation.map(nav =>
+      `• ${nav.route} (${nav.menuCount} menu${nav.menuCount > 1 ? 's' : ''}: ${nav.menuNames.join(', ')}${nav.menuCount > 2 ? ` +${nav.menuCount - 2} more` : ''})`
+    ).join('\n');
+
+    const rendered = prompts.render('route-analysis', {
+      routeCount: String(routes.length),
+      domain: domain || 'unknown',
+      routeList,
+      navigationGroupCount: String(compactNavigation.length),
+      navigationGroups,
+      batchNote: isBatch
+        ? ` They are one batch of ${routesData.discoveredRoutes.length} routes; the others are analyzed separately.`
+        : '',
+    });
+    return { ...rendered, navigationGroupCount: compactNavigation.length };
   }
 
 
   /**
-   * Parse and validate LLM response for navigation-based analysis
+   * Parse and validate LLM response for navigation-based analysis.
+   * Accepts the schema-validated object from generateJson, or raw response text.
    */
   parseAnalysisResponse(response) {
     try {
-      // Extract JSON from response (handle potential markdown formatting)
-      const jsonMatch = response.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
-        response.match(/(\{[\s\S]*\})/);
-
-      if (!jsonMatch) {
-        // High-level: no JSON found warning
-        console.log('No JSON found in LLM response. Raw response:');
-        console.log(response.substring(0, 500) + '...');
-        throw new Error('No valid JSON found in LLM response');
+      let analysisResult = response;
+
+      if (typeof response === 'string') {
+        const { value, error } = extractJson(response);
+        if (error) {
+          // High-level: no JSON found warning
+          console.log('No valid JSON in LLM response. Raw response:');
+          console.log(response.substring(0, 500) + '...');
+          throw new Error(error);
+        }
+        analysisResult = value;
       }
 
-      const analysisResult = JSON.parse(jsonMatch[1]);
-
       // Validate required navigation structure
       if (!analysisResult.navigationStructure || !Array.isArray(analysisResult.navigationStructure)) {
         // High-level: invalid analysis format warning
@@ -402,7 +613,7 @@ Return JSON with security analysis - assign risk levels based on route functiona
   saveAnalysis(analysisResult) {
     try {
       // Ensure output directory exists
-      const outputDir = 'output';
+      const outputDir = this.outputDir;
       if (!fs.existsSync(outputDir)) {
         fs.mkdirSync(outputDir, { recursive: true });
       }
@@ -412,6 +623,10 @@ Return JSON with security analysis - assign risk levels based on route functiona
 
       // High-level: analysis save log
       console.log(`Route analysis saved to ${outputPath}`);
+
+      if (this.history) {
+        console.log(`Route analysis snapshot saved to ${this.history.save(analysisResult)}`);
+      }
     } catch (error) {
       throw new Error(`Failed to save analysis: ${error.message}`);
     }
@@ -1,18 +1,24 @@
 'use strict';
 const fs   = require('fs');
 const path = require('path');
+const { routeKey } = require('./routeTemplates');
 
 const CONFIG_FILE = path.join(__dirname, '..', '..', 'config', 'routes.config.json');
 
-/** Normalise to pathname only — matches the test folder key */
+/**
+ * Normalise to the route key: the path template (/loans/:id) plus any
+ * hash-router fragment, as in RouteExplorer.normalize (see routeTemplates.js)
+ */
 function toPathKey(url) {
-  try   { return new URL(url, 'https://x').pathname; }
-  catch { return url.split('?')[0]; }
+  return routeKey(url);
 }
 
 /**
- * Sync newly discovered routes into routes.config.json.
- * New routes are added as "excluded". Existing entries are never overwritten.
+ * Sync newly discovered routes into routes.config.json, one entry per route
+ * template. New routes are added as "excluded" with the analysis rationale,
+ * signals and confidence so reviewers can judge the rating; templated routes
+ * also get `template` and the `samples` seen while crawling, while `url`
+ * stays a concrete URL to visit. Existing entries are never overwritten.
  */
 function sync(routeAnalysis) {
   const existing = fs.existsSync(CONFIG_FILE)
@@ -35,6 +41,18 @@ function sync(routeAnalysis) {
     }
   }
 
+  // Per-route ratings (analyses from before routeRatings existed only have the menu-level riskMap)
+  const ratingMap = {};
+  for (const rating of routeAnalysis.routeRatings || []) {
+    ratingMap[toPathKey(rating.route)] = {
+      riskLevel: rating.riskLevel,
+      businessCriticality: rating.businessCriticality,
+      rationale: rating.rationale,
+      confidence: rating.confidence,
+      signals: rating.signals,
+    };
+  }
+
   // Collect query-param-inclusive URLs from extractedNavigation (first-seen wins)
   const paramMap = {};
   for (const menu of routeAnalysis.originalRoutesData?.extractedNavigation || []) {
@@ -44,6 +62,8 @@ function sync(routeAnalysis) {
     }
   }
 
+  const templates = routeAnalysis.originalRoutesData?.routeTemplates || {};
+
   // Collect all candidate routes: crawled routes + navigation-only routes
   const allCandidates = [...(routeAnalysis.originalRoutesData?.successful || [])];
 
@@ -60,15 +80,18 @@ function sync(routeAnalysis) {
     if (existingKeys.has(key)) continue;
 
     const url       = paramMap[key] || r;
-    const nameParts = key.replace(/^\//, '').split('/');
-    const name      = nameParts[nameParts.length - 1]
+    const nameParts = key.split('?')[0].replace(/^\//, '').split('/').filter(part => !part.startsWith(':'));
+    const name      = (nameParts[nameParts.length - 1] ?? key)
       .replace(/-/g, ' ')
       .replace(/\b\w/g, c => c.toUpperCase());
+    const template  = templates[key];
 
     existing.push({
       url,
       name,
-      ...(riskMap[key] || { riskLevel: 'Unknown', businessCriticality: 'Unknown' }),
+      ...(key.includes(':') ? { template: key } : {}),
+      ...(template ? { samples: { ...template.params, ...template.query } } : {}),
+      ...(ratingMap[key] || riskMap[key] || { riskLevel: 'Unknown', businessCriticality: 'Unknown' }),
       status: 'excluded',
     });
     existingKeys.add(key);
@@ -86,6 +109,14 @@ function sync(routeAnalysis) {
   return existing;
 }
 
+/**
+ * All routes.config.json entries ([] before the first sync).
+ */
+function load() {
+  if (!fs.existsSync(CONFIG_FILE)) return [];
+  return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+}
+
 /**
  * Return absolute URLs for all entries with status "included".
  * baseUrl is used to resolve relative paths.
@@ -105,4 +136,4 @@ function getIncluded(baseUrl) {
   return included;
 }
 
-module.exports = { sync, getIncluded };
+module.exports = { sync, getIncluded, load, toPathKey };
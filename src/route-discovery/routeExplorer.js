@@ -1,26 +1,56 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { collectPageSignals } = require('./pageSignals');
+const { installSpaInstrumentation, takeNavigations, probeClientRoutes } = require('./spaNavigation');
+const { RouteTemplateIndex } = require('./routeTemplates');
+const { loadCrawlRules } = require('./crawlRules');
+const { HostRateLimiter } = require('./hostRateLimiter');
+const { authContextOptions, applyAuthHeaders } = require('../authentication/authContext');
 
 class RouteExplorer {
   constructor(options = {}) {
     this.baseUrl = options.baseUrl;
     this.startUrl = options.startUrl;
     this.storageState = options.storageState || null;
+    this.persona = options.persona || null; // Persona name recorded in routes.json
+    this.outputDir = options.outputDir || 'output';
     this.maxPages = options.maxPages || 20;
     this.maxRetries = options.maxRetries || 2; // New retry option
+    this.spaDiscovery = options.spaDiscovery ?? true; // Capture History API navigations and probe router buttons
+    this.maxClicksPerPage = options.maxClicksPerPage ?? 15;
+    this.concurrency = Math.max(1, options.concurrency ?? 1); // Pages visiting routes in parallel
+    this.pageTimeoutMs = options.pageTimeoutMs ?? 120000;
+    this.politenessDelayMs = options.politenessDelayMs ?? 0; // Pause per worker between pages
+    this.rateLimiter = new HostRateLimiter({ requestsPerSecond: options.requestsPerSecond });
+    this.checkpointFile = options.checkpointFile || path.join(this.outputDir, 'crawl-checkpoint.json');
+    this.checkpointEvery = options.checkpointEvery ?? 5; // Visits between checkpoint writes
 
     // Use the domain from startUrl for internal link detection
     this.explorationDomain = new URL(this.startUrl).origin;
 
-    this.visited = new Set();
+    this.visited = new Set(); // Route keys (templates) already visited
     this.queue = [];
     this.routes = [];
     this.failedRoutes = []; // Track failed routes
     this.skippedLogoutRoutes = []; // Track skipped logout routes
+    this.excludedRoutes = new Map(); // Route key → { url, reason } for URLs the crawl rules rejected
     this.retryAttempts = new Map(); // Track retry attempts per URL
+    this.retryDelayMs = options.retryDelayMs ?? 3000; // Wait before a failed route is visited again
+    this.retryAt = new Map(); // Queued URL → earliest time its retry may start
     this.navigationStructure = new Map(); // Track navigation menus from DOM
     this.menuHierarchy = []; // Organized menu structure
+    this.pageSignals = {}; // Form, money-input and PII signals per route, used by risk scoring
+    this.discoveredVia = {}; // How each route was first found: anchor, pushState, hashchange, … and the control clicked
+    this.probedControls = new Set(); // SPA controls already clicked (shared menus are probed once)
+    this.templates = options.routeTemplates || new RouteTemplateIndex(); // One representative URL per route template
+    this.active = 0; // Visits in progress across workers
+    this.inFlight = new Map(); // Route key → URL of visits in progress (re-queued by a checkpoint)
+    this.visitsSinceCheckpoint = 0;
+    this.stopped = false; // Set when a worker crashes, so the others stop taking routes
+    this.workAvailable = null; // Idle workers wait on this until routes are queued or a visit ends
+    this.wakeWorkers = null;
+    this.crawlRules = options.crawlRules || loadCrawlRules(); // Include/exclude globs, max depth, per-pattern limits
   }
 
   isInternal(url) {
@@ -240,7 +270,7 @@ class RouteExplorer {
           const menuGroup = menuGroups.get(menuKey);
           menuGroup.routes.add(item.href);
           menuGroup.pages.add(route);
-          allMenuItems.add(item.href);
+          allMenuItems.add(this.normalize(item.href));
         });
       });
 
@@ -274,14 +304,14 @@ class RouteExplorer {
               });
             }
             menuGroup.subMenus.get(subKey).routes.add(subItem.href);
-            allMenuItems.add(subItem.href);
+            allMenuItems.add(this.normalize(subItem.href));
           });
         });
       });
     });
 
     // Identify standalone routes (not in any navigation menu)
-    const standaloneRoutes = this.routes.filter(route => !allMenuItems.has(route));
+    const standaloneRoutes = this.routes.filter(route => !allMenuItems.has(this.normalize(route)));
     if (standaloneRoutes.length > 0) {
       menuGroups.set('standalone_pages', {
         menuName: 'Standalone Pages',
@@ -316,96 +346,321 @@ class RouteExplorer {
     return this.menuHierarchy;
   }
 
+  /**
+   * Route key of a URL: its path template, e.g. /loans/:id (see routeTemplates.js).
+   */
   normalize(url) {
-    const parsed = new URL(url);
-    return parsed.pathname;
+    return this.templates.templater.key(url);
   }
 
-  async explore() {
-    console.log(`🔍 Exploration domain: ${this.explorationDomain}`);
-    console.log(`🔍 Base URL (auth): ${this.baseUrl}`);
-    
-    const browser = await chromium.launch({ headless: false });
+  /**
+   * Queue an internal URL the crawl rules admit, once per route template, and
+   * remember how and at what depth it was found.
+   */
+  enqueue(link, via) {
+    if (!this.isInternal(link)) return;
+
+    // Skip logout and session termination routes
+    if (this.shouldSkipRoute(link)) {
+      this.skippedLogoutRoutes.push(link);
+      console.log(`🚫 Skipping logout route: ${link}`);
+      return;
+    }
 
-    const context = await browser.newContext({
-      storageState: this.storageState || undefined,
-    });
+    const key = this.normalize(link);
+    if (!this.discoveredVia[key]) {
+      const depth = (this.discoveredVia[via.from]?.depth ?? 0) + 1;
+      const verdict = this.crawlRules.admit(link, depth);
+      if (!verdict.allowed) {
+        if (!this.excludedRoutes.has(key)) console.log(`⏭️ Not following ${link}: ${verdict.reason}`);
+        this.excludedRoutes.set(key, { url: link, reason: verdict.reason });
+        return;
+      }
+      this.excludedRoutes.delete(key);
+      via = { ...via, depth };
+    }
 
-    const page = await context.newPage();
+    const { representative, isNew } = this.templates.add(link);
+    if (!isNew) return;
 
-    this.queue.push(this.startUrl);
+    this.discoveredVia[key] = via;
+    if (!this.visited.has(key)) {
+      this.queue.push(new URL(representative, this.explorationDomain).toString());
+      this.notifyWorkers();
+    }
+  }
 
-    while (this.queue.length > 0 && this.routes.length < this.maxPages) {
-      const url = this.queue.shift();
+  notifyWorkers() {
+    if (!this.wakeWorkers) return;
+    const wake = this.wakeWorkers;
+    this.wakeWorkers = null;
+    wake();
+  }
 
-      if (this.visited.has(url)) continue;
-      this.visited.add(url);
+  /**
+   * Resolve on the next notifyWorkers(), or after timeoutMs if given.
+   */
+  waitForWork(timeoutMs) {
+    if (!this.workAvailable) {
+      this.workAvailable = new Promise(resolve => {
+        this.wakeWorkers = () => {
+          this.workAvailable = null;
+          resolve();
+        };
+      });
+    }
+    if (timeoutMs === undefined) return this.workAvailable;
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); });
+    return Promise.race([this.workAvailable, timeout]).finally(() => clearTimeout(timer));
+  }
 
-      console.log(`Visiting: ${url}`);
+  /**
+   * Take the first queued URL that is not waiting out a retry delay, or
+   * `waitMs` until the earliest one when only delayed retries are queued.
+   */
+  nextQueued() {
+    const now = Date.now();
+    const index = this.queue.findIndex(url => (this.retryAt.get(url) ?? 0) <= now);
+    if (index >= 0) {
+      const [url] = this.queue.splice(index, 1);
+      this.retryAt.delete(url);
+      return { url };
+    }
+    if (this.queue.length === 0) return {};
+    return { waitMs: Math.min(...this.queue.map(url => this.retryAt.get(url))) - now };
+  }
 
+  /**
+   * Pull routes from the shared queue until it is drained or maxPages routes
+   * are visited, waiting while other visits or delayed retries are pending.
+   */
+  async worker(page) {
+    while (!this.stopped && this.routes.length < this.maxPages) {
+      const full = this.routes.length + this.active >= this.maxPages;
+      const { url, waitMs } = full ? {} : this.nextQueued();
+      if (!url) {
+        if (waitMs === undefined && this.active === 0) return;
+        await this.waitForWork(waitMs);
+        continue;
+      }
+
+      const from = this.normalize(url);
+      if (this.visited.has(from)) continue;
+      this.visited.add(from);
+
+      this.active++;
+      this.inFlight.set(from, url);
       try {
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 120000 });
+        await this.visit(page, url, from);
+        this.inFlight.delete(from); // A visit that throws stays in flight, so the checkpoint re-queues it
+      } finally {
+        this.active--;
+        this.notifyWorkers();
+      }
+      if (!this.stopped && ++this.visitsSinceCheckpoint >= this.checkpointEvery) this.saveCheckpoint();
+      if (this.politenessDelayMs > 0) await page.waitForTimeout(this.politenessDelayMs);
+    }
+  }
 
-        const links = await page.$$eval('a[href]', anchors =>
-          anchors.map(a => a.href)
-        );
+  /**
+   * Persist crawl progress so explore({ resume: true }) can continue after a
+   * crash. Visits still in progress are saved as queued, not visited.
+   */
+  saveCheckpoint() {
+    const inFlightKeys = new Set(this.inFlight.keys());
+    const checkpoint = {
+      persona: this.persona,
+      startUrl: this.startUrl,
+      savedAt: new Date().toISOString(),
+      queue: [...this.inFlight.values(), ...this.queue],
+      visited: [...this.visited].filter(key => !inFlightKeys.has(key)),
+      retryAttempts: [...this.retryAttempts],
+      routes: this.routes.filter(route => !inFlightKeys.has(this.normalize(route))),
+      failedRoutes: this.failedRoutes,
+      skippedLogoutRoutes: this.skippedLogoutRoutes,
+      excludedRoutes: [...this.excludedRoutes],
+      navigationStructure: [...this.navigationStructure],
+      pageSignals: this.pageSignals,
+      discoveredVia: this.discoveredVia,
+      probedControls: [...this.probedControls],
+      routeTemplates: this.templates.checkpoint(),
+      crawlRuleCounts: this.crawlRules.checkpoint(),
+    };
 
-        this.routes.push(this.normalize(url));
-        console.log(`✅ Successfully visited ${url}, found ${links.length} links`);
+    try {
+      fs.mkdirSync(path.dirname(this.checkpointFile), { recursive: true });
+      // Write then rename, so a crash mid-write never leaves a truncated checkpoint
+      const tmpFile = `${this.checkpointFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(checkpoint));
+      fs.renameSync(tmpFile, this.checkpointFile);
+      this.visitsSinceCheckpoint = 0;
+    } catch (error) {
+      console.log(`⚠️ Could not save crawl checkpoint ${this.checkpointFile}: ${error.message}`);
+    }
+  }
 
-        // Extract navigation structure from this page
-        await this.extractNavigationStructure(page, url);
+  /**
+   * Load the state saveCheckpoint() wrote, if it is for this persona and start
+   * URL. Returns whether it did.
+   */
+  restoreCheckpoint() {
+    if (!fs.existsSync(this.checkpointFile)) {
+      console.log(`⚠️ No crawl checkpoint at ${this.checkpointFile} — starting from scratch`);
+      return false;
+    }
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8'));
+    } catch (error) {
+      console.log(`⚠️ Unreadable crawl checkpoint ${this.checkpointFile} — starting from scratch: ${error.message}`);
+      return false;
+    }
+    if (checkpoint.startUrl !== this.startUrl || checkpoint.persona !== this.persona) {
+      console.log(`⚠️ Crawl checkpoint is for ${checkpoint.startUrl} (persona ${checkpoint.persona ?? 'default'}) — starting from scratch`);
+      return false;
+    }
 
-        for (const link of links) {
-          if (!this.isInternal(link)) continue;
+    this.queue = checkpoint.queue;
+    this.visited = new Set(checkpoint.visited);
+    this.retryAttempts = new Map(checkpoint.retryAttempts);
+    this.routes = checkpoint.routes;
+    this.failedRoutes = checkpoint.failedRoutes;
+    this.skippedLogoutRoutes = checkpoint.skippedLogoutRoutes;
+    this.excludedRoutes = new Map(checkpoint.excludedRoutes);
+    this.navigationStructure = new Map(checkpoint.navigationStructure);
+    this.pageSignals = checkpoint.pageSignals;
+    this.discoveredVia = checkpoint.discoveredVia;
+    this.probedControls = new Set(checkpoint.probedControls);
+    this.templates.restore(checkpoint.routeTemplates);
+    this.crawlRules.restore(checkpoint.crawlRuleCounts);
+
+    console.log(`♻️ Resuming crawl from ${checkpoint.savedAt}: ${this.routes.length} route(s) visited, ${this.queue.length} queued`);
+    return true;
+  }
 
-          // Skip logout and session termination routes
-          if (this.shouldSkipRoute(link)) {
-            this.skippedLogoutRoutes.push(link);
-            console.log(`🚫 Skipping logout route: ${link}`);
-            continue;
-          }
+  /**
+   * Queue routes the page reaches without anchors (see spaNavigation.js).
+   */
+  async discoverClientRoutes(page, from) {
+    try {
+      const onLoad = (await takeNavigations(page)).map(nav => ({ ...nav, trigger: null }));
+      const clicked = await probeClientRoutes(page, {
+        sourceUrl: page.url(),
+        maxClicks: this.maxClicksPerPage,
+        skipKeys: this.probedControls,
+      });
+
+      const found = [...onLoad, ...clicked].filter(nav => this.isInternal(nav.url) && this.normalize(nav.url) !== from);
+      for (const nav of found) {
+        this.enqueue(nav.url, { kind: nav.kind, from, ...(nav.trigger ? { trigger: nav.trigger } : {}) });
+      }
+      if (found.length > 0) {
+        const unique = new Set(found.map(nav => this.normalize(nav.url)));
+        console.log(`   🧭 Found ${unique.size} client-side route(s) via History API / router controls`);
+      }
+    } catch (error) {
+      console.log(`   ⚠️ Client-side route discovery failed on ${from}: ${error.message}`);
+    }
+  }
 
-          const normalized = this.normalize(link);
-          const full = new URL(normalized, this.explorationDomain).toString();
+  /**
+   * Visit one queued route and queue the routes it links to. Failed visits
+   * are re-queued after retryDelayMs, up to maxRetries times.
+   */
+  async visit(page, url, from) {
+    console.log(`Visiting: ${url}`);
 
-          if (!this.visited.has(full)) {
-            this.queue.push(full);
-          }
-        }
+    try {
+      await this.rateLimiter.wait(url);
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.pageTimeoutMs });
+
+      const links = await page.$$eval('a[href]', anchors =>
+        anchors.map(a => a.href)
+      );
+
+      this.pageSignals[from] = await collectPageSignals(page);
+
+      // Extract navigation structure from this page
+      await this.extractNavigationStructure(page, url);
+
+      for (const link of links) {
+        this.enqueue(link, { kind: 'anchor', from });
+      }
+
+      if (this.spaDiscovery) {
+        await this.discoverClientRoutes(page, from);
+      }
+
+      this.routes.push(this.templates.representativeOf(from));
+      console.log(`✅ Successfully visited ${url}, found ${links.length} links`);
 
-      } catch (err) {
-        const currentAttempts = this.retryAttempts.get(url) || 0;
+    } catch (err) {
+      const currentAttempts = this.retryAttempts.get(url) || 0;
+      
+      if (currentAttempts < this.maxRetries) {
+        // Retry the failed route
+        this.retryAttempts.set(url, currentAttempts + 1);
+        console.log(`🔄 Retrying ${url} (attempt ${currentAttempts + 2}/${this.maxRetries + 1}): ${err.message}`);
         
-        if (currentAttempts < this.maxRetries) {
-          // Retry the failed route
-          this.retryAttempts.set(url, currentAttempts + 1);
-          console.log(`🔄 Retrying ${url} (attempt ${currentAttempts + 2}/${this.maxRetries + 1}): ${err.message}`);
-          
-          // Add back to queue for retry (with delay)
-          await new Promise(resolve => setTimeout(resolve, 3000)); // 3 second delay
-          this.queue.push(url);
-          this.visited.delete(url); // Remove from visited so it can be retried
-          
-        } else {
-          // Max retries exhausted, add to failed routes
-          const failedRoute = {
-            url: url,
-            normalizedPath: this.normalize(url),
-            error: err.message,
-            errorType: err.name || 'Unknown',
-            retryAttempts: currentAttempts + 1,
-            timestamp: new Date().toISOString()
-          };
-          
-          this.failedRoutes.push(failedRoute);
-          console.log(`❌ Failed to visit ${url} after ${currentAttempts + 1} attempts: ${err.message}`);
-          console.log(`   Error type: ${err.name || 'Unknown'}`);
-        }
+        // Add back to queue; workers skip it until the delay has passed
+        this.retryAt.set(url, Date.now() + this.retryDelayMs);
+        this.queue.push(url);
+        this.visited.delete(from); // Remove from visited so it can be retried
+        
+      } else {
+        // Max retries exhausted, add to failed routes
+        const failedRoute = {
+          url: url,
+          normalizedPath: this.normalize(url),
+          error: err.message,
+          errorType: err.name || 'Unknown',
+          retryAttempts: currentAttempts + 1,
+          timestamp: new Date().toISOString()
+        };
+        
+        this.failedRoutes.push(failedRoute);
+        console.log(`❌ Failed to visit ${url} after ${currentAttempts + 1} attempts: ${err.message}`);
+        console.log(`   Error type: ${err.name || 'Unknown'}`);
       }
     }
+  }
+
+  /**
+   * Crawl from startUrl and write routes.json, checkpointing every
+   * `checkpointEvery` visits; `resume` continues from the last checkpoint.
+   */
+  async explore(options = {}) {
+    console.log(`🔍 Exploration domain: ${this.explorationDomain}`);
+    console.log(`🔍 Base URL (auth): ${this.baseUrl}`);
+    
+    const browser = await chromium.launch({ headless: false });
+
+    const context = await browser.newContext(this.storageState ? authContextOptions(this.storageState) : {});
+    if (this.storageState) await applyAuthHeaders(context, this.storageState);
+    if (this.spaDiscovery) await installSpaInstrumentation(context);
+
+    if (!(options.resume && this.restoreCheckpoint())) {
+      this.queue.push(this.startUrl);
+      this.discoveredVia[this.templates.add(this.startUrl).key] = { kind: 'start', depth: 0 };
+    }
+
+    try {
+      const workers = Math.min(this.concurrency, this.maxPages);
+      if (workers > 1) console.log(`👷 Exploring with ${workers} parallel pages`);
+      const pages = await Promise.all(Array.from({ length: workers }, () => context.newPage()));
+      await Promise.all(pages.map(page => this.worker(page)));
+    } catch (error) {
+      this.stopped = true;
+      this.notifyWorkers();
+      this.saveCheckpoint();
+      console.log(`💾 Crawl progress saved to ${this.checkpointFile} — re-run with resume to continue`);
+      throw error;
+    } finally {
+      await browser.close().catch(() => {});
+    }
 
-    await browser.close();
+    const clientRoutes = Object.values(this.discoveredVia).filter(via => !['start', 'anchor'].includes(via.kind)).length;
 
     // Organize navigation hierarchy from collected data
     const menuHierarchy = this.organizeMenuHierarchy();
@@ -414,17 +669,25 @@ class RouteExplorer {
     console.log(`   ✅ Successful routes: ${this.routes.length}`);
     console.log(`   ❌ Failed routes: ${this.failedRoutes.length}`);
     console.log(`   🚫 Skipped logout routes: ${this.skippedLogoutRoutes.length}`);
+    console.log(`   ⏭️ Excluded by crawl rules: ${this.excludedRoutes.size}`);
     console.log(`   🗂️ Navigation menus identified: ${menuHierarchy.length}`);
+    if (this.spaDiscovery) console.log(`   🧭 Client-side routes (no <a href>): ${clientRoutes}`);
+    console.log(`   🧩 Templated routes (/loans/:id …): ${Object.keys(this.templates.toJSON()).length}`);
     console.log(`   🔄 Max retries per route: ${this.maxRetries}`);
     console.log(`   🔗 Total attempted: ${this.routes.length + this.failedRoutes.length}`);
 
     const output = {
+      persona: this.persona,
       baseUrl: this.baseUrl,
       explorationDomain: this.explorationDomain,
       discoveredRoutes: this.routes,
       failedRoutes: this.failedRoutes,
       skippedLogoutRoutes: [...new Set(this.skippedLogoutRoutes)], // Remove duplicates
+      excludedRoutes: [...this.excludedRoutes.values()],
       navigationStructure: menuHierarchy,
+      pageSignals: this.pageSignals,
+      discoveredVia: this.discoveredVia,
+      routeTemplates: this.templates.toJSON(),
       navigationMetadata: {
         totalMenus: menuHierarchy.length,
         mainMenus: menuHierarchy.filter(m => m.menuType === 'main').length,
@@ -434,15 +697,24 @@ class RouteExplorer {
       },
       configuration: {
         maxRetries: this.maxRetries,
-        timeoutMs: 120000,
+        timeoutMs: this.pageTimeoutMs,
+        concurrency: this.concurrency,
+        requestsPerSecond: this.rateLimiter.intervalMs > 0 ? 1000 / this.rateLimiter.intervalMs : null,
+        politenessDelayMs: this.politenessDelayMs,
         skipLogout: true,
-        extractNavigation: true
+        extractNavigation: true,
+        spaDiscovery: this.spaDiscovery,
+        maxClicksPerPage: this.maxClicksPerPage,
+        crawlRules: this.crawlRules.toJSON()
       },
       summary: {
         successful: this.routes.length,
         failed: this.failedRoutes.length,
         skippedLogout: this.skippedLogoutRoutes.length,
+        excludedByRules: this.excludedRoutes.size,
         navigationMenus: menuHierarchy.length,
+        clientRoutes: clientRoutes,
+        routeTemplates: Object.keys(this.templates.toJSON()).length,
         maxRetries: this.maxRetries,
         total: this.routes.length + this.failedRoutes.length,
         timestamp: new Date().toISOString()
@@ -450,7 +722,7 @@ class RouteExplorer {
     };
 
     // Ensure output directory exists
-    const outputDir = 'output';
+    const outputDir = this.outputDir;
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
@@ -461,6 +733,7 @@ class RouteExplorer {
       JSON.stringify(output, null, 2)
     );
 
+    fs.rmSync(this.checkpointFile, { force: true });
     console.log('Route discovery complete.');
 
     return output;
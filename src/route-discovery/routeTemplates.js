@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Route templates: `/loans/123` and `/loans/456` are keyed as `/loans/:id`,
+ * with one representative URL and sample values. Project rules go in
+ * config/route-templates.json.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '..', '..', 'config', 'route-templates.json');
+const MAX_SAMPLES = 5;
+
+const BUILT_IN_SEGMENTS = [
+  { name: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { name: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  { name: 'id', pattern: /^\d+$/ },
+  // Separated words only count as a token with several digit runs, so
+  // `account_statements_2024_summary` stays a page name
+  { name: 'token', pattern: /^(?:[0-9a-f]{16,}|(?=[a-z]*\d)(?=\d*[a-z])[a-z\d]{20,}|(?=[\w-]{20,}$)(?:[a-z_-]*\d+(?!\d)){3,}[a-z_-]*)$/i },
+  { name: 'slug', pattern: /^(?:(?:[a-z0-9]+[-_])+\d{3,}|\d{3,}(?:[-_][a-z0-9]+)+)$/i },
+];
+
+const HASH_ROUTE_RE = /^#!?\//;
+
+/**
+ * Decode a path segment; malformed escapes (`/files/100%`) stay as they are.
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (_) {
+    return segment;
+  }
+}
+
+class RouteTemplater {
+  constructor(options = {}) {
+    this.templates = (options.templates || []).map(template => ({
+      template,
+      segments: template.split('/').filter(Boolean),
+    }));
+    this.segmentRules = [
+      ...Object.entries(options.segments || {}).map(([name, pattern]) => ({ name, pattern: new RegExp(pattern) })),
+      ...BUILT_IN_SEGMENTS,
+    ];
+    this.queryParams = new Set(options.queryParams || []);
+  }
+
+  /**
+   * Template a URL or path into { key, representative, params, query }.
+   */
+  match(url) {
+    let parsed;
+    try {
+      parsed = new URL(url, 'https://x');
+    } catch (_) {
+      return { key: url.split('?')[0], representative: url, params: {}, query: {} };
+    }
+
+    const params = {};
+    let key = this.templatePath(parsed.pathname, params);
+    const hashRoute = HASH_ROUTE_RE.test(parsed.hash) ? parsed.hash : '';
+    if (hashRoute) {
+      const [prefix, hashPath] = hashRoute.match(/^(#!?)(.*)$/).slice(1);
+      key += prefix + this.templatePath(hashPath.split('?')[0], params);
+    }
+
+    const kept = [];
+    const query = {};
+    for (const [name, value] of parsed.searchParams) {
+      if (this.queryParams.has(name)) kept.push(`${name}=${value}`);
+      else query[name] = value;
+    }
+    if (kept.length > 0) key += `?${kept.sort().join('&')}`;
+
+    return { key, representative: parsed.pathname + parsed.search + hashRoute, params, query };
+  }
+
+  templatePath(pathname, params) {
+    const segments = pathname.split('/');
+    const explicit = this.templates.find(t => t.segments.length === segments.filter(Boolean).length
+      && t.segments.every((part, i) => part.startsWith(':') || part === segments.filter(Boolean)[i]));
+    if (explicit) {
+      const values = segments.filter(Boolean);
+      explicit.segments.forEach((part, i) => {
+        if (part.startsWith(':')) params[part.slice(1)] = decodeSegment(values[i]);
+      });
+      return explicit.template + (pathname.endsWith('/') && pathname !== '/' ? '/' : '');
+    }
+
+    return segments.map(segment => {
+      if (!segment || segment.startsWith(':')) return segment;
+      const value = decodeSegment(segment);
+      const rule = this.segmentRules.find(r => r.pattern.test(value));
+      if (!rule) return segment;
+      let name = rule.name;
+      for (let n = 2; name in params; n++) name = `${rule.name}${n}`;
+      params[name] = value;
+      return `:${name}`;
+    }).join('/');
+  }
+
+  key(url) {
+    return this.match(url).key;
+  }
+}
+
+/**
+ * Build the project templater from its config file.
+ */
+function loadRouteTemplater(file = process.env.ROUTE_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE) {
+  if (!fs.existsSync(file)) return new RouteTemplater();
+  try {
+    return new RouteTemplater(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid route templates file ${file}: ${error.message}`);
+  }
+}
+
+let shared = null;
+
+/**
+ * Route key of a URL with the project templater.
+ */
+function routeKey(url) {
+  if (!shared) shared = loadRouteTemplater();
+  return shared.key(url);
+}
+
+/**
+ * Accumulates one entry per template while routes are discovered.
+ */
+class RouteTemplateIndex {
+  constructor(templater = loadRouteTemplater()) {
+    this.templater = templater;
+    this.entries = {};
+  }
+
+  /**
+   * Record a URL.
+   */
+  add(url) {
+    const { key, representative, params, query } = this.templater.match(url);
+    const isNew = !this.entries[key];
+    if (isNew) this.entries[key] = { representative, urlCount: 0, params: {}, query: {} };
+
+    const entry = this.entries[key];
+    const sample = (bucket, name, value) => {
+      const values = bucket[name] || (bucket[name] = []);
+      if (values.length < MAX_SAMPLES && !values.includes(value)) values.push(value);
+    };
+    if (!entry.seen) Object.defineProperty(entry, 'seen', { value: new Set(), enumerable: false });
+    if (!entry.seen.has(representative)) {
+      entry.seen.add(representative);
+      entry.urlCount++;
+    }
+    Object.entries(params).forEach(([name, value]) => sample(entry.params, name, value));
+    Object.entries(query).forEach(([name, value]) => sample(entry.query, name, value));
+    return { key, representative: entry.representative, isNew };
+  }
+
+  representativeOf(key) {
+    return this.entries[key]?.representative;
+  }
+
+  /**
+   * All entries, with the URLs seen, for crawl checkpoints.
+   */
+  checkpoint() {
+    return Object.fromEntries(Object.entries(this.entries)
+      .map(([key, entry]) => [key, { ...entry, seen: [...(entry.seen || [])] }]));
+  }
+
+  /**
+   * Continue from checkpoint() output.
+   */
+  restore(entries = {}) {
+    for (const [key, { seen, ...entry }] of Object.entries(entries)) {
+      Object.defineProperty(entry, 'seen', { value: new Set(seen), enumerable: false });
+      this.entries[key] = entry;
+    }
+  }
+
+  /**
+   * Entries for routes.json: templated routes only (keys with parameters,
+   * or seen with more than one URL).
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries(this.entries)
+      .filter(([key, entry]) => key !== entry.representative || entry.urlCount > 1));
+  }
+}
+
+module.exports = { RouteTemplater, RouteTemplateIndex, loadRouteTemplater, routeKey };
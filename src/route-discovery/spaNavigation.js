@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Client-side route discovery for SPAs: logs History API navigations and
+ * clicks router controls in a sandbox that blocks writes and full navigations.
+ */
+
+const NAV_LOG_KEY = '__autowrightNavigations';
+const PROBE_ATTR = 'data-autowright-probe';
+
+const CANDIDATE_SELECTOR = [
+  '[role="menuitem"]', '[role="menuitemradio"]', '[role="tab"]', '[role="treeitem"]',
+  '[role="link"]:not([href])',
+  'nav button', '[role="navigation"] button', 'header button', 'aside button',
+  '[class*="menu" i] button', '[class*="nav" i] button', '[class*="sidebar" i] button',
+  '[onclick]:not(a):not(input):not(form)',
+].join(', ');
+
+const UNSAFE_NAME_PATTERN = 'log ?out|sign ?out|log ?off|delete|remove|cancel|close account|deactivate|pay|submit|confirm|save|send|transfer|buy|purchase|checkout|order|unsubscribe|reset|upload|download|print';
+
+/**
+ * Runs in every document before the app's own scripts.
+ */
+function instrumentHistory(logKey) {
+  if (window[logKey]) return;
+  const log = window[logKey] = [];
+  const record = (kind, url) => {
+    try {
+      log.push({ kind, url: new URL(url ?? location.href, location.href).href });
+    } catch (_) { /* unparsable URL argument */ }
+  };
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (state, title, url) {
+      const result = original.apply(this, arguments);
+      if (url !== undefined && url !== null) record(method, url);
+      return result;
+    };
+  }
+  window.addEventListener('popstate', () => record('popstate'));
+  window.addEventListener('hashchange', () => record('hashchange'));
+}
+
+/**
+ * Log History API navigations in every page of a context.
+ */
+async function installSpaInstrumentation(context) {
+  await context.addInitScript(instrumentHistory, NAV_LOG_KEY);
+}
+
+/**
+ * Navigations logged since the last call.
+ */
+async function takeNavigations(page) {
+  return page.evaluate(key => (window[key] || []).splice(0), NAV_LOG_KEY).catch(() => []);
+}
+
+/**
+ * Safe, visible navigation candidates by role and name; with `markKey`, tag
+ * that one with PROBE_ATTR instead.
+ */
+function scanCandidates([selector, unsafePattern, probeAttr, markKey]) {
+  const unsafe = new RegExp(unsafePattern, 'i');
+  const seen = new Set();
+  const candidates = [];
+  document.querySelectorAll(`[${probeAttr}]`).forEach(el => el.removeAttribute(probeAttr));
+
+  for (const el of document.querySelectorAll(selector)) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0 || getComputedStyle(el).visibility === 'hidden') continue;
+    if (el.closest('form') || el.closest('a[href]') || el.type === 'submit') continue;
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') continue;
+
+    const name = (el.getAttribute('aria-label') || el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 80);
+    if (!name || unsafe.test(name)) continue;
+
+    const role = el.getAttribute('role') || el.tagName.toLowerCase();
+    const key = `${role}|${name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if (markKey) {
+      if (key === markKey) {
+        el.setAttribute(probeAttr, '');
+        return [key];
+      }
+      continue;
+    }
+    candidates.push({ key, role, name });
+  }
+  return markKey ? [] : candidates;
+}
+
+async function candidatesOn(page) {
+  return page.evaluate(scanCandidates, [CANDIDATE_SELECTOR, UNSAFE_NAME_PATTERN, PROBE_ATTR, null]).catch(() => []);
+}
+
+/**
+ * Click the candidate with this key, if it is on the page.
+ */
+async function clickCandidate(page, key, timeout) {
+  const marked = await page.evaluate(scanCandidates, [CANDIDATE_SELECTOR, UNSAFE_NAME_PATTERN, PROBE_ATTR, key]).catch(() => []);
+  if (marked.length === 0) return false;
+  await page.locator(`[${PROBE_ATTR}]`).first().click({ timeout });
+  return true;
+}
+
+/**
+ * Click navigation-like controls on the current page and report the URLs
+ * they navigate to. Leaves the page on `sourceUrl`.
+ */
+async function probeClientRoutes(page, options) {
+  const { sourceUrl, maxClicks = 15, settleMs = 750, skipKeys = new Set() } = options;
+  const discoveries = [];
+  let probing = false;
+  let blockedNavigation = null;
+
+  // Allowed requests fall back to the context's routes, which add auth headers
+  const guard = route => {
+    const request = route.request();
+    if (!probing) return route.fallback();
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      blockedNavigation = request.url();
+      return route.abort();
+    }
+    if (request.method() !== 'GET') return route.abort();
+    return route.fallback();
+  };
+  const onPopup = popup => {
+    if (probing) discoveries.push({ url: popup.url(), kind: 'popup', trigger: null, pending: true });
+    popup.close().catch(() => {});
+  };
+  const onDialog = dialog => dialog.dismiss().catch(() => {});
+
+  await page.route('**/*', guard);
+  page.on('popup', onPopup);
+  page.on('dialog', onDialog);
+
+  try {
+    await takeNavigations(page);
+    const queue = (await candidatesOn(page))
+      .filter(c => !skipKeys.has(c.key))
+      .map(c => ({ ...c, openers: [] }));
+    let clicks = 0;
+    let dirty = false;
+
+    while (queue.length > 0 && clicks < maxClicks) {
+      const candidate = queue.shift();
+      if (skipKeys.has(candidate.key)) continue;
+      skipKeys.add(candidate.key);
+
+      if (dirty) {
+        // Back to a clean copy of the source page, then re-open any parent menu
+        await page.goto(sourceUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        probing = true;
+        for (const opener of candidate.openers) {
+          await clickCandidate(page, opener, 2000).catch(() => false);
+          await page.waitForTimeout(200);
+        }
+        probing = false;
+        await takeNavigations(page);
+        dirty = false;
+      }
+
+      const before = page.url();
+      const beforeCandidates = new Set((await candidatesOn(page)).map(c => c.key));
+      blockedNavigation = null;
+      probing = true;
+      let clicked = false;
+      try {
+        clicked = await clickCandidate(page, candidate.key, 2000);
+        if (clicked) await page.waitForTimeout(settleMs);
+      } catch (_) {
+        // Covered, detached or slow element — move on
+      } finally {
+        probing = false;
+      }
+      if (!clicked) continue;
+      clicks++;
+
+      const trigger = { role: candidate.role, name: candidate.name };
+      const found = (await takeNavigations(page)).map(nav => ({ ...nav, trigger }));
+      if (blockedNavigation) found.push({ url: blockedNavigation, kind: 'navigation', trigger });
+      if (page.url() !== before && !found.some(nav => nav.url === page.url())) {
+        found.push({ url: page.url(), kind: 'navigation', trigger });
+      }
+      discoveries.forEach(d => {
+        if (d.pending) { d.trigger = trigger; delete d.pending; }
+      });
+      discoveries.push(...found);
+
+      if (found.length > 0) {
+        dirty = true;
+      } else if (candidate.openers.length === 0) {
+        // Clicking opened something (a menu, a drawer): probe what appeared
+        const revealed = (await candidatesOn(page))
+          .filter(c => !beforeCandidates.has(c.key) && !skipKeys.has(c.key))
+          .map(c => ({ ...c, openers: [candidate.key] }));
+        queue.unshift(...revealed);
+        dirty = revealed.length === 0 ? dirty : true;
+      }
+    }
+
+    if (dirty || page.url() !== sourceUrl) {
+      await page.goto(sourceUrl, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
+    }
+  } finally {
+    probing = false;
+    await page.unroute('**/*', guard).catch(() => {});
+    page.off('popup', onPopup);
+    page.off('dialog', onDialog);
+  }
+
+  return discoveries.filter(d => !d.pending && d.url && d.url !== 'about:blank');
+}
+
+module.exports = { installSpaInstrumentation, takeNavigations, probeClientRoutes };
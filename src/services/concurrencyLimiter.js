@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * ConcurrencyLimiter
+ *
+ * FIFO semaphore: at most `maxConcurrent` tasks run at once, the rest wait in
+ * order. Waiting tasks can be cancelled through an AbortSignal.
+ */
+class ConcurrencyLimiter {
+  constructor(maxConcurrent = 1) {
+    this.maxConcurrent = Math.max(1, maxConcurrent || 1);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /** Number of tasks queued behind the running ones. */
+  get pending() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Run `task` once a slot is free.
+   */
+  async run(task, signal) {
+    await this.acquire(signal);
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire(signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiting = this.waiting.filter(w => w !== waiter);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this.waiting.push(waiter);
+    });
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (!next) {
+      this.active--;
+      return;
+    }
+    // Hand the slot straight to the next waiter; `active` stays the same
+    next.signal?.removeEventListener('abort', next.onAbort);
+    next.resolve();
+  }
+}
+
+module.exports = ConcurrencyLimiter;
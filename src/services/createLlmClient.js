@@ -0,0 +1,48 @@
+'use strict';
+
+const OllamaClient = require('./ollamaClient');
+const OpenAiCompatibleClient = require('./openAiCompatibleClient');
+const FixtureReplayClient = require('./fixtureReplayClient');
+const { LlmFixtureStore } = require('./llmFixtures');
+
+const PROVIDERS = {
+  ollama: OllamaClient,
+  openai: OpenAiCompatibleClient,
+  replay: FixtureReplayClient,
+};
+
+/**
+ * Build the LLM client for LLM_PROVIDER (ollama | openai | replay).
+ * Explicit options win over the LLM_* environment variables.
+ */
+function createLlmClient(options = {}) {
+  const fixtureMode = (options.fixtureMode || process.env.LLM_FIXTURE_MODE || '').toLowerCase();
+  const provider = fixtureMode === 'replay'
+    ? 'replay'
+    : (options.provider || process.env.LLM_PROVIDER || 'ollama').toLowerCase();
+  const Client = PROVIDERS[provider];
+
+  if (!Client) {
+    throw new Error(`Unknown LLM provider "${provider}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (fixtureMode && !['record', 'replay'].includes(fixtureMode)) {
+    throw new Error(`Unknown LLM fixture mode "${fixtureMode}". Use "record" or "replay".`);
+  }
+
+  const { provider: _provider, fixtureMode: _fixtureMode, fixturesDir, ...passedOptions } = options;
+  // Callers forward unset options as undefined; drop them so adapter defaults apply
+  const clientOptions = Object.fromEntries(Object.entries(passedOptions).filter(([, value]) => value !== undefined));
+  const baseUrl = options.baseUrl || process.env.LLM_BASE_URL;
+  const apiKey  = options.apiKey  || process.env.LLM_API_KEY;
+  const fixtures = fixtureMode ? new LlmFixtureStore({ fixturesDir }) : null;
+
+  return new Client({
+    ...clientOptions,
+    ...(baseUrl ? { baseUrl } : {}),
+    ...(apiKey  ? { apiKey }  : {}),
+    ...(fixtureMode === 'record' ? { recordFixtures: fixtures } : {}),
+    ...(fixtureMode === 'replay' ? { fixtures } : {}),
+  });
+}
+
+module.exports = { createLlmClient, PROVIDERS };
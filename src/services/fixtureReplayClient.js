@@ -0,0 +1,30 @@
+'use strict';
+
+const LlmClient = require('./llmClient');
+const { LlmFixtureStore } = require('./llmFixtures');
+
+/**
+ * FixtureReplayClient
+ *
+ * In-process adapter that answers every prompt from recorded fixtures.
+ */
+class FixtureReplayClient extends LlmClient {
+  constructor(options = {}) {
+    super({ baseUrl: 'replay://fixtures', ...options });
+    this.provider = 'replay';
+    this.fixtures = options.fixtures || new LlmFixtureStore();
+  }
+
+  async complete(prompt, request) {
+    const fixture = this.fixtures.replay(prompt, request.label);
+    // Streaming callers get the whole recording as a single chunk
+    request.onDelta?.(fixture.response);
+    return { text: fixture.response, usage: fixture.usage };
+  }
+
+  connectionHint() {
+    return `Replaying LLM fixtures from ${this.fixtures.fixturesDir}.`;
+  }
+}
+
+module.exports = FixtureReplayClient;
@@ -4,7 +4,36 @@
  */
 
 const LlmClient = require('./llmClient');
+const OllamaClient = require('./ollamaClient');
+const OpenAiCompatibleClient = require('./openAiCompatibleClient');
+const { createLlmClient } = require('./createLlmClient');
+const { LlmJsonError } = require('./llmJson');
+const LlmCache = require('./llmCache');
+const FixtureReplayClient = require('./fixtureReplayClient');
+const { LlmFixtureStore, LlmFixtureMissingError, LlmFixtureRedactedError } = require('./llmFixtures');
+const { createReplayServer } = require('./llmReplayServer');
+const { LlmUsageLedger, usageLedger } = require('./llmUsage');
+const { PromptRegistry, prompts } = require('./promptRegistry');
+const { createProgressReporter } = require('./llmProgress');
+const { Redactor, redactor } = require('./redaction');
 
 module.exports = {
-  LlmClient
+  LlmClient,
+  OllamaClient,
+  OpenAiCompatibleClient,
+  createLlmClient,
+  LlmJsonError,
+  LlmCache,
+  FixtureReplayClient,
+  LlmFixtureStore,
+  LlmFixtureMissingError,
+  LlmFixtureRedactedError,
+  createReplayServer,
+  LlmUsageLedger,
+  usageLedger,
+  PromptRegistry,
+  prompts,
+  createProgressReporter,
+  Redactor,
+  redactor
 };
\ No newline at end of file
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * LlmCache
+ *
+ * On-disk LLM response cache keyed by a hash of everything that can change the
+ * answer. Entries are sealed with STORAGE_STATE_KEY when it is set.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { encryptJson, decryptJson } = require('../authentication/secureStorage');
+const { redactor } = require('./redaction');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class LlmCache {
+  constructor(options = {}) {
+    this.cacheDir   = options.cacheDir || path.join(process.cwd(), '.cache', 'llm-responses');
+    this.ttlMs      = options.ttlMs    ?? parseFloat(process.env.LLM_CACHE_TTL_HOURS ?? '168') * HOUR_MS;
+    this.maxBytes   = options.maxBytes ?? parseFloat(process.env.LLM_CACHE_MAX_MB ?? '100') * 1024 * 1024;
+    this.passphrase = options.passphrase ?? process.env.STORAGE_STATE_KEY;
+  }
+
+  /**
+   * Hash the inputs that determine a response.
+   */
+  key({ kind, provider, model, temperature, template, prompt, schema }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([kind ?? 'text', provider, model, temperature, template ?? null, prompt, schema ?? null]))
+      .digest('hex');
+  }
+
+  entryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  /**
+   * Return the cached value for a key, or null on miss / expiry.
+   */
+  get(key) {
+    const entryPath = this.entryPath(key);
+    if (!fs.existsSync(entryPath)) return null;
+
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      if (this.isExpired(entry)) {
+        fs.unlinkSync(entryPath);
+        return null;
+      }
+    } catch (err) {
+      console.log(`Invalid cache file, will regenerate: ${path.basename(entryPath)}`);
+      return null;
+    }
+    if (!entry.sealed) return entry.value;
+
+    try {
+      return decryptJson(entry.sealed, this.passphrase, `cache entry ${path.basename(entryPath)}`);
+    } catch (err) {
+      // Sealed under another key (or none set now): regenerate and overwrite
+      console.log(`⚠️  ${err.message}; will regenerate`);
+      return null;
+    }
+  }
+
+  /**
+   * Store a value (sealed when there is a passphrase) and evict old entries
+   * if the size limit is exceeded.
+   */
+  set(key, value, meta = {}) {
+    let stored = { value };
+    if (this.passphrase) {
+      stored = { sealed: encryptJson(value, this.passphrase) };
+    } else if (JSON.stringify(redactor.json(value)) !== JSON.stringify(value)) {
+      console.log(`  ⚠️ Not caching [${meta.label ?? 'unknown'}]: the response contains values the redactor masks (set STORAGE_STATE_KEY to cache it encrypted)`);
+      return;
+    }
+
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true, mode: 0o700 });
+      const entry = { key, createdAt: new Date().toISOString(), ...meta, ...stored };
+      fs.writeFileSync(this.entryPath(key), JSON.stringify(entry, null, 2), { mode: 0o600 });
+      this.enforceSizeLimit();
+    } catch (err) {
+      console.log(`Failed to save cache: ${err.message}`);
+    }
+  }
+
+  isExpired(entry) {
+    const created = Date.parse(entry?.createdAt);
+    return !entry?.key || Number.isNaN(created) || Date.now() - created > this.ttlMs;
+  }
+
+  /**
+   * Read metadata for every file in the cache directory.
+   * Files that are not valid entries (e.g. legacy `*_simple.json`) are flagged invalid.
+   */
+  listEntries() {
+    if (!fs.existsSync(this.cacheDir)) return [];
+
+    return fs.readdirSync(this.cacheDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        const file = path.join(this.cacheDir, name);
+        const { size, mtimeMs } = fs.statSync(file);
+        let entry = null;
+        try { entry = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (_) {}
+        return {
+          file,
+          size,
+          createdAt: Date.parse(entry?.createdAt) || mtimeMs,
+          label: entry?.label ?? null,
+          template: entry?.template ?? null,
+          invalid: !entry?.key,
+          expired: this.isExpired(entry),
+        };
+      });
+  }
+
+  enforceSizeLimit() {
+    const entries = this.listEntries().sort((a, b) => a.createdAt - b.createdAt);
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    let evicted = 0;
+
+    for (const entry of entries) {
+      if (total <= this.maxBytes) break;
+      fs.unlinkSync(entry.file);
+      total -= entry.size;
+      evicted++;
+    }
+    return evicted;
+  }
+
+  /**
+   * Summarise cache contents.
+   */
+  stats() {
+    const entries = this.listEntries();
+    const times = entries.map(e => e.createdAt);
+    const byLabel = {};
+    for (const e of entries) {
+      const label = e.label || (e.invalid ? '(invalid)' : '(unlabelled)');
+      byLabel[label] = (byLabel[label] || 0) + 1;
+    }
+
+    return {
+      cacheDir: this.cacheDir,
+      entries: entries.length,
+      totalBytes: entries.reduce((sum, e) => sum + e.size, 0),
+      expired: entries.filter(e => e.expired && !e.invalid).length,
+      invalid: entries.filter(e => e.invalid).length,
+      oldest: times.length ? new Date(Math.min(...times)).toISOString() : null,
+      newest: times.length ? new Date(Math.max(...times)).toISOString() : null,
+      byLabel,
+    };
+  }
+
+  /**
+   * Delete expired and invalid entries, then enforce the size limit.
+   */
+  prune(options = {}) {
+    let removed = 0;
+    for (const entry of this.listEntries()) {
+      if (options.all || entry.expired || entry.invalid) {
+        fs.unlinkSync(entry.file);
+        removed++;
+      }
+    }
+    const evicted = this.enforceSizeLimit();
+    return { removed, evicted };
+  }
+}
+
+module.exports = LlmCache;
@@ -1,52 +1,338 @@
-class OllamaClient {
+'use strict';
+
+const { validate } = require('./jsonSchema');
+const { LlmJsonError, JsonStreamTracker, extractJson, buildRepairPrompt } = require('./llmJson');
+const ConcurrencyLimiter = require('./concurrencyLimiter');
+const { usageLedger } = require('./llmUsage');
+
+// Shared by every client in the process so parallel analyzers queue up
+// instead of overloading a single local model.
+const sharedLimiter = new ConcurrencyLimiter(parseInt(process.env.LLM_CONCURRENCY ?? '1', 10));
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function abortError(label) {
+  const error = new Error(`LLM request [${label}] was aborted`);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * LlmClient
+ *
+ * Provider-agnostic base class: adapters implement `complete()`, callers use
+ * `generate()` / `generateJson()`.
+ */
+class LlmClient {
   constructor(options = {}) {
-    this.baseUrl = options.baseUrl || 'http://localhost:11434';
-    this.model = options.model || 'qwen2.5:7b';
+    this.provider    = 'unknown';
+    this.baseUrl     = options.baseUrl;
+    this.model       = options.model || 'qwen2.5:7b';
     this.temperature = options.temperature ?? 0.2;
-    this.timeout = options.timeout || 300000; // 5 minutes default timeout
+    this.timeout     = options.timeout || 300000; // 5 minutes default timeout
+
+    this.structuredOutput  = options.structuredOutput ?? true;
+    this.maxRepairAttempts = options.maxRepairAttempts ?? 2;
+    this.cache             = options.cache ?? null;
+    this.recordFixtures    = options.recordFixtures ?? null;
+
+    this.maxRetries       = options.maxRetries       ?? parseInt(process.env.LLM_MAX_RETRIES ?? '2', 10);
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 1000;
+    this.retryMaxDelayMs  = options.retryMaxDelayMs  ?? 30000;
+    this.limiter          = options.limiter          ?? sharedLimiter;
+    this.usage            = options.usage            ?? usageLedger;
+    this.maxResponseChars = options.maxResponseChars ?? parseInt(process.env.LLM_MAX_RESPONSE_CHARS ?? '0', 10);
+  }
+
+  /**
+   * Send a prompt to the provider and return the raw response text.
+   */
+  async generate(prompt, label = 'unknown', options = {}) {
+    return this._withCache('text', prompt, label, options,
+      cacheStatus => this._send(prompt, label, { ...options, cacheStatus }));
+  }
+
+  /**
+   * Send one prompt through the concurrency limiter, retrying with backoff.
+   */
+  async _send(prompt, label, options = {}) {
+    const { signal } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.limiter.run(() => this._attempt(prompt, label, { ...options, retry: attempt }), signal);
+      } catch (error) {
+        if (signal?.aborted) throw abortError(label);
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) throw error;
+
+        const delay = this.backoffDelay(attempt);
+        console.log(`  🔄 LLM [${label}] — retry ${attempt + 1}/${this.maxRetries} in ${(delay / 1000).toFixed(1)}s: ${error.message}`);
+        try {
+          await sleep(delay, signal);
+        } catch (_) {
+          throw abortError(label);
+        }
+      }
+    }
   }
 
-  async generate(prompt, label = 'unknown') {
+  /**
+   * Exponential backoff with jitter: base * 2^attempt, capped, scaled by 50–100%.
+   */
+  backoffDelay(attempt) {
+    const capped = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+    return Math.round(capped * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * Connection failures and 5xx responses are worth retrying; timeouts,
+   * aborts, runaway output and 4xx responses are not.
+   */
+  isRetryable(error) {
+    if (error.name === 'AbortError' || error.code === 'LLM_TIMEOUT' || error.code === 'LLM_OUTPUT_LIMIT') return false;
+    return this.isConnectionError(error) || (error.status >= 500 && error.status < 600);
+  }
+
+  /**
+   * Perform one timed provider request with the configured timeout.
+   */
+  async _attempt(prompt, label, options = {}) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const signal = options.signal ? AbortSignal.any([controller.signal, options.signal]) : controller.signal;
     const start = Date.now();
+    const stream = this._streamHandler(label, options, start);
 
     try {
-      const response = await fetch(`${this.baseUrl}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: this.model,
-          prompt,
-          stream: false,
-          options: {
-            temperature: this.temperature,
-          },
-        }),
-        signal: controller.signal,
-      });
-
-      if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`Ollama error: ${text}`);
+      const schema = this.structuredOutput ? options.schema : undefined;
+      const { text, usage = {} } = await this.completeWithFallback(prompt, { signal, schema, label, onDelta: stream?.onDelta });
+      if (this.recordFixtures) {
+        this.recordFixtures.record(prompt, text, { label, provider: this.provider, model: this.model, usage });
       }
+      const latencyMs = Date.now() - start;
+      this._recordUsage(label, options, { status: 'ok', latencyMs, ...usage });
 
-      const data = await response.json();
-      const secs = ((Date.now() - start) / 1000).toFixed(1);
-      console.log(`  ⏱  LLM [${label}] — ${secs}s (prompt: ${prompt.length} chars, response: ${(data.response ?? '').length} chars, model: ${this.model})`);
-      return data.response;
+      const secs = (latencyMs / 1000).toFixed(1);
+      const tokens = usage.promptTokens != null ? `, tokens: ${usage.promptTokens}→${usage.completionTokens ?? '?'}` : '';
+      console.log(`  ⏱  LLM [${label}] — ${secs}s (prompt: ${prompt.length} chars, response: ${(text ?? '').length} chars${tokens}, model: ${this.model}, provider: ${this.provider})`);
+      return text;
     } catch (error) {
+      this._recordUsage(label, options, { status: 'error', latencyMs: Date.now() - start, error: error.message });
       const secs = ((Date.now() - start) / 1000).toFixed(1);
-      if (error.name === 'AbortError') {
+      if (options.signal?.aborted) {
+        console.log(`  ⛔ LLM [${label}] — aborted after ${secs}s`);
+        throw abortError(label);
+      }
+      if (error.name === 'AbortError' || controller.signal.aborted) {
         console.log(`  ❌ LLM [${label}] — timed out after ${secs}s`);
-        throw new Error(`LLM request timed out after ${this.timeout / 1000} seconds`);
+        const timeoutError = new Error(`LLM request timed out after ${this.timeout / 1000} seconds`);
+        timeoutError.code = 'LLM_TIMEOUT';
+        throw timeoutError;
       }
       console.log(`  ❌ LLM [${label}] — failed after ${secs}s: ${error.message}`);
       throw error;
     } finally {
       clearTimeout(timeoutId);
+      stream?.finish();
     }
   }
+
+
+  /**
+   * Streaming hooks for one attempt, or null when it does not stream. `onToken`
+   * gets `{ label, chars, tokens, elapsedMs, done }` progress.
+   */
+  _streamHandler(label, options, start) {
+    const maxResponseChars = options.maxResponseChars ?? this.maxResponseChars;
+    if (!options.onToken && !maxResponseChars) return null;
+
+    const tracker = options.schema ? new JsonStreamTracker() : null;
+    const progress = { label, chars: 0, tokens: 0, elapsedMs: 0, done: false };
+    const notify = delta => {
+      progress.elapsedMs = Date.now() - start;
+      options.onToken?.(delta, { ...progress });
+    };
+
+    return {
+      onDelta: delta => {
+        progress.chars += delta.length;
+        progress.tokens++;
+        notify(delta);
+
+        if (maxResponseChars && progress.chars > maxResponseChars) {
+          const error = new Error(`LLM response exceeded ${maxResponseChars} chars — generation stopped`);
+          error.code = 'LLM_OUTPUT_LIMIT';
+          throw error;
+        }
+        if (!tracker) return false;
+        // Read on to the final chunk (it carries the token counts) unless the
+        // model keeps generating after the answer is complete
+        if (tracker.complete) return delta.trim().length > 0;
+        tracker.push(delta);
+        return false;
+      },
+      finish: () => {
+        progress.done = true;
+        notify('');
+      },
+    };
+  }
+
+  /**
+   * Add one provider request to the usage ledger. Repair and retry attempts
+   * are booked under their caller's label.
+   */
+  _recordUsage(label, options, fields) {
+    this.usage.record({
+      label: options.usageLabel ?? label,
+      provider: this.provider,
+      model: this.model,
+      cache: options.cacheStatus ?? 'off',
+      repair: options.repair ?? 0,
+      retry: options.retry ?? 0,
+      ...fields,
+    });
+  }
+
+  /**
+   * Ask for JSON matching `schema`, validating the answer and re-prompting the
+   * model with the validation errors until it is valid or attempts run out.
+   */
+  async generateJson(prompt, label = 'unknown', options = {}) {
+    return this._withCache('json', prompt, label, options,
+      cacheStatus => this._generateValidJson(prompt, label, { ...options, cacheStatus }));
+  }
+
+  async _generateValidJson(prompt, label, options) {
+    const { schema, signal, cacheStatus, onToken, maxResponseChars } = options;
+    const maxRepairAttempts = options.maxRepairAttempts ?? this.maxRepairAttempts;
+    const attempts = [];
+    let currentPrompt = prompt;
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      const attemptLabel = attempt === 0 ? label : `${label} (repair ${attempt}/${maxRepairAttempts})`;
+      const response = await this._send(currentPrompt, attemptLabel, {
+        schema, signal, cacheStatus, onToken, maxResponseChars, usageLabel: label, repair: attempt,
+      });
+
+      const { value, error } = extractJson(response);
+      const errors = error ? [error] : validate(schema, value);
+      attempts.push({ response, errors });
+
+      if (errors.length === 0) return value;
+
+      console.log(`  ⚠️  LLM [${label}] — invalid JSON (${errors.length} error(s)): ${errors[0]}`);
+      currentPrompt = buildRepairPrompt(prompt, response, errors, schema);
+    }
+
+    throw new LlmJsonError(
+      `LLM [${label}] returned invalid JSON after ${attempts.length} attempt(s): ${attempts.at(-1).errors.slice(0, 3).join('; ')}`,
+      { label, attempts }
+    );
+  }
+
+  /**
+   * Serve a call from the cache, otherwise run `produce` and cache its result.
+   * Bypassed while recording fixtures.
+   */
+  async _withCache(kind, prompt, label, options, produce) {
+    if (!this.cache || options.cache === false || this.recordFixtures) return produce('off');
+
+    const key = this.cache.key({
+      kind,
+      provider: this.provider,
+      model: this.model,
+      temperature: this.temperature,
+      template: options.template,
+      prompt,
+      schema: options.schema,
+    });
+
+    const cached = this.cache.get(key);
+    if (cached !== null) {
+      console.log(`  💾 LLM [${label}] — cache hit (${key.slice(0, 12)})`);
+      this.usage.record({ label, provider: this.provider, model: this.model, cache: 'hit', status: 'ok' });
+      return cached;
+    }
+
+    const value = await produce('miss');
+    this.cache.set(key, value, { label, model: this.model, template: options.template ?? null });
+    return value;
+  }
+
+  /**
+   * Run `complete()`, retrying once without the schema if the provider
+   * rejects structured output; it then stays off for this client.
+   */
+  async completeWithFallback(prompt, request) {
+    try {
+      return await this.complete(prompt, request);
+    } catch (error) {
+      if (!request.schema || !this.isStructuredOutputRejection(error)) throw error;
+      console.log(`  ⚠️  ${this.provider} rejected structured output — falling back to prompt-only JSON`);
+      this.structuredOutput = false;
+      return this.complete(prompt, { ...request, schema: undefined });
+    }
+  }
+
+  /**
+   * Perform one request against the provider. Implemented by each adapter.
+   */
+  async complete(prompt, request) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  /**
+   * Whether an error means the provider refused the structured-output option.
+   */
+  isStructuredOutputRejection(error) {
+    return false;
+  }
+
+  /**
+   * Whether an error means the provider could not be reached at all.
+   */
+  isConnectionError(error) {
+    return /fetch failed|ECONNREFUSED|ENOTFOUND/i.test(error?.message ?? '');
+  }
+
+  /**
+   * Whether a 404 says the model is not installed. Other 404s, such as an
+   * unrecorded prompt on the replay server, are not.
+   */
+  isModelNotFound(error) {
+    return error?.status === 404 && /model\b.*\b(?:not found|does not exist)/i.test(error.message ?? '');
+  }
+
+  /**
+   * Whether the model cannot answer at the moment: unreachable or overloaded
+   * server, timeout, or model not installed.
+   */
+  isUnavailableError(error) {
+    if (error?.code === 'LLM_TIMEOUT') return true;
+    if ([502, 503, 504].includes(error?.status)) return true;
+    return this.isModelNotFound(error) || this.isConnectionError(error);
+  }
+
+  /**
+   * Human-readable hint for connection failures, shown by the analyzers.
+   */
+  connectionHint() {
+    return `Failed to connect to ${this.provider} LLM service at ${this.baseUrl}.`;
+  }
 }
 
-module.exports = OllamaClient;
+module.exports = LlmClient;
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * LLM record/replay fixtures, one `<sha256(prompt)>.json` per prompt.
+ * Sealed with STORAGE_STATE_KEY when it is set, redacted otherwise.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { encryptJson, decryptJson } = require('../authentication/secureStorage');
+const { redactor } = require('./redaction');
+
+/**
+ * Raised in replay mode when a prompt has no recorded response.
+ */
+class LlmFixtureMissingError extends Error {
+  constructor({ key, label, prompt, fixturesDir }) {
+    super(
+      `No recorded LLM fixture for [${label}] (key ${key.slice(0, 12)}) in ${fixturesDir}. ` +
+      `Re-record with LLM_FIXTURE_MODE=record against a live LLM server. ` +
+      `Prompt starts: ${JSON.stringify(prompt.slice(0, 120))}`
+    );
+    this.name = 'LlmFixtureMissingError';
+    this.key = key;
+    this.label = label;
+  }
+}
+
+/**
+ * Raised in replay mode when a prompt's response was recorded redacted.
+ */
+class LlmFixtureRedactedError extends Error {
+  constructor({ key, label, fixturesDir }) {
+    super(
+      `LLM fixture for [${label}] (key ${key.slice(0, 12)}) in ${fixturesDir} was recorded with secrets masked ` +
+      `and cannot be replayed. Re-record it with STORAGE_STATE_KEY set so it is stored encrypted instead.`
+    );
+    this.name = 'LlmFixtureRedactedError';
+    this.key = key;
+    this.label = label;
+  }
+}
+
+class LlmFixtureStore {
+  constructor(options = {}) {
+    this.fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'llm');
+    this.passphrase  = options.passphrase ?? process.env.STORAGE_STATE_KEY;
+  }
+
+  /**
+   * Fixtures are keyed on the prompt text alone so they replay regardless of
+   * provider, model or structured-output support.
+   */
+  key(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex');
+  }
+
+  fixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  /**
+   * Look up a recorded response, unsealing it when needed. Throws the
+   * secureStorage STORAGE_KEY_* errors when a sealed fixture cannot be read.
+   */
+  find(prompt) {
+    const fixturePath = this.fixturePath(this.key(prompt));
+    if (!fs.existsSync(fixturePath)) return null;
+    const { sealed, ...fixture } = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    return sealed ? { ...fixture, ...decryptJson(sealed, this.passphrase, fixturePath) } : fixture;
+  }
+
+  /**
+   * Return the recorded fixture, or throw LlmFixtureMissingError /
+   * LlmFixtureRedactedError.
+   */
+  replay(prompt, label = 'unknown') {
+    const fixture = this.find(prompt);
+    if (!fixture) {
+      throw new LlmFixtureMissingError({ key: this.key(prompt), label, prompt, fixturesDir: this.fixturesDir });
+    }
+    if (fixture.redacted?.includes('response')) {
+      throw new LlmFixtureRedactedError({ key: fixture.key, label, fixturesDir: this.fixturesDir });
+    }
+    return fixture;
+  }
+
+  /**
+   * Write a prompt/response pair.
+   */
+  record(prompt, response, meta = {}) {
+    const key = this.key(prompt);
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    const fixture = { key, ...meta, recordedAt: new Date().toISOString(), ...this.protect({ prompt, response }) };
+    fs.writeFileSync(this.fixturePath(key), JSON.stringify(fixture, null, 2), { mode: 0o600 });
+    console.log(`  📼 LLM [${meta.label ?? 'unknown'}] — recorded fixture ${key.slice(0, 12)}`);
+    if (fixture.redacted?.includes('response')) {
+      console.log(`  ⚠️ Fixture ${key.slice(0, 12)} was saved with secrets masked and will not replay; record with STORAGE_STATE_KEY set to keep it`);
+    }
+  }
+
+  /**
+   * The stored form of a prompt/response pair: sealed with the passphrase,
+   * or redacted, listing the fields the redactor changed.
+   */
+  protect(recording) {
+    if (this.passphrase) return { sealed: encryptJson(recording, this.passphrase) };
+    const masked = { prompt: redactor.text(recording.prompt), response: redactor.text(recording.response) };
+    const redacted = Object.keys(masked).filter(field => masked[field] !== recording[field]);
+    return { ...(redacted.length > 0 && { redacted }), ...masked };
+  }
+
+  /**
+   * List all recorded fixtures.
+   */
+  list() {
+    if (!fs.existsSync(this.fixturesDir)) return [];
+    return fs.readdirSync(this.fixturesDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => JSON.parse(fs.readFileSync(path.join(this.fixturesDir, name), 'utf8')));
+  }
+}
+
+module.exports = { LlmFixtureStore, LlmFixtureMissingError, LlmFixtureRedactedError };
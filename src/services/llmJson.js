@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Helpers for turning free-form LLM output into validated JSON.
+ */
+
+/**
+ * Raised when the model could not produce schema-valid JSON; carries every attempt.
+ */
+class LlmJsonError extends Error {
+  constructor(message, { label, attempts }) {
+    super(message);
+    this.name = 'LlmJsonError';
+    this.label = label;
+    this.attempts = attempts;
+  }
+
+  /** Raw text of the last model response. */
+  get lastResponse() {
+    return this.attempts.at(-1)?.response ?? '';
+  }
+
+  /** Validation errors from the last attempt. */
+  get errors() {
+    return this.attempts.at(-1)?.errors ?? [];
+  }
+}
+
+/**
+ * Parse the JSON object out of a model response. Handles markdown fences and
+ * leading/trailing prose around the object.
+ */
+function extractJson(text) {
+  const source = text ?? '';
+  const match = source.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
+    source.match(/(\{[\s\S]*\})/);
+
+  if (!match) {
+    return { value: null, error: 'No JSON object found in response' };
+  }
+
+  try {
+    return { value: JSON.parse(match[1]), error: null };
+  } catch (err) {
+    return { value: null, error: `Malformed JSON: ${err.message}` };
+  }
+}
+
+const FENCE_END_RE = /```[\w-]*\s*$/;
+
+/**
+ * Reports when streamed output has closed its top-level JSON value. Tracking
+ * starts at a `{` or `[` that opens the output or follows a code fence.
+ */
+class JsonStreamTracker {
+  constructor() {
+    this.depth = 0;
+    this.started = false;
+    this.sawText = false; // Non-whitespace output before the value
+    this.tail = ''; // Last characters before the value, to spot a code fence
+    this.complete = false;
+    this.inString = false;
+    this.escaped = false;
+  }
+
+  /**
+   * Feed the next chunk of output.
+   */
+  push(chunk) {
+    for (const char of chunk) {
+      if (this.complete) break;
+
+      if (this.inString) {
+        if (this.escaped) this.escaped = false;
+        else if (char === '\\') this.escaped = true;
+        else if (char === '"') this.inString = false;
+        continue;
+      }
+
+      if (char === '"' && this.started) {
+        this.inString = true;
+      } else if ((char === '{' || char === '[') && (this.started || !this.sawText || FENCE_END_RE.test(this.tail))) {
+        this.started = true;
+        this.depth++;
+      } else if ((char === '}' || char === ']') && this.started) {
+        this.depth--;
+        if (this.depth === 0) this.complete = true;
+      } else if (!this.started) {
+        if (!/\s/.test(char)) this.sawText = true;
+        this.tail = (this.tail + char).slice(-16);
+      }
+    }
+    return this.complete;
+  }
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix its previous answer.
+ */
+function buildRepairPrompt(prompt, response, errors, schema) {
+  return `${prompt}
+
+Your previous answer was not valid:
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+PREVIOUS ANSWER:
+${response}
+
+Return ONLY corrected JSON matching this JSON Schema. Do not include markdown or explanations.
+${JSON.stringify(schema, null, 2)}`;
+}
+
+module.exports = { LlmJsonError, JsonStreamTracker, extractJson, buildRepairPrompt };
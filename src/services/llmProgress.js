@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Live progress for streaming LLM calls: redrawn in place on a TTY, a line
+ * every `intervalMs` otherwise.
+ */
+
+function createProgressReporter(options = {}) {
+  const interactive = options.interactive ?? Boolean(process.stdout.isTTY);
+  const intervalMs = options.intervalMs ?? (interactive ? 250 : 15000);
+  let lastPrint = 0;
+
+  return (delta, progress) => {
+    if (progress.done) {
+      if (interactive && lastPrint > 0) process.stdout.write('\r\x1b[K');
+      lastPrint = 0;
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastPrint < intervalMs) return;
+    lastPrint = now;
+
+    const percent = options.expectedChars
+      ? ` (~${Math.min(99, Math.round(progress.chars / options.expectedChars * 100))}%)`
+      : '';
+    const line = `  ✍️  LLM [${progress.label}] — ${progress.tokens} tokens, ${progress.chars} chars${percent}, ${(progress.elapsedMs / 1000).toFixed(0)}s`;
+
+    if (interactive) process.stdout.write(`\r\x1b[K${line}`);
+    else console.log(line);
+  };
+}
+
+module.exports = { createProgressReporter };
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Ollama stand-in answering /api/generate, /api/tags and /api/version from
+ * recorded fixtures.
+ */
+
+const http = require('http');
+const { LlmFixtureStore, LlmFixtureMissingError } = require('./llmFixtures');
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Write a response the way a streaming Ollama server does: one NDJSON line
+ * per small chunk of text, then a final `done` line carrying the counts.
+ */
+function sendStream(res, model, final) {
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+  for (const piece of final.response.match(/[\s\S]{1,16}/g) || []) {
+    res.write(JSON.stringify({ model, created_at: final.created_at, response: piece, done: false }) + '\n');
+  }
+  res.end(JSON.stringify({ ...final, response: '' }) + '\n');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function createReplayServer(options = {}) {
+  const fixtures = options.fixtures || new LlmFixtureStore();
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'GET' && req.url === '/api/version') {
+        return sendJson(res, 200, { version: 'autowright-replay' });
+      }
+
+      if (req.method === 'GET' && req.url === '/api/tags') {
+        const models = [...new Set(fixtures.list().map(f => f.model).filter(Boolean))];
+        return sendJson(res, 200, { models: models.map(name => ({ name, model: name })) });
+      }
+
+      if (req.method === 'POST' && req.url === '/api/generate') {
+        const request = JSON.parse(await readBody(req));
+        let fixture;
+        try {
+          fixture = fixtures.replay(request.prompt ?? '');
+        } catch (error) {
+          if (error instanceof LlmFixtureMissingError) {
+            const key = fixtures.key(request.prompt ?? '');
+            console.log(`[replay] ❌ unrecorded prompt ${key.slice(0, 12)}`);
+            return sendJson(res, 404, {
+              error: `No recorded LLM fixture (key ${key.slice(0, 12)}) in ${fixtures.fixturesDir}. Re-record with LLM_FIXTURE_MODE=record against a live LLM server.`,
+            });
+          }
+          // Recorded, but masked or sealed under a key we do not have
+          console.log(`[replay] ❌ ${error.message}`);
+          return sendJson(res, 422, { error: error.message });
+        }
+
+        console.log(`[replay] ✅ ${fixture.label ?? 'unknown'} (${fixture.key.slice(0, 12)})`);
+        const final = {
+          model: request.model,
+          created_at: fixture.recordedAt,
+          response: fixture.response,
+          done: true,
+          prompt_eval_count: fixture.usage?.promptTokens ?? undefined,
+          eval_count: fixture.usage?.completionTokens ?? undefined,
+        };
+        // Ollama streams unless the request says otherwise
+        if (request.stream === false) return sendJson(res, 200, final);
+        return sendStream(res, request.model, final);
+      }
+
+      sendJson(res, 404, { error: `Not supported by replay server: ${req.method} ${req.url}` });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+  });
+}
+
+module.exports = { createReplayServer };
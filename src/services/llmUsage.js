@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * LlmUsageLedger
+ *
+ * Run-level record of every LLM call, written to output/llm-usage.json.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+class LlmUsageLedger {
+  constructor() {
+    this.startedAt = new Date().toISOString();
+    this.entries = [];
+  }
+
+  record(entry) {
+    this.entries.push({
+      timestamp: new Date().toISOString(),
+      latencyMs: 0,
+      promptTokens: null,
+      completionTokens: null,
+      repair: 0,
+      retry: 0,
+      ...entry,
+    });
+  }
+
+  reset() {
+    this.startedAt = new Date().toISOString();
+    this.entries = [];
+  }
+
+  /**
+   * Aggregate totals overall and per label, labels sorted by latency (highest first).
+   */
+  summary() {
+    const empty = () => ({
+      calls: 0, requests: 0, cacheHits: 0, errors: 0, repairs: 0, retries: 0,
+      latencyMs: 0, promptTokens: 0, completionTokens: 0,
+    });
+    const totals = empty();
+    const byLabel = {};
+
+    for (const e of this.entries) {
+      const bucket = byLabel[e.label] || (byLabel[e.label] = empty());
+      for (const target of [totals, bucket]) {
+        if (e.repair === 0 && e.retry === 0) target.calls++;
+        if (e.cache === 'hit') target.cacheHits++;
+        else target.requests++;
+        if (e.status === 'error') target.errors++;
+        if (e.repair > 0 && e.retry === 0) target.repairs++;
+        if (e.retry > 0) target.retries++;
+        target.latencyMs        += e.latencyMs || 0;
+        target.promptTokens     += e.promptTokens || 0;
+        target.completionTokens += e.completionTokens || 0;
+      }
+    }
+
+    const labels = Object.entries(byLabel)
+      .sort(([, a], [, b]) => b.latencyMs - a.latencyMs)
+      .map(([label, stats]) => ({ label, ...stats }));
+
+    return { startedAt: this.startedAt, totals, byLabel: labels };
+  }
+
+  /**
+   * Write summary and raw entries as JSON.
+   */
+  write(file = path.join('output', 'llm-usage.json')) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const report = {
+      ...this.summary(),
+      generatedAt: new Date().toISOString(),
+      entries: this.entries,
+    };
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return file;
+  }
+}
+
+// Process-wide ledger shared by every LlmClient
+const usageLedger = new LlmUsageLedger();
+
+module.exports = { LlmUsageLedger, usageLedger };
@@ -0,0 +1,103 @@
+'use strict';
+
+const LlmClient = require('./llmClient');
+
+/**
+ * OllamaClient
+ *
+ * Adapter for Ollama's native `/api/generate` endpoint.
+ */
+class OllamaClient extends LlmClient {
+  constructor(options = {}) {
+    super({ ...options, baseUrl: options.baseUrl ?? 'http://localhost:11434' });
+    this.provider = 'ollama';
+  }
+
+  async complete(prompt, { signal, schema, onDelta }) {
+    const response = await fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        prompt,
+        stream: Boolean(onDelta),
+        ...(schema ? { format: schema } : {}),
+        options: {
+          temperature: this.temperature,
+        },
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      const error = new Error(`Ollama error: ${text}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (onDelta) return this.readStream(response, onDelta);
+
+    const data = await response.json();
+    return {
+      text: data.response,
+      usage: {
+        promptTokens: data.prompt_eval_count ?? null,
+        completionTokens: data.eval_count ?? null,
+      },
+    };
+  }
+
+  /**
+   * Accumulate a streamed `/api/generate` response. Token counts are only
+   * reported on the final chunk, so a stream stopped early has none.
+   */
+  async readStream(response, onDelta) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let usage = { promptTokens: null, completionTokens: null };
+
+    // Returns true when reading should stop
+    const handleLine = line => {
+      if (!line.trim()) return false;
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(`Ollama error: ${chunk.error}`);
+      if (chunk.done) {
+        usage = { promptTokens: chunk.prompt_eval_count ?? null, completionTokens: chunk.eval_count ?? null };
+      }
+      if (!chunk.response) return false;
+      text += chunk.response;
+      return onDelta(chunk.response);
+    };
+
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+          handleLine(buffer + decoder.decode());
+          break;
+        }
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        if (lines.some(handleLine)) break;
+      }
+    } finally {
+      await reader.cancel().catch(() => {});
+    }
+
+    return { text, usage };
+  }
+
+  isStructuredOutputRejection(error) {
+    return error.status === 400 && /format/i.test(error.message);
+  }
+
+  connectionHint() {
+    return `Failed to connect to Ollama service at ${this.baseUrl}. Please ensure Ollama is running with: ollama serve`;
+  }
+}
+
+module.exports = OllamaClient;
@@ -0,0 +1,91 @@
+'use strict';
+
+const { OpenAI, APIConnectionError } = require('openai');
+const LlmClient = require('./llmClient');
+
+/**
+ * OpenAiCompatibleClient
+ *
+ * Adapter for OpenAI chat completions servers (vLLM, llama.cpp, LM Studio, OpenAI).
+ */
+class OpenAiCompatibleClient extends LlmClient {
+  constructor(options = {}) {
+    super({ ...options, baseUrl: options.baseUrl ?? 'http://localhost:8000/v1' });
+    this.provider = 'openai';
+
+    this.sdk = new OpenAI({
+      baseURL: this.baseUrl,
+      apiKey: options.apiKey || 'not-needed',
+      // LlmClient owns timeouts and retries; the SDK limit is only a backstop
+      timeout: this.timeout + 5000,
+      maxRetries: 0,
+    });
+  }
+
+  async complete(prompt, { signal, schema, onDelta }) {
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.temperature,
+      ...(schema ? {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema },
+        },
+      } : {}),
+    };
+
+    if (onDelta) {
+      const stream = await this.sdk.chat.completions.create(
+        { ...body, stream: true, stream_options: { include_usage: true } },
+        { signal }
+      );
+      return this.readStream(stream, onDelta);
+    }
+
+    const completion = await this.sdk.chat.completions.create(body, { signal });
+
+    return {
+      text: completion.choices?.[0]?.message?.content ?? '',
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens ?? null,
+        completionTokens: completion.usage?.completion_tokens ?? null,
+      },
+    };
+  }
+
+  /**
+   * Accumulate a streamed completion. Leaving the loop early aborts the
+   * underlying request.
+   */
+  async readStream(stream, onDelta) {
+    let text = '';
+    let usage = { promptTokens: null, completionTokens: null };
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = { promptTokens: chunk.usage.prompt_tokens ?? null, completionTokens: chunk.usage.completion_tokens ?? null };
+      }
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (!delta) continue;
+      text += delta;
+      if (onDelta(delta)) break;
+    }
+
+    return { text, usage };
+  }
+
+  isStructuredOutputRejection(error) {
+    return error?.status === 400 && /response_format|json_schema/i.test(error.message);
+  }
+
+  isConnectionError(error) {
+    return error instanceof APIConnectionError || super.isConnectionError(error);
+  }
+
+  connectionHint() {
+    return `Failed to connect to OpenAI-compatible LLM service at ${this.baseUrl}. Please ensure the server is running and LLM_BASE_URL is correct.`;
+  }
+}
+
+module.exports = OpenAiCompatibleClient;
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * PromptRegistry
+ *
+ * Named, versioned prompt templates; `<overridesDir>/<name>.txt` replaces the
+ * built-in text and adds its hash to the version.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const builtInTemplates = require('./promptTemplates');
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+
+function placeholdersIn(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER_RE)].map(m => m[1]))];
+}
+
+class PromptRegistry {
+  constructor(options = {}) {
+    this.overridesDir = options.overridesDir
+      || process.env.PROMPT_OVERRIDES_DIR
+      || path.join(__dirname, '..', '..', 'config', 'prompts');
+    this.templates = new Map();
+    this.loggedOverrides = new Set();
+  }
+
+  /**
+   * Add a template. Every placeholder in its text must be a declared variable.
+   */
+  register(template) {
+    const undeclared = placeholdersIn(template.text).filter(v => !template.variables.includes(v));
+    if (undeclared.length > 0) {
+      throw new Error(`Prompt template "${template.name}" uses undeclared variable(s): ${undeclared.join(', ')}`);
+    }
+    this.templates.set(template.name, { ...template, source: 'built-in' });
+    return this;
+  }
+
+  overridePath(name) {
+    return path.join(this.overridesDir, `${name}.txt`);
+  }
+
+  /**
+   * Resolve a template, applying a project override if one exists.
+   */
+  get(name) {
+    const builtIn = this.templates.get(name);
+    if (!builtIn) {
+      throw new Error(`Unknown prompt template "${name}". Registered: ${[...this.templates.keys()].join(', ')}`);
+    }
+
+    const file = this.overridePath(name);
+    if (!fs.existsSync(file)) {
+      const version = String(builtIn.version);
+      return { ...builtIn, version, id: `${name}@${version}` };
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    const undeclared = placeholdersIn(text).filter(v => !builtIn.variables.includes(v));
+    if (undeclared.length > 0) {
+      throw new Error(
+        `Prompt override ${file} uses unknown variable(s): ${undeclared.join(', ')}. ` +
+        `Available: ${builtIn.variables.join(', ')}`
+      );
+    }
+
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 8);
+    const version = `${builtIn.version}+${hash}`;
+    if (!this.loggedOverrides.has(file)) {
+      console.log(`📝 Using prompt override for "${name}" (${file})`);
+      this.loggedOverrides.add(file);
+    }
+    return { ...builtIn, text, version, id: `${name}@${version}`, source: file };
+  }
+
+  /**
+   * Fill a template's placeholders.
+   */
+  render(name, variables = {}) {
+    const template = this.get(name);
+    const missing = template.variables.filter(v => variables[v] === undefined || variables[v] === null);
+    if (missing.length > 0) {
+      throw new Error(`Prompt template "${template.id}" is missing variable(s): ${missing.join(', ')}`);
+    }
+
+    const prompt = template.text.replace(PLACEHOLDER_RE, (_, key) => {
+      const value = variables[key];
+      return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    });
+    return { prompt, template: template.id };
+  }
+
+  list() {
+    return [...this.templates.keys()].map(name => {
+      const { id, description, variables, source } = this.get(name);
+      return { name, id, description, variables, source };
+    });
+  }
+}
+
+// Default registry with the built-in templates, shared by the analyzers
+const prompts = new PromptRegistry();
+builtInTemplates.forEach(template => prompts.register(template));
+
+module.exports = { PromptRegistry, prompts };
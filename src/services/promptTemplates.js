@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Built-in prompt templates. Bump `version` whenever the wording changes so
+ * cached answers for the old prompt are not reused.
+ */
+
+const DOM_ANALYZE = {
+  name: 'dom-analyze',
+  version: 1,
+  description: 'DomAnalyzer.analyze — classify a page and suggest locators and test scenarios',
+  variables: ['pageData'],
+  text: `
+You are a senior QA automation engineer.
+
+Return ONLY valid JSON.
+Do not include markdown.
+Do not include explanations.
+Do not include backticks.
+
+IMPORTANT: For Playwright selectors, use proper CSS selector syntax:
+- For elements with data-testid: use [data-testid='value'] (not [data-testid='value'] element)
+- For elements with id: use #id
+- For elements with class: use .class
+- For specific element types with attributes: use element[attribute='value']
+- Examples:
+  * button[data-testid='Submit'] (correct)
+  * [data-testid='Submit'] button (wrong - this looks for button inside testid element)
+
+{
+  "pageType": "...",
+  "recommendedLocators": [
+    {
+      "description": "...",
+      "playwrightLocator": "...",
+      "reason": "..."
+    }
+  ],
+  "testScenarios": [
+    {
+      "name": "...",
+      "steps": ["...", "..."]
+    }
+  ]
+}
+
+PAGE DATA:
+{{pageData}}
+`,
+};
+
+const DOM_AUTH_SELECTORS = {
+  name: 'dom-auth-selectors',
+  version: 1,
+  description: 'DomAnalyzer.extractAuthSelectors — pick username, password and submit selectors',
+  variables: ['pageAnalysis'],
+  text: `You are a senior QA automation engineer.
+
+Based on the following page analysis, extract the most reliable Playwright selectors for username/email input, password input, and submit button.
+
+IMPORTANT: Use proper Playwright CSS selector syntax:
+- For elements with data-testid: use [data-testid='value'] OR element[data-testid='value']
+- For elements with id: use #id
+- Examples:
+  * button[data-testid='Submit'] (correct)
+  * [data-testid='Submit'] (correct if unique)
+  * [data-testid='Submit'] button (wrong - looks for button inside testid element)
+
+Return ONLY valid JSON in the following format:
+{
+  "usernameSelector": "...",
+  "passwordSelector": "...",
+  "submitSelector": "..."
+}
+PAGE ANALYSIS:
+{{pageAnalysis}}
+`,
+};
+
+const ROUTE_ANALYSIS = {
+  name: 'route-analysis',
+  version: 3,
+  description: 'RouteAnalyzer — assign risk level and business criticality to one batch of routes, grouped by navigation menu',
+  variables: ['routeCount', 'domain', 'routeList', 'navigationGroupCount', 'navigationGroups', 'batchNote'],
+  text: `Analyze {{routeCount}} web application routes for security risks.{{batchNote}}
+
+**DOMAIN**: {{domain}}
+
+**ROUTES** ({{routeCount}} total):
+{{routeList}}
+
+**NAVIGATION GROUPS** ({{navigationGroupCount}} groups):
+{{navigationGroups}}
+
+Group the routes into navigationStructure entries named after their navigation menu (or a short functional name when no menu links to them).
+Every route listed above must appear in exactly one entry. Do not add routes that are not listed.
+For each entry give a one-sentence "rationale" naming what makes it risky or safe (money movement, personal data, account changes, read-only content)
+and a "confidence" between 0 and 1 for the rating.
+
+Return JSON with security analysis - assign risk levels based on route functionality:
+
+{
+  "navigationStructure": [
+    {
+      "menuName": "Payment Systems",
+      "routes": ["/mortgage/servicing/make-a-payment", "/mortgage/servicing/manage-autopay"],
+      "riskLevel": "High",
+      "businessCriticality": "Critical",
+      "rationale": "Moves money from the customer's bank account and sets up recurring payments.",
+      "confidence": 0.9
+    }
+  ],
+  "riskSummary": { "high": 0, "medium": 0, "low": 0 },
+  "totalRoutes": {{routeCount}}
+}`,
+};
+
+module.exports = [DOM_ANALYZE, DOM_AUTH_SELECTORS, ROUTE_ANALYSIS];
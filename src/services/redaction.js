@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Redactor
+ *
+ * Masks env secrets, token shapes and config/redaction.json patterns in the
+ * artifacts the pipeline writes. REDACT_ARTIFACTS=false turns it off.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const DEFAULT_REDACTION_FILE = path.join(process.cwd(), 'config', 'redaction.json');
+const MIN_SECRET_LENGTH = 8;
+const COMMON_SECRETS = new Set([
+  'password', 'password1', 'password123', 'passw0rd', 'changeme', 'changeit', 'welcome1', 'letmein1',
+  'admin123', 'administrator', 'username', 'testuser', 'test1234', 'qwerty123', '12345678', '123456789',
+]);
+
+const SECRET_ENV_RE = /^(?:PASSWORD|LOGIN_USERNAME|TOTP_SECRET|STORAGE_STATE_KEY|AUTH_(?:BEARER_TOKEN|API_KEY)|PERSONA_\w+_(?:USERNAME|PASSWORD|TOTP_SECRET)|\w*_API_KEY)$/;
+const SENSITIVE_KEY_RE = /^(?:password|passwd|pwd|secret|client_secret|totp_?secret|token|access_?token|refresh_?token|id_?token|api[-_]?key|authorization|cookie|set-cookie)$/i;
+const STRUCTURAL_KEY_RE = /^(?:type|name|id|for|role|tag|href|url|src|action|selector|locator|ref|test_?id|data-testid|normalizedPath|routePath)$/i;
+
+const BUILT_IN_PATTERNS = [
+  { name: 'jwt', pattern: /\beyJ[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,}/g },
+  { name: 'authorization', pattern: /\b(Bearer|Basic)\s+[\w.~+/-]{8,}=*/g, replacement: '$1 [REDACTED:authorization]' },
+  {
+    name: 'credential',
+    pattern: /\b(pass(?:word|wd)?|secret|client_secret|(?:access_|refresh_|id_)?token|api[-_]?key)(["']?\s*[:=]\s*["']?)[^\s"'&,;]{4,}/gi,
+    replacement: '$1$2[REDACTED:credential]',
+  },
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether an environment value is distinctive enough to mask wherever it
+ * appears as a token.
+ */
+function isMaskableSecret(value) {
+  if (!value || value.length < MIN_SECRET_LENGTH) return false;
+  if (/^[a-z]+$/.test(value)) return false; // a plain word is also a field name, label or path segment
+  return !COMMON_SECRETS.has(value.toLowerCase());
+}
+
+/**
+ * Credential values from the environment, including AUTH_HEADERS values.
+ */
+function envSecrets() {
+  const secrets = Object.entries(process.env)
+    .filter(([name]) => SECRET_ENV_RE.test(name))
+    .map(([, value]) => value);
+  try {
+    secrets.push(...Object.values(JSON.parse(process.env.AUTH_HEADERS || '{}')).map(String));
+  } catch (_) { /* invalid AUTH_HEADERS is reported by authOptionsFromEnv for the header strategy */ }
+  return secrets;
+}
+
+class Redactor {
+  constructor(options = {}) {
+    this.options = options;
+    this.rules = null; // compiled on first use so env loaded by dotenv is picked up
+  }
+
+  get enabled() {
+    return this.options.enabled ?? process.env.REDACT_ARTIFACTS !== 'false';
+  }
+
+  /**
+   * Mask secrets and PII in a string.
+   */
+  text(text) {
+    return this.apply(text, this.compile());
+  }
+
+  apply(text, rules) {
+    if (!this.enabled || typeof text !== 'string' || text.length === 0) return text;
+    return rules.reduce((result, { name, pattern, replacement }) =>
+      result.replace(pattern, replacement || `[REDACTED:${name}]`), text);
+  }
+
+  /**
+   * Redacted deep copy of a JSON value.
+   */
+  json(value) {
+    if (!this.enabled) return value;
+    if (typeof value === 'string') return this.text(value);
+    if (Array.isArray(value)) return value.map(item => this.json(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        if (SENSITIVE_KEY_RE.test(key) && typeof item === 'string' && item.length > 0) return [key, `[REDACTED:${key}]`];
+        if (STRUCTURAL_KEY_RE.test(key) && typeof item === 'string') return [key, this.apply(item, BUILT_IN_PATTERNS)];
+        return [key, this.json(item)];
+      }));
+    }
+    return value;
+  }
+
+  /**
+   * JSON.stringify a redacted copy, for writing artifacts.
+   */
+  stringify(value) {
+    return JSON.stringify(this.json(value), null, 2);
+  }
+
+  compile() {
+    if (this.rules) return this.rules;
+
+    const secrets = [...new Set(this.options.secrets ?? envSecrets())]
+      .filter(isMaskableSecret)
+      .sort((a, b) => b.length - a.length);
+
+    this.rules = [
+      // Whole tokens only: a secret inside a longer word or identifier is left alone
+      ...(secrets.length > 0
+        ? [{ name: 'secret', pattern: new RegExp(`(?<![\\w.@-])(?:${secrets.map(escapeRegExp).join('|')})(?![\\w@-])`, 'g') }]
+        : []),
+      ...BUILT_IN_PATTERNS,
+      ...loadRedactionPatterns(this.options.file),
+    ];
+    return this.rules;
+  }
+}
+
+/**
+ * Project redaction patterns.
+ */
+function loadRedactionPatterns(file = process.env.REDACTION_FILE || DEFAULT_REDACTION_FILE) {
+  if (!fs.existsSync(file)) return [];
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid redaction file ${file}: ${error.message}`);
+  }
+  return (config.patterns || []).map((entry, i) => {
+    if (!entry.pattern) throw new Error(`Invalid redaction file ${file}: patterns[${i}] has no "pattern"`);
+    const flags = [...new Set(`g${entry.flags || ''}`)].join('');
+    return { name: entry.name || `pattern-${i + 1}`, pattern: new RegExp(entry.pattern, flags) };
+  });
+}
+
+// Shared instance used by every artifact writer
+const redactor = new Redactor();
+
+module.exports = { Redactor, redactor, loadRedactionPatterns };
@@ -0,0 +1,123 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { AccessMatrix, classifyAccess, renderAccessMatrixHtml } = require('../src/route-discovery/accessMatrix');
+
+const LOGIN_URL = 'https://app.test/login';
+
+function visit(pathname, fields = {}) {
+  return { requestedUrl: `https://app.test${pathname}`, loginUrl: LOGIN_URL, status: 200, ...fields };
+}
+
+describe('classifyAccess', () => {
+  it('tells the outcomes apart', () => {
+    const cases = [
+      [visit('/admin'), 'rendered'],
+      [visit('/admin', { finalUrl: `${LOGIN_URL}?next=/admin` }), 'login'],
+      [visit('/admin', { hasPasswordField: true }), 'login'],
+      [visit('/admin', { status: 403 }), 'forbidden'],
+      [visit('/admin', { heading: "You don't have permission to view this page" }), 'forbidden'],
+      [visit('/admin', { title: 'Page not found' }), 'not-found'],
+      [visit('/admin', { status: 502 }), 'error'],
+      [visit('/admin', { error: 'net::ERR_CONNECTION_RESET' }), 'error'],
+      [visit('/admin', { finalUrl: 'https://app.test/dashboard' }), 'redirected'],
+      [visit('/admin/', { finalUrl: 'https://app.test/admin' }), 'rendered'],
+    ];
+    for (const [input, outcome] of cases) {
+      assert.equal(classifyAccess(input), outcome, JSON.stringify(input));
+    }
+  });
+});
+
+describe('AccessMatrix', () => {
+  const rendered = { outcome: 'rendered' };
+  const forbidden = { outcome: 'forbidden' };
+
+  it('flags routes rendered for personas outside allowedPersonas', () => {
+    const matrix = new AccessMatrix({ baseUrl: 'https://app.test' });
+    const routes = ['/admin/users', '/statements', '/help'];
+    const results = new Map([
+      ['/admin/users', { admin: rendered, 'read-only': rendered }],
+      ['/statements', { admin: rendered, 'read-only': forbidden }],
+      ['/help', { admin: rendered, 'read-only': rendered }],
+    ]);
+    const configEntries = [
+      { url: '/admin/users', allowedPersonas: ['admin'], riskLevel: 'critical' },
+      { url: '/statements', allowedPersonas: ['admin', 'read-only'] },
+      { url: '/help' },
+    ];
+
+    const result = matrix.compile(routes, ['admin', 'read-only'], results, configEntries);
+
+    assert.deepEqual(result.violations, [
+      { route: '/admin/users', persona: 'read-only', allowedPersonas: ['admin'], riskLevel: 'critical' },
+    ]);
+    assert.deepEqual(result.deniedExpected, [{ route: '/statements', persona: 'read-only', outcome: 'forbidden' }]);
+    assert.equal(result.summary.withExpectations, 2);
+    assert.deepEqual(result.summary.byPersona['read-only'], {
+      rendered: 2, login: 0, forbidden: 1, 'not-found': 0, redirected: 0, error: 0,
+    });
+    assert.equal(result.routes.find(row => row.route === '/help').allowedPersonas, null);
+
+    const html = renderAccessMatrixHtml(result);
+    assert.match(html, /<td class="rendered violation"[^>]*>rendered ⚠<\/td>/);
+    assert.equal(html.match(/violation"/g).length, 1);
+  });
+
+  it('collects routes from every persona and the route config', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-matrix-'));
+    try {
+      const persona = name => {
+        const outputDir = path.join(dir, name);
+        fs.mkdirSync(outputDir);
+        return { name, outputDir };
+      };
+      const admin = persona('admin');
+      const borrower = persona('borrower');
+      fs.writeFileSync(path.join(admin.outputDir, 'routes.json'), JSON.stringify({
+        discoveredRoutes: ['https://app.test/admin/users', 'https://app.test/help'],
+      }));
+      fs.writeFileSync(path.join(borrower.outputDir, 'routes.json'), JSON.stringify({
+        discoveredRoutes: ['https://app.test/help', 'https://app.test/payments'],
+      }));
+
+      const matrix = new AccessMatrix({ personas: [admin, borrower], baseUrl: 'https://app.test' });
+
+      assert.deepEqual(matrix.collectRoutes([{ url: 'https://app.test/statements' }]),
+        ['/admin/users', '/help', '/payments', '/statements']);
+      assert.equal(matrix.representatives.get('/help'), 'https://app.test/help');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('records what a persona saw on a visit', async () => {
+    const matrix = new AccessMatrix({ baseUrl: 'https://app.test', loginUrl: LOGIN_URL, settleMs: 0 });
+    const page = {
+      goto: async () => ({ status: () => 200 }),
+      waitForLoadState: async () => {},
+      waitForTimeout: async () => {},
+      url: () => 'https://app.test/admin/users',
+      title: async () => 'Access denied',
+      locator: selector => ({
+        first: () => ({ textContent: async () => 'Users' }),
+        count: async () => (selector === 'input[type="password"]' ? 0 : 1),
+      }),
+    };
+
+    assert.deepEqual(await matrix.visit(page, 'https://app.test/admin/users'), {
+      requestedUrl: 'https://app.test/admin/users',
+      status: 200,
+      finalUrl: 'https://app.test/admin/users',
+      title: 'Access denied',
+      heading: 'Users',
+      hasPasswordField: false,
+      outcome: 'forbidden',
+    });
+  });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const http = require('http');
+const os   = require('os');
+const path = require('path');
+
+const { authOptionsFromEnv, readCookiesFile, contextExtrasFor, applyStrategy } = require('../src/authentication/authStrategies');
+const { authContextOptions, applyAuthHeaders, saveAuthContext, contextFileFor } = require('../src/authentication/authContext');
+const { SessionValidator } = require('../src/authentication/sessionCheck');
+const { default: routeHeadersForPage } = require('../src/mcp-integration/mcpAuthHeaders');
+
+mock.method(console, 'log', () => {});
+
+const ORIGIN = 'https://app.test';
+
+// Records context.route() handlers; send() plays a request through them
+function fakeContext() {
+  const routes = [];
+  return {
+    routes,
+    route: async (pattern, handler) => routes.push({ pattern, handler }),
+    async send(url, headers) {
+      const route = routes.find(({ pattern }) => url.startsWith(pattern.replace(/\*\*$/, '')));
+      if (!route) return headers;
+      let sent;
+      await route.handler({ request: () => ({ headers: () => headers }), fallback: options => { sent = options.headers; } });
+      return sent;
+    },
+  };
+}
+
+function withTmpDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-auth-'));
+  return Promise.resolve(fn(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+describe('authOptionsFromEnv', () => {
+  it('builds header options from the bearer token, API key and AUTH_HEADERS', () => {
+    const options = authOptionsFromEnv({
+      AUTH_STRATEGY: 'header',
+      AUTH_HEADERS: '{"X-Tenant":"acme"}',
+      AUTH_BEARER_TOKEN: 'tok',
+      AUTH_API_KEY: 'key',
+      AUTH_API_KEY_HEADER: 'X-Partner-Key',
+    });
+
+    assert.deepEqual(options.headers, { 'X-Tenant': 'acme', Authorization: 'Bearer tok', 'X-Partner-Key': 'key' });
+  });
+
+  it('only parses the JSON the selected strategy uses', () => {
+    const env = { AUTH_HEADERS: '{not json', AUTH_TOKEN_BODY: '[1]' };
+
+    assert.doesNotThrow(() => authOptionsFromEnv(env));
+    assert.doesNotThrow(() => authOptionsFromEnv({ ...env, AUTH_STRATEGY: 'cookies' }));
+    assert.throws(() => authOptionsFromEnv({ ...env, AUTH_STRATEGY: 'header' }),
+      { code: 'AUTH_ENV_INVALID', envVar: 'AUTH_HEADERS', message: /^Invalid AUTH_HEADERS: / });
+    assert.throws(() => authOptionsFromEnv({ ...env, AUTH_STRATEGY: 'token' }),
+      { code: 'AUTH_ENV_INVALID', envVar: 'AUTH_TOKEN_BODY', message: 'Invalid AUTH_TOKEN_BODY: expected a JSON object' });
+  });
+});
+
+describe('readCookiesFile', () => {
+  it('reads browser extension exports and Netscape cookies.txt', () => withTmpDir(dir => {
+    const json = path.join(dir, 'cookies.json');
+    fs.writeFileSync(json, JSON.stringify([{ name: 'sid', value: 'a', domain: '.app.test', expirationDate: 2000000000, sameSite: 'no_restriction', secure: true }]));
+    assert.deepEqual(readCookiesFile(json), [
+      { name: 'sid', value: 'a', domain: '.app.test', path: '/', expires: 2000000000, httpOnly: false, secure: true, sameSite: 'None' },
+    ]);
+
+    const txt = path.join(dir, 'cookies.txt');
+    fs.writeFileSync(txt, '# Netscape HTTP Cookie File\n#HttpOnly_.app.test\tTRUE\t/\tTRUE\t0\tsid\tb\n\n');
+    assert.deepEqual(readCookiesFile(txt), [
+      { name: 'sid', value: 'b', domain: '.app.test', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' },
+    ]);
+  }));
+});
+
+describe('auth headers stay on the app origin', () => {
+  it('needs headers for the header strategy', () => {
+    assert.deepEqual(contextExtrasFor('header', { headers: { 'X-API-Key': 'k' } }, {}), { headers: { 'X-API-Key': 'k' } });
+    assert.throws(() => contextExtrasFor('header', { headers: {} }, {}), /needs headers/);
+  });
+
+  it('adds saved headers to app requests only, and limits basic credentials to the app', () => withTmpDir(async dir => {
+    const storageState = path.join(dir, 'storage-state.json');
+    fs.writeFileSync(storageState, JSON.stringify({ cookies: [], origins: [] }));
+    saveAuthContext(storageState, {
+      origin: ORIGIN,
+      httpCredentials: { username: 'qa', password: 'pw' },
+      headers: { Authorization: 'Bearer tok' },
+    });
+
+    const options = authContextOptions(storageState);
+    assert.deepEqual(options.httpCredentials, { username: 'qa', password: 'pw', origin: ORIGIN });
+    assert.equal('extraHTTPHeaders' in options, false);
+
+    const context = fakeContext();
+    await applyAuthHeaders(context, storageState);
+    assert.deepEqual(await context.send(`${ORIGIN}/api/me`, { accept: '*/*', authorization: 'stale' }),
+      { accept: '*/*', authorization: 'Bearer tok' });
+    assert.deepEqual(await context.send('https://cdn.example.com/app.js', { accept: '*/*' }), { accept: '*/*' });
+  }));
+
+  it('removes the sidecar when there is nothing to save', () => withTmpDir(dir => {
+    const storageState = path.join(dir, 'storage-state.json');
+    saveAuthContext(storageState, { origin: ORIGIN, headers: { 'X-API-Key': 'k' } });
+    assert.ok(fs.existsSync(contextFileFor(storageState)));
+
+    saveAuthContext(storageState, { origin: ORIGIN });
+    assert.equal(fs.existsSync(contextFileFor(storageState)), false);
+  }));
+
+  it('routes a token used as a header instead of setting it context-wide', async () => {
+    const context = {
+      ...fakeContext(),
+      request: { post: async () => ({ ok: () => true, json: async () => ({ data: { jwt: 'signed' } }) }) },
+      setExtraHTTPHeaders: () => assert.fail('token must not be sent to every host'),
+    };
+
+    const discovered = await applyStrategy('token', context, null, { tokenUrl: `${ORIGIN}/token`, tokenPath: 'data.jwt' },
+      { origin: ORIGIN, credentials: { username: 'qa', password: 'pw' } });
+
+    assert.deepEqual(discovered, { headers: { Authorization: 'Bearer signed' } });
+    assert.deepEqual(context.routes.map(route => route.pattern), [`${ORIGIN}/**`]);
+  });
+
+  it('routes the headers handed to the MCP server on each of its pages', async () => {
+    const page = fakeContext();
+    process.env.AUTOWRIGHT_AUTH_HEADERS = JSON.stringify({ origin: ORIGIN, headers: { 'X-API-Key': 'k' } });
+    try {
+      await routeHeadersForPage({ page });
+    } finally {
+      delete process.env.AUTOWRIGHT_AUTH_HEADERS;
+    }
+
+    assert.deepEqual(await page.send(`${ORIGIN}/`, {}), { 'x-api-key': 'k' });
+    assert.deepEqual(await page.send('https://tracker.example.com/', {}), {});
+  });
+
+  it('only sends saved headers to a session probe on the app origin', async () => {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+      seen.push(req.headers['x-api-key'] ?? null);
+      res.writeHead(200).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const probeUrl = `http://127.0.0.1:${server.address().port}/me`;
+    try {
+      const validator = new SessionValidator({ strategies: ['probe'], probeUrl, ttlMinutes: 0 });
+      await validator.probe({ cookies: [] }, { origin: new URL(probeUrl).origin, headers: { 'X-API-Key': 'k' } });
+      await validator.probe({ cookies: [] }, { origin: ORIGIN, headers: { 'X-API-Key': 'k' } });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    assert.deepEqual(seen, ['k', null]);
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CrawlRules, globToRegExp } = require('../src/route-discovery/crawlRules');
+
+describe('globToRegExp', () => {
+  it('matches * within one segment and ** across segments', () => {
+    assert.ok(globToRegExp('/statements/*').test('/statements/2024'));
+    assert.ok(!globToRegExp('/statements/*').test('/statements/2024/pdf'));
+    assert.ok(globToRegExp('/admin/**').test('/admin/users/1'));
+  });
+
+  it('lets a trailing /** match the directory itself', () => {
+    assert.ok(globToRegExp('/admin/**').test('/admin'));
+    assert.ok(!globToRegExp('/admin/**').test('/administrator'));
+  });
+});
+
+describe('CrawlRules', () => {
+  it('follows everything without rules', () => {
+    assert.deepEqual(new CrawlRules().admit('https://bank.test/anything', 9), { allowed: true });
+  });
+
+  it('checks exclude before include', () => {
+    const rules = new CrawlRules({ include: ['/accounts/**'], exclude: ['/accounts/close'] });
+
+    assert.equal(rules.admit('https://bank.test/accounts/1').allowed, true);
+    assert.equal(rules.admit('https://bank.test/accounts/close').reason, 'excluded by /accounts/close');
+    assert.equal(rules.admit('https://bank.test/help').reason, 'not matched by any include rule');
+  });
+
+  it('matches the query only for globs with ? and for regexes', () => {
+    const rules = new CrawlRules({ exclude: ['**?print=*', { regex: '/export(/|$)', flags: 'i' }] });
+
+    assert.equal(rules.admit('https://bank.test/statements?print=1').allowed, false);
+    assert.equal(rules.admit('https://bank.test/statements?page=2').allowed, true);
+    assert.equal(rules.admit('https://bank.test/EXPORT/csv').allowed, false);
+  });
+
+  it('matches hash-router paths', () => {
+    const rules = new CrawlRules({ exclude: ['/#/admin/**'] });
+    assert.equal(rules.admit('https://bank.test/#/admin/users').allowed, false);
+  });
+
+  it('rejects routes deeper than maxDepth; unknown depths pass', () => {
+    const rules = new CrawlRules({ maxDepth: 2 });
+
+    assert.equal(rules.admit('https://bank.test/a', 2).allowed, true);
+    assert.equal(rules.admit('https://bank.test/b', 3).reason, 'depth 3 exceeds maxDepth 2');
+    assert.equal(rules.admit('https://bank.test/c').allowed, true);
+  });
+
+  it('admits at most `max` routes per limit pattern and resumes the count', () => {
+    const rules = new CrawlRules({ limits: [{ pattern: '/statements/*', max: 2 }] });
+
+    assert.equal(rules.admit('https://bank.test/statements/1').allowed, true);
+    assert.equal(rules.admit('https://bank.test/statements/2').allowed, true);
+    assert.equal(rules.admit('https://bank.test/statements/3').reason, 'limit of 2 reached for /statements/*');
+
+    const resumed = new CrawlRules({ limits: [{ pattern: '/statements/*', max: 2 }] });
+    resumed.restore(rules.checkpoint());
+    assert.equal(resumed.admit('https://bank.test/statements/4').allowed, false);
+  });
+
+  it('rejects invalid patterns and limits', () => {
+    assert.throws(() => new CrawlRules({ exclude: [42] }), /Invalid crawl pattern/);
+    assert.throws(() => new CrawlRules({ limits: [{ pattern: '/a/*', max: -1 }] }), /must be a non-negative integer/);
+  });
+});
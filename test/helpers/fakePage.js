@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Stand-in for a Playwright page that records what the code under test does.
+ * Only selectors in `present` exist; actions on any other selector time out.
+ */
+class FakePage {
+  constructor({ present = [], url = 'https://app.test/login' } = {}) {
+    this.present = new Set(present);
+    this.currentUrl = url;
+    this.actions = [];
+  }
+
+  locator(selector) {
+    const page = this;
+    const act = (action, ...args) => {
+      if (!page.present.has(selector)) {
+        return Promise.reject(new Error(`Timeout exceeded waiting for locator('${selector}')\n  call log…`));
+      }
+      page.actions.push([action, selector, ...args]);
+      return Promise.resolve();
+    };
+    const locator = {
+      first: () => locator,
+      fill: value => act('fill', value),
+      click: () => act('click'),
+      press: key => act('press', key),
+      waitFor: () => act('waitFor'),
+    };
+    return locator;
+  }
+
+  async waitForURL(predicate) {
+    if (!predicate(new URL(this.currentUrl))) throw new Error(`Timeout waiting for URL, at ${this.currentUrl}`);
+    this.actions.push(['waitForURL', this.currentUrl]);
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+}
+
+module.exports = { FakePage };
@@ -0,0 +1,58 @@
+'use strict';
+
+const LlmClient = require('../../src/services/llmClient');
+const ConcurrencyLimiter = require('../../src/services/concurrencyLimiter');
+const { LlmUsageLedger } = require('../../src/services/llmUsage');
+
+/**
+ * LlmClient whose provider is a function: `respond(prompt, request)` returns
+ * the response text or throws. Every prompt is kept in `prompts`, so tests can
+ * check what reached the "server".
+ */
+class ScriptedClient extends LlmClient {
+  /**
+   * @param {(prompt: string, request: object) => string} respond
+   * @param {object} [options] - See LlmClient
+   */
+  constructor(respond, options = {}) {
+    super({
+      baseUrl: 'scripted://',
+      maxRetries: 0,
+      retryBaseDelayMs: 1,
+      retryMaxDelayMs: 1,
+      limiter: new ConcurrencyLimiter(4),
+      usage: new LlmUsageLedger(),
+      ...options,
+    });
+    this.provider = 'scripted';
+    this.respond = respond;
+    this.prompts = [];
+  }
+
+  async complete(prompt, request) {
+    this.prompts.push(prompt);
+    const text = await this.respond(prompt, request);
+    request.onDelta?.(text);
+    return { text, usage: {} };
+  }
+}
+
+/**
+ * An error shaped like the one fetch() raises when nothing listens on the port.
+ */
+function connectionRefused() {
+  return new Error('fetch failed: connect ECONNREFUSED 127.0.0.1:11434');
+}
+
+/**
+ * An HTTP error shaped like the adapters raise.
+ * @param {number} status
+ * @param {string} [message]
+ */
+function httpError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = { ScriptedClient, connectionRefused, httpError };
@@ -0,0 +1,56 @@
+'use strict';
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LlmJsonError } = require('../src/services/llmJson');
+const { ScriptedClient } = require('./helpers/scriptedClient');
+
+// The client logs every call; keep the test report readable
+mock.method(console, 'log', () => {});
+
+const SCHEMA = {
+  type: 'object',
+  required: ['answer'],
+  properties: { answer: { type: 'string' } },
+};
+
+describe('LlmClient JSON repair', () => {
+  it('re-prompts with the validation errors until the answer is valid', async () => {
+    const answers = ['Sure! Here it is: {"answer": 42}', '{"answer": "forty-two"}'];
+    const client = new ScriptedClient(() => answers.shift());
+
+    assert.deepEqual(await client.generateJson('question', 'test', { schema: SCHEMA }), { answer: 'forty-two' });
+    assert.equal(client.prompts.length, 2);
+    assert.match(client.prompts[1], /^question\n\nYour previous answer was not valid:/);
+    assert.match(client.prompts[1], /\{"answer": 42\}/);
+  });
+
+  it('throws LlmJsonError with every attempt once repairs run out', async () => {
+    const client = new ScriptedClient(() => 'no json here', { maxRepairAttempts: 1 });
+
+    await assert.rejects(client.generateJson('question', 'test', { schema: SCHEMA }), error => {
+      assert.ok(error instanceof LlmJsonError);
+      assert.equal(error.attempts.length, 2);
+      assert.equal(error.lastResponse, 'no json here');
+      return true;
+    });
+  });
+});
+
+describe('LlmClient streaming', () => {
+  it('reports progress for every chunk and a final done call', async () => {
+    const client = new ScriptedClient(() => 'streamed answer');
+    const progress = [];
+
+    await client.generate('question', 'test', { onToken: (delta, state) => progress.push([delta, state.done]) });
+
+    assert.deepEqual(progress, [['streamed answer', false], ['', true]]);
+  });
+
+  it('stops a response that outgrows maxResponseChars', async () => {
+    const client = new ScriptedClient(() => 'x'.repeat(50));
+
+    await assert.rejects(client.generate('question', 'test', { maxResponseChars: 10 }), { code: 'LLM_OUTPUT_LIMIT' });
+  });
+});
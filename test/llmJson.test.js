@@ -0,0 +1,67 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JsonStreamTracker, extractJson } = require('../src/services/llmJson');
+const { validate } = require('../src/services/jsonSchema');
+
+describe('extractJson', () => {
+  it('parses JSON inside a code fence or surrounding prose', () => {
+    assert.deepEqual(extractJson('```json\n{"a": 1}\n```').value, { a: 1 });
+    assert.deepEqual(extractJson('Answer: {"a": 1} hope that helps').value, { a: 1 });
+  });
+
+  it('reports missing or malformed JSON', () => {
+    assert.equal(extractJson('nothing').error, 'No JSON object found in response');
+    assert.match(extractJson('{"a": }').error, /^Malformed JSON/);
+  });
+});
+
+describe('validate', () => {
+  const schema = {
+    type: 'object',
+    required: ['level'],
+    properties: {
+      level: { type: 'string', enum: ['High', 'Low'] },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      routes: { type: 'array', items: { type: 'string' } },
+    },
+  };
+
+  it('accepts a valid value', () => {
+    assert.deepEqual(validate(schema, { level: 'High', confidence: 1, routes: ['/a'] }), []);
+  });
+
+  it('reports every error with its path', () => {
+    const errors = validate(schema, { confidence: 2, routes: ['/a', 3] });
+    assert.equal(errors.length, 3);
+    assert.ok(errors.some(error => error.includes('level')));
+    assert.ok(errors.some(error => error.includes('$.confidence')));
+    assert.ok(errors.some(error => error.includes('$.routes[1]')));
+  });
+});
+
+const track = (...chunks) => {
+  const tracker = new JsonStreamTracker();
+  return chunks.map(chunk => tracker.push(chunk));
+};
+
+describe('JsonStreamTracker', () => {
+  it('completes when the top-level value closes', () => {
+    assert.deepEqual(track('{"routes": ["/a", ', '"/b"]', '}', ' trailing'), [false, false, true, true]);
+    assert.deepEqual(track('  [1, {"a": [2]}', ']'), [false, true]);
+  });
+
+  it('ignores braces inside strings', () => {
+    assert.deepEqual(track('{"note": "a } or ]"', '}'), [false, true]);
+  });
+
+  it('does not start on brackets in leading prose', () => {
+    assert.deepEqual(track('Routes [1-3] are rated below. ', '{"a": 1}'), [false, false]);
+  });
+
+  it('starts after a code fence', () => {
+    assert.deepEqual(track('Here you go:\n```json\n', '{"a": "}"}', '\n```'), [false, true, true]);
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ConcurrencyLimiter = require('../src/services/concurrencyLimiter');
+const { ScriptedClient, connectionRefused, httpError } = require('./helpers/scriptedClient');
+
+mock.method(console, 'log', () => {});
+
+describe('LlmClient retries', () => {
+  it('retries connection errors and 5xx responses with backoff', async () => {
+    const failures = [connectionRefused(), httpError(503)];
+    const client = new ScriptedClient(() => {
+      if (failures.length > 0) throw failures.shift();
+      return 'ok';
+    }, { maxRetries: 2 });
+
+    assert.equal(await client.generate('hello', 'test'), 'ok');
+    assert.equal(client.prompts.length, 3);
+    assert.deepEqual(client.usage.entries.map(e => [e.status, e.retry]), [['error', 0], ['error', 1], ['ok', 2]]);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const client = new ScriptedClient(() => { throw connectionRefused(); }, { maxRetries: 1 });
+
+    await assert.rejects(client.generate('hello', 'test'), /ECONNREFUSED/);
+    assert.equal(client.prompts.length, 2);
+  });
+
+  it('does not retry 4xx responses', async () => {
+    const client = new ScriptedClient(() => { throw httpError(400, 'bad request'); }, { maxRetries: 3 });
+
+    await assert.rejects(client.generate('hello', 'test'), /bad request/);
+    assert.equal(client.prompts.length, 1);
+  });
+
+  it('stops retrying once the caller aborts', async () => {
+    const controller = new AbortController();
+    const client = new ScriptedClient(() => {
+      controller.abort();
+      throw connectionRefused();
+    }, { maxRetries: 3 });
+
+    await assert.rejects(client.generate('hello', 'test', { signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(client.prompts.length, 1);
+  });
+});
+
+describe('ConcurrencyLimiter', () => {
+  it('runs at most maxConcurrent tasks at once, in order', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    let running = 0;
+    let peak = 0;
+    const order = [];
+    const task = id => async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      order.push(id);
+      running--;
+    };
+
+    await Promise.all([1, 2, 3, 4].map(id => limiter.run(task(id))));
+
+    assert.equal(peak, 2);
+    assert.deepEqual(order, [1, 2, 3, 4]);
+  });
+
+  it('rejects a queued task when its signal aborts', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    let release;
+    const blocker = limiter.run(() => new Promise(resolve => { release = resolve; }));
+    const controller = new AbortController();
+
+    const queued = limiter.run(async () => 'ran', controller.signal);
+    controller.abort(new Error('cancelled'));
+
+    await assert.rejects(queued, /cancelled/);
+    release();
+    await blocker;
+    assert.equal(limiter.active, 0);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles per attempt, capped, with 50–100% jitter', () => {
+    const client = new ScriptedClient(() => '', { retryBaseDelayMs: 100, retryMaxDelayMs: 300 });
+    for (let i = 0; i < 20; i++) {
+      const delays = [0, 1, 2, 3].map(attempt => client.backoffDelay(attempt));
+      assert.ok(delays[0] >= 50 && delays[0] <= 100);
+      assert.ok(delays[1] >= 100 && delays[1] <= 200);
+      assert.ok(delays[3] >= 150 && delays[3] <= 300);
+    }
+  });
+});
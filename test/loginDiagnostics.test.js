@@ -0,0 +1,92 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { LoginDiagnostics, classifyLoginFailure } = require('../src/authentication/loginDiagnostics');
+
+const stepError = (selector, message = `Timeout waiting for ${selector}`) =>
+  Object.assign(new Error(message), { step: { action: 'fill', selector }, stepIndex: 3 });
+
+describe('classifyLoginFailure', () => {
+  it('names who is at fault', () => {
+    const cases = [
+      [{ messages: ['Your account has been locked after too many attempts'] }, 'account-locked'],
+      [{ network: [{ method: 'POST', url: '/login', status: 429 }] }, 'account-locked'],
+      [{ messages: ['The code you entered is invalid'] }, 'mfa'],
+      [{ messages: ['Incorrect username or password.'], captcha: true }, 'invalid-credentials'],
+      [{ captcha: true }, 'captcha'],
+      [{ otpFieldVisible: true, totpConfigured: false }, 'mfa'],
+      [{ network: [{ method: 'POST', url: '/api/session', status: 401 }] }, 'invalid-credentials'],
+      [{ cause: stepError('#password') }, 'selector'],
+      [{ messages: ['Something went wrong'] }, 'unknown'],
+    ];
+    for (const [evidence, reason] of cases) {
+      assert.equal(classifyLoginFailure(evidence).reason, reason, JSON.stringify(evidence));
+    }
+  });
+
+  it('blames the password when the one-time code screen never shows up', () => {
+    const evidence = { cause: stepError('#otp'), otpSelectors: ['#otp'], totpConfigured: true };
+
+    assert.deepEqual(classifyLoginFailure({ ...evidence, otpFieldVisible: true }),
+      { reason: 'mfa', detail: 'the one-time code step failed (Timeout waiting for #otp)' });
+    assert.equal(classifyLoginFailure({ ...evidence, passwordFieldVisible: true }).reason, 'invalid-credentials');
+    assert.deepEqual(classifyLoginFailure(evidence), { reason: 'mfa', detail: 'the one-time code screen never appeared' });
+  });
+});
+
+// A page showing a login error; `respond()` replays a network response to the diagnostics
+function failedLoginPage() {
+  const listeners = [];
+  const visible = new Set(['input[type="password"]']);
+  return {
+    on: (event, listener) => listeners.push(listener),
+    respond: (method, url, status, type, body) => listeners.forEach(listener => listener({
+      request: () => ({ method: () => method, resourceType: () => type }),
+      status: () => status,
+      url: () => url,
+      text: async () => body,
+    })),
+    url: () => 'https://app.test/login?error=1',
+    screenshot: async ({ path: file }) => fs.writeFileSync(file, 'png'),
+    locator: selector => ({
+      evaluateAll: async () => ['Incorrect password for qa.user@bank.test'],
+      count: async () => 0,
+      innerText: async () => 'Sign in',
+      ariaSnapshot: async () => '- alert: Incorrect password',
+      first: () => ({ isVisible: async () => visible.has(selector) }),
+    }),
+  };
+}
+
+describe('LoginDiagnostics', () => {
+  it('saves what the browser showed and explains the failure', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-diagnostics-'));
+    try {
+      const page = failedLoginPage();
+      const diagnostics = new LoginDiagnostics(page, { dir, totpConfigured: false });
+      page.respond('GET', 'https://app.test/app.js', 200, 'script', '');
+      page.respond('GET', 'https://app.test/login', 200, 'document', '<html>');
+      page.respond('POST', 'https://app.test/api/session', 401, 'fetch', '{"error":"bad credentials","password":"hunter2!x"}');
+
+      const error = await diagnostics.capture(new Error('Login did not reach a URL containing "/dashboard"'));
+
+      assert.equal(error.code, 'LOGIN_FAILED');
+      assert.equal(error.reason, 'invalid-credentials');
+      assert.match(error.message, /^Login failed \(invalid-credentials\): "Incorrect password for qa\.user@bank\.test" — check the username/);
+      assert.deepEqual(fs.readdirSync(dir).sort(), ['aria-snapshot.txt', 'failure.json', 'screenshot.png']);
+
+      const failure = JSON.parse(fs.readFileSync(path.join(dir, 'failure.json'), 'utf8'));
+      assert.equal(failure.passwordFieldVisible, true);
+      assert.equal(failure.failedStep, null);
+      assert.deepEqual(failure.network.map(entry => `${entry.method} ${entry.status}`), ['GET 200', 'POST 401']);
+      assert.doesNotMatch(failure.network[1].body, /hunter2/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { validateLoginSteps, stepsFromSelectors, usesPlaceholder, loadLoginFlow, runLoginSteps, resolveValue } = require('../src/authentication/loginFlow');
+const { FakePage } = require('./helpers/fakePage');
+
+// Every step is logged; keep the test report readable
+mock.method(console, 'log', () => {});
+
+const IDENTIFIER_FIRST = [
+  { action: 'fill', selector: '#email', value: '{{username}}' },
+  { action: 'click', selector: '#next' },
+  { action: 'waitForSelector', selector: '#password' },
+  { action: 'fill', selector: '#password', value: '{{password}}' },
+  { action: 'click', selector: '#stay-signed-in', optional: true },
+  { action: 'press', selector: '#password', key: 'Enter' },
+  { action: 'waitForUrl', url: '/dashboard' },
+];
+
+describe('validateLoginSteps', () => {
+  it('accepts a well-formed flow', () => {
+    assert.equal(validateLoginSteps(IDENTIFIER_FIRST), IDENTIFIER_FIRST);
+  });
+
+  it('names the first bad step', () => {
+    assert.throws(() => validateLoginSteps([]), /non-empty array/);
+    assert.throws(() => validateLoginSteps([{ action: 'hover', selector: '#a' }]), /step 1 has unknown action "hover"/);
+    assert.throws(() => validateLoginSteps([{ action: 'click', selector: '#a' }, { action: 'fill', selector: '#b' }]),
+      /step 2 \(fill\) is missing value/);
+  });
+});
+
+describe('runLoginSteps', () => {
+  const credentials = { username: 'qa@bank.test', password: 'S3cret!Pass' };
+
+  it('replays an identifier-first flow and skips interstitials that never show', async () => {
+    const page = new FakePage({ present: ['#email', '#next', '#password'], url: 'https://app.test/dashboard' });
+
+    await runLoginSteps(page, IDENTIFIER_FIRST, credentials, { stepTimeout: 10 });
+
+    assert.deepEqual(page.actions, [
+      ['fill', '#email', 'qa@bank.test'],
+      ['click', '#next'],
+      ['waitFor', '#password'],
+      ['fill', '#password', 'S3cret!Pass'],
+      ['press', '#password', 'Enter'],
+      ['waitForURL', 'https://app.test/dashboard'],
+    ]);
+  });
+
+  it('clicks an optional step when it shows up', async () => {
+    const page = new FakePage({ present: ['#yes'] });
+
+    await runLoginSteps(page, [{ action: 'click', selector: '#yes', optional: true }], credentials);
+
+    assert.deepEqual(page.actions, [['waitFor', '#yes'], ['click', '#yes']]);
+  });
+
+  it('fails with the step that broke, without the filled value', async () => {
+    const page = new FakePage({ present: ['#email'] });
+
+    await assert.rejects(runLoginSteps(page, IDENTIFIER_FIRST, credentials, { stepTimeout: 10 }), error => {
+      assert.equal(error.code, 'LOGIN_STEP_FAILED');
+      assert.equal(error.stepIndex, 1);
+      assert.equal(error.message, "Login Step 2/7: click #next failed: Timeout exceeded waiting for locator('#next')");
+      return true;
+    });
+  });
+});
+
+describe('resolveValue', () => {
+  it('fills credentials, env values and lazily produced values', async () => {
+    process.env.AUTOWRIGHT_TEST_TENANT = 'acme';
+    try {
+      assert.equal(await resolveValue('{{ env.AUTOWRIGHT_TEST_TENANT }}\\{{username}}', { username: 'qa' }), 'acme\\qa');
+      assert.equal(await resolveValue('{{totp}}', { totp: async () => '123456' }), '123456');
+    } finally {
+      delete process.env.AUTOWRIGHT_TEST_TENANT;
+    }
+  });
+
+  it('says which variable to set for a missing value', async () => {
+    await assert.rejects(resolveValue('{{password}}', {}), /references \{\{password\}\}, which is not set \(set PASSWORD\)/);
+  });
+});
+
+describe('login flow helpers', () => {
+  it('builds the single-page flow from detected selectors', () => {
+    const steps = stepsFromSelectors({ usernameSelector: '#u', passwordSelector: '#p', submitSelector: '#s' });
+
+    assert.deepEqual(steps.map(step => step.action), ['fill', 'fill', 'click']);
+    assert.equal(usesPlaceholder(steps, 'password'), true);
+    assert.equal(usesPlaceholder(steps, 'totp'), false);
+  });
+
+  it('loads and validates a project flow file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-flow-'));
+    try {
+      assert.equal(loadLoginFlow(path.join(dir, 'missing.json')), null);
+
+      const file = path.join(dir, 'login-flow.json');
+      fs.writeFileSync(file, JSON.stringify(IDENTIFIER_FIRST));
+      assert.deepEqual(loadLoginFlow(file), IDENTIFIER_FIRST);
+
+      fs.writeFileSync(file, '[{');
+      assert.throws(() => loadLoginFlow(file), /Invalid login flow file/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { loadPersonas, resolvePersona, assertCredentials } = require('../src/authentication/personas');
+
+const ENV = {
+  LOGIN_USERNAME: 'default@bank.test',
+  PASSWORD: 'default-pass',
+  PERSONA_READ_ONLY_USERNAME: 'viewer@bank.test',
+  PERSONA_READ_ONLY_PASSWORD: 'viewer-pass',
+  BORROWER_EMAIL: 'borrower@bank.test',
+};
+
+const PERSONAS = {
+  'read-only': { description: 'Statements only', postLoginUrl: 'https://app.test/statements' },
+  borrower: { usernameEnv: 'BORROWER_EMAIL', passwordEnv: 'BORROWER_PASSWORD' },
+  'partner-api': { authStrategy: 'header', auth: { headers: { 'X-API-Key': '{{env.PARTNER_KEY}}' } } },
+};
+
+describe('personas', () => {
+  let dir;
+  let file;
+  let savedEnv;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-personas-'));
+    file = path.join(dir, 'personas.json');
+    fs.writeFileSync(file, JSON.stringify(PERSONAS));
+    savedEnv = { ...process.env };
+    Object.assign(process.env, ENV);
+  });
+
+  afterEach(() => {
+    process.env = savedEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uses the historical credentials and paths for the default persona', () => {
+    for (const name of [undefined, 'default']) {
+      const persona = resolvePersona(name, { file });
+      assert.equal(persona.name, 'default');
+      assert.equal(persona.username, 'default@bank.test');
+      assert.equal(persona.storageState, path.join('data', 'storage-state.json'));
+      assert.equal(persona.outputDir, 'output');
+      assert.equal(persona.historyDir, undefined);
+    }
+  });
+
+  it('reads named credentials by convention and keeps each persona in its own directories', () => {
+    const persona = resolvePersona('read-only', { file });
+
+    assert.equal(persona.username, 'viewer@bank.test');
+    assert.equal(persona.password, 'viewer-pass');
+    assert.equal(persona.postLoginUrl, 'https://app.test/statements');
+    assert.equal(persona.storageState, path.join('data', 'personas', 'read-only', 'storage-state.json'));
+    assert.equal(persona.outputDir, path.join('output', 'personas', 'read-only'));
+    assert.equal(persona.historyDir, path.join('data', 'personas', 'read-only', 'history'));
+  });
+
+  it('reads credentials from the env vars an entry names', () => {
+    const persona = resolvePersona('borrower', { file });
+
+    assert.equal(persona.username, 'borrower@bank.test');
+    assert.throws(() => assertCredentials(persona), /Persona "borrower" has no password — set PERSONA_BORROWER_USERNAME/);
+  });
+
+  it('only requires a username and password for form and basic logins', () => {
+    const persona = resolvePersona('partner-api', { file });
+
+    assert.equal(persona.authStrategy, 'header');
+    assert.doesNotThrow(() => assertCredentials(persona));
+
+    delete process.env.PASSWORD;
+    assert.throws(() => assertCredentials(resolvePersona(undefined, { file })), /has no password — set LOGIN_USERNAME and PASSWORD/);
+  });
+
+  it('lists the configured personas for an unknown name', () => {
+    assert.throws(() => resolvePersona('admin', { file }),
+      /Unknown persona "admin" \(available: read-only, borrower, partner-api\)/);
+    assert.throws(() => resolvePersona('admin', { file: path.join(dir, 'none.json') }), /available: none configured/);
+  });
+
+  it('rejects malformed personas files and names', () => {
+    fs.writeFileSync(file, JSON.stringify(['admin']));
+    assert.throws(() => loadPersonas(file), /expected an object keyed by persona name/);
+
+    fs.writeFileSync(file, JSON.stringify({ default: {} }));
+    assert.throws(() => loadPersonas(file), /Invalid persona name "default"/);
+
+    fs.writeFileSync(file, JSON.stringify({ '../admin': {} }));
+    assert.throws(() => loadPersonas(file), /Invalid persona name "\.\.\/admin"/);
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { PromptRegistry, prompts } = require('../src/services/promptRegistry');
+
+mock.method(console, 'log', () => {});
+
+const GREETING = { name: 'greeting', version: 3, variables: ['who', 'data'], text: 'Hello {{who}}: {{ data }}' };
+
+describe('PromptRegistry', () => {
+  let overridesDir;
+  let registry;
+
+  beforeEach(() => {
+    overridesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-prompts-'));
+    registry = new PromptRegistry({ overridesDir }).register(GREETING);
+  });
+
+  afterEach(() => {
+    fs.rmSync(overridesDir, { recursive: true, force: true });
+  });
+
+  it('renders variables, JSON-formatting objects', () => {
+    assert.deepEqual(registry.render('greeting', { who: 'QA', data: { a: 1 } }), {
+      prompt: 'Hello QA: {\n  "a": 1\n}',
+      template: 'greeting@3',
+    });
+  });
+
+  it('rejects missing and undeclared variables', () => {
+    assert.throws(() => registry.render('greeting', { who: 'QA' }), /missing variable\(s\): data/);
+    assert.throws(() => registry.register({ name: 'bad', version: 1, variables: [], text: '{{x}}' }), /undeclared variable\(s\): x/);
+    assert.throws(() => registry.get('nope'), /Unknown prompt template "nope"/);
+  });
+
+  it('uses a project override with a content-hashed version', () => {
+    fs.writeFileSync(path.join(overridesDir, 'greeting.txt'), 'Hi {{who}}');
+    const first = registry.render('greeting', { who: 'QA', data: 'x' });
+
+    fs.writeFileSync(path.join(overridesDir, 'greeting.txt'), 'Hey {{who}}');
+    const second = registry.render('greeting', { who: 'QA', data: 'x' });
+
+    assert.equal(first.prompt, 'Hi QA');
+    assert.match(first.template, /^greeting@3\+[0-9a-f]{8}$/);
+    assert.notEqual(second.template, first.template);
+  });
+
+  it('rejects an override that uses unknown variables', () => {
+    fs.writeFileSync(path.join(overridesDir, 'greeting.txt'), 'Hi {{name}}');
+
+    assert.throws(() => registry.get('greeting'), /unknown variable\(s\): name/);
+  });
+
+  it('registers the built-in analyzer templates', () => {
+    assert.deepEqual(prompts.list().map(template => template.name).sort(), ['dom-analyze', 'dom-auth-selectors', 'route-analysis'].sort());
+  });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os   = require('os');
+
+const { HeuristicRiskScorer, DEFAULT_RULES } = require('../src/route-discovery/riskScorer');
+
+const scorer = new HeuristicRiskScorer({ rules: DEFAULT_RULES, crawlDir: os.tmpdir() });
+
+describe('HeuristicRiskScorer', () => {
+  it('rates payment and admin routes high from whole path words', () => {
+    const payment = scorer.scoreRoute('/make-a-payment');
+    assert.equal(payment.riskLevel, 'High');
+    assert.equal(payment.businessCriticality, 'Critical');
+    assert.ok(payment.reasons.includes('keyword "payment" (payments)'));
+
+    assert.equal(scorer.scoreRoute('/repayment-faq').riskLevel, 'Low');
+  });
+
+  it('adds the strongest page signal', () => {
+    const plain = scorer.scoreRoute('/help');
+    const withPassword = scorer.scoreRoute('/help', { passwordFields: 1, forms: 1 });
+
+    assert.equal(plain.riskLevel, 'Low');
+    assert.equal(withPassword.riskPoints, 2);
+    assert.equal(withPassword.riskLevel, 'Medium');
+    assert.ok(withPassword.confidence > plain.confidence);
+  });
+
+  it('makes deep routes less critical than top-level ones', () => {
+    assert.ok(scorer.scoreRoute('/reports').criticalityPoints > scorer.scoreRoute('/a/b/c/reports').criticalityPoints);
+  });
+
+  it('groups routes by menu and level in the LLM response shape', () => {
+    const structure = scorer.score(['/loans/1', '/loans/help', '/faq'], {
+      navigationStructure: [{ menuName: 'My Loans', routes: ['/loans/1'] }],
+    });
+
+    assert.deepEqual(structure.map(menu => [menu.menuName, menu.routes, menu.source]), [
+      ['My Loans', ['/loans/1'], 'heuristic'],
+      ['Loans', ['/loans/help'], 'heuristic'],
+      ['Faq', ['/faq'], 'heuristic'],
+    ]);
+  });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const RouteAnalyzer = require('../src/route-discovery/routeAnalyzer');
+const { ScriptedClient, connectionRefused, httpError } = require('./helpers/scriptedClient');
+
+mock.method(console, 'log', () => {});
+
+const ROUTES = ['/accounts', '/accounts/profile', '/help', '/make-a-payment', '/statements'];
+
+/**
+ * Answer a route-analysis prompt like the model would: one menu per route in
+ * the batch, named after the first path segment.
+ */
+function rateBatch(prompt) {
+  const routes = [...prompt.matchAll(/^\d+\. (\/\S*)$/gm)].map(match => match[1]);
+  return JSON.stringify({
+    navigationStructure: routes.map(route => ({
+      menuName: route.split('/')[1],
+      routes: [route],
+      riskLevel: route.includes('payment') ? 'High' : 'Low',
+      businessCriticality: route.includes('payment') ? 'Critical' : 'Low',
+      rationale: `Rated ${route}`,
+      confidence: 0.9,
+    })),
+  });
+}
+
+describe('RouteAnalyzer', () => {
+  let outputDir;
+
+  const analyzerWith = (respond, options = {}) => {
+    const analyzer = new RouteAnalyzer({ outputDir, crawlDir: outputDir, history: null, enableCache: false, ...options });
+    analyzer.llmClient = new ScriptedClient(respond);
+    return analyzer;
+  };
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-analysis-'));
+    fs.writeFileSync(path.join(outputDir, 'routes.json'), JSON.stringify({
+      explorationDomain: 'https://bank.test',
+      discoveredRoutes: ROUTES,
+      navigationStructure: [],
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  describe('batch merge', () => {
+    it('analyzes large route sets in batches and rates every route', async () => {
+      const analyzer = analyzerWith(rateBatch, { chunkSize: 2 });
+
+      const result = await analyzer.analyzeRoutes();
+
+      assert.equal(analyzer.llmClient.prompts.length, 3);
+      assert.equal(result.analysisType, 'dom-extracted-navigation');
+      assert.equal(result.analysisBatches, 3);
+      assert.deepEqual(result.routeRatings.map(rating => rating.route).sort(), ROUTES);
+      assert.deepEqual(result.heuristicRoutes, []);
+      assert.ok(fs.existsSync(path.join(outputDir, 'route-analysis.json')));
+    });
+
+    it('splits routes into sorted batches by count and size', () => {
+      const analyzer = analyzerWith(rateBatch, { chunkSize: 2, maxChunkChars: 20 });
+
+      assert.deepEqual(analyzer.chunkRoutes(['/help', '/accounts', '/accounts/profile', '/help']), [
+        ['/accounts'],
+        ['/accounts/profile'],
+        ['/help'],
+      ]);
+    });
+
+    it('merges menus with the same name across batches, keeping the higher risk', () => {
+      const analyzer = analyzerWith(rateBatch);
+
+      const merged = analyzer.mergeNavigationStructures([
+        [{ menuName: 'Accounts', routes: ['/accounts'], riskLevel: 'Low', businessCriticality: 'Medium', confidence: 0.9 }],
+        [{ menuName: ' accounts ', routes: ['/accounts', '/accounts/profile'], riskLevel: 'High', businessCriticality: 'Low', confidence: 0.6 }],
+      ]);
+
+      assert.equal(merged.length, 1);
+      assert.deepEqual(merged[0].routes, ['/accounts', '/accounts/profile']);
+      assert.equal(merged[0].riskLevel, 'High');
+      assert.equal(merged[0].businessCriticality, 'Medium');
+      assert.equal(merged[0].confidence, 0.6);
+    });
+
+    it('asks again for routes the model left out, then scores the rest heuristically', async () => {
+      const analyzer = analyzerWith(prompt => {
+        const answer = JSON.parse(rateBatch(prompt));
+        answer.navigationStructure = answer.navigationStructure.filter(menu => menu.routes[0] !== '/help');
+        return JSON.stringify(answer);
+      });
+
+      const result = await analyzer.analyzeRoutes();
+
+      assert.equal(analyzer.llmClient.prompts.length, 2);
+      assert.match(analyzer.llmClient.prompts[1], /^1\. \/help$/m);
+      assert.deepEqual(result.heuristicRoutes, ['/help']);
+      assert.equal(result.routeRatings.find(rating => rating.route === '/help').source, 'heuristic');
+    });
+  });
+
+  describe('heuristic fallback', () => {
+    it('scores routes heuristically when the LLM server is unreachable', async () => {
+      const analyzer = analyzerWith(() => { throw connectionRefused(); });
+
+      const result = await analyzer.analyzeRoutes();
+
+      assert.equal(result.analysisType, 'heuristic-fallback');
+      assert.match(result.fallbackReason, /Failed to connect/);
+      assert.deepEqual([...result.heuristicRoutes].sort(), ROUTES);
+      assert.equal(result.routeRatings.find(rating => rating.route === '/make-a-payment').riskLevel, 'High');
+    });
+
+    it('falls back when the model is not installed', async () => {
+      const analyzer = analyzerWith(() => { throw httpError(404, "Ollama error: model 'qwen2.5:7b' not found"); });
+
+      assert.equal((await analyzer.analyzeRoutes()).analysisType, 'heuristic-fallback');
+    });
+
+    it('fails on an unrecorded prompt from the replay server instead of falling back', async () => {
+      const analyzer = analyzerWith(() => {
+        throw httpError(404, 'Ollama error: {"error":"No recorded LLM fixture (key 0123456789ab) in fixtures/llm. Re-record with LLM_FIXTURE_MODE=record against a live LLM server."}');
+      });
+
+      await assert.rejects(analyzer.analyzeRoutes(), /Route analysis failed: .*No recorded LLM fixture/);
+    });
+
+    it('fails on errors that are not about availability', async () => {
+      const analyzer = analyzerWith(() => { throw httpError(400, 'Ollama error: invalid options'); });
+
+      await assert.rejects(analyzer.analyzeRoutes(), /Route analysis failed: Ollama error: invalid options/);
+    });
+
+    it('fails when the model keeps returning invalid JSON', async () => {
+      const analyzer = analyzerWith(() => 'I cannot rate these routes.');
+
+      await assert.rejects(analyzer.analyzeRoutes(), { name: 'LlmJsonError' });
+      fs.rmSync('raw-llm-output.txt', { force: true });
+    });
+
+    it('fails instead of falling back when the fallback is turned off', async () => {
+      const analyzer = analyzerWith(() => { throw connectionRefused(); }, { heuristicFallback: false });
+
+      await assert.rejects(analyzer.analyzeRoutes(), /Failed to connect/);
+    });
+
+    it('never calls the LLM in heuristic mode', async () => {
+      const analyzer = analyzerWith(() => { throw new Error('unexpected LLM call'); }, { mode: 'heuristic' });
+
+      const result = await analyzer.analyzeRoutes();
+
+      assert.equal(result.analysisType, 'heuristic');
+      assert.equal(analyzer.llmClient.prompts.length, 0);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const RouteExplorer = require('../src/route-discovery/routeExplorer');
+const { CrawlRules } = require('../src/route-discovery/crawlRules');
+
+mock.method(console, 'log', () => {});
+
+const START = 'https://app.test/';
+
+// path → links on that page
+const SITE = {
+  '/': ['/accounts', '/loans/1', '/help'],
+  '/accounts': ['/loans/2', '/statements'],
+  '/loans/1': ['/'],
+  '/help': [],
+  '/statements': ['/accounts'],
+};
+
+// A worker page on SITE; `failures` maps a path to how many of its visits fail
+function sitePage(visits, failures = {}) {
+  let current = null;
+  return {
+    goto: async url => {
+      const { pathname } = new URL(url);
+      visits.push({ pathname, at: Date.now() });
+      await new Promise(resolve => setImmediate(resolve)); // Let the other workers run
+      if (failures[pathname]-- > 0) throw new Error(`net::ERR_CONNECTION_RESET at ${url}`);
+      current = url;
+    },
+    url: () => current,
+    $$eval: async () => (SITE[new URL(current).pathname] || []).map(link => new URL(link, current).href),
+    evaluate: async () => ({ forms: 0, passwordFields: 0, inputFields: 0, monetaryInputs: 0 }),
+    locator: () => ({ ariaSnapshot: async () => '' }),
+    waitForTimeout: async () => {},
+  };
+}
+
+describe('RouteExplorer', () => {
+  let dir;
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-explorer-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const explorer = (options = {}) => {
+    const instance = new RouteExplorer({
+      startUrl: START,
+      baseUrl: START,
+      outputDir: dir,
+      spaDiscovery: false,
+      crawlRules: new CrawlRules(),
+      retryDelayMs: 0,
+      ...options,
+    });
+    instance.extractNavigationStructure = async () => {};
+    return instance;
+  };
+
+  // What explore() does once the browser is up
+  const crawl = (instance, pages) => {
+    instance.queue.push(START);
+    instance.discoveredVia[instance.templates.add(START).key] = { kind: 'start', depth: 0 };
+    return Promise.all(pages.map(page => instance.worker(page)));
+  };
+
+  it('visits every route template once across parallel pages', async () => {
+    const visits = [];
+    const instance = explorer({ concurrency: 3 });
+
+    await crawl(instance, [sitePage(visits), sitePage(visits), sitePage(visits)]);
+
+    assert.deepEqual(visits.map(visit => visit.pathname).sort(), ['/', '/accounts', '/help', '/loans/1', '/statements']);
+    assert.deepEqual([...instance.routes].sort(), ['/', '/accounts', '/help', '/loans/1', '/statements']);
+  });
+
+  it('waits retryDelayMs before visiting a failed route again', async () => {
+    const visits = [];
+    const failures = { '/accounts': 1 };
+    const instance = explorer({ retryDelayMs: 50 });
+
+    await crawl(instance, [sitePage(visits, failures), sitePage(visits, failures)]);
+
+    const accounts = visits.filter(visit => visit.pathname === '/accounts');
+    assert.equal(accounts.length, 2);
+    assert.ok(accounts[1].at - accounts[0].at >= 50, `retried after ${accounts[1].at - accounts[0].at}ms`);
+    assert.ok(instance.routes.includes('/statements'));
+    assert.deepEqual(instance.failedRoutes, []);
+  });
+
+  it('records a route as failed once its retries are used up', async () => {
+    const visits = [];
+    const instance = explorer({ maxRetries: 1 });
+
+    const failures = { '/help': Infinity };
+
+    await crawl(instance, [sitePage(visits, failures), sitePage(visits, failures)]);
+
+    assert.equal(visits.filter(visit => visit.pathname === '/help').length, 2);
+    assert.deepEqual(instance.failedRoutes.map(route => [route.normalizedPath, route.retryAttempts]), [['/help', 2]]);
+  });
+
+  it('stops at maxPages however many pages are working', async () => {
+    const visits = [];
+    const instance = explorer({ concurrency: 3, maxPages: 2 });
+
+    await crawl(instance, [sitePage(visits), sitePage(visits), sitePage(visits)]);
+
+    assert.equal(instance.routes.length, 2);
+    assert.equal(visits.length, 2);
+  });
+
+  it('saves visits in progress as queued, not visited', () => {
+    const instance = explorer();
+    instance.visited = new Set(['/', '/accounts']);
+    instance.routes = ['/', '/accounts'];
+    instance.inFlight.set('/accounts', 'https://app.test/accounts');
+    instance.queue = ['https://app.test/help'];
+
+    instance.saveCheckpoint();
+
+    const checkpoint = JSON.parse(fs.readFileSync(instance.checkpointFile, 'utf8'));
+    assert.equal(instance.checkpointFile, path.join(dir, 'crawl-checkpoint.json'));
+    assert.deepEqual(checkpoint.queue, ['https://app.test/accounts', 'https://app.test/help']);
+    assert.deepEqual(checkpoint.visited, ['/']);
+    assert.deepEqual(checkpoint.routes, ['/']);
+  });
+
+  it('resumes an interrupted crawl without visiting routes again', async () => {
+    const visits = [];
+    const first = explorer({ maxPages: 2, crawlRules: new CrawlRules({ limits: [{ pattern: '/loans/*', max: 1 }] }) });
+    await crawl(first, [sitePage(visits)]);
+    first.saveCheckpoint();
+
+    const resumed = explorer({ crawlRules: new CrawlRules({ limits: [{ pattern: '/loans/*', max: 1 }] }) });
+    assert.equal(resumed.restoreCheckpoint(), true);
+    await Promise.all([sitePage(visits), sitePage(visits)].map(page => resumed.worker(page)));
+
+    assert.deepEqual(visits.map(visit => visit.pathname).sort(), ['/', '/accounts', '/help', '/loans/1', '/statements']);
+    assert.deepEqual([...resumed.routes].sort(), ['/', '/accounts', '/help', '/loans/1', '/statements']);
+    assert.equal(resumed.templates.entries['/loans/:id'].urlCount, 2);
+    assert.equal(resumed.crawlRules.admit('https://app.test/loans/3').allowed, false);
+  });
+
+  it('starts from scratch without a checkpoint for this start URL and persona', () => {
+    assert.equal(explorer().restoreCheckpoint(), false);
+
+    explorer({ persona: 'admin' }).saveCheckpoint();
+    assert.equal(explorer().restoreCheckpoint(), false);
+    assert.equal(explorer({ persona: 'admin', startUrl: 'https://app.test/dashboard' }).restoreCheckpoint(), false);
+    assert.equal(explorer({ persona: 'admin' }).restoreCheckpoint(), true);
+
+    fs.writeFileSync(path.join(dir, 'crawl-checkpoint.json'), '{"queue": [');
+    assert.equal(explorer({ persona: 'admin' }).restoreCheckpoint(), false);
+  });
+});
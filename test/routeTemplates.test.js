@@ -0,0 +1,85 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RouteTemplater, RouteTemplateIndex } = require('../src/route-discovery/routeTemplates');
+
+describe('RouteTemplater', () => {
+  const templater = new RouteTemplater();
+
+  it('turns identifier-like segments into named parameters', () => {
+    assert.equal(templater.key('/loans/123'), '/loans/:id');
+    assert.equal(templater.key('/users/0f8fad5b-d9cb-469f-a165-70867728950e'), '/users/:uuid');
+    assert.equal(templater.key('/statements/2024-01-31'), '/statements/:date');
+    assert.equal(templater.key('/files/9f86d081884c7d659a2feaa0c55ad015'), '/files/:token');
+    assert.equal(templater.key('/loans/loan-12345/details'), '/loans/:slug/details');
+    assert.equal(templater.key('/documents/aZ3kd_9Xq08-PlmN4rT_x'), '/documents/:token');
+  });
+
+  it('leaves ordinary words alone', () => {
+    assert.equal(templater.key('/make-a-payment'), '/make-a-payment');
+    assert.equal(templater.key('/accounts/profile'), '/accounts/profile');
+    assert.equal(templater.key('/reports/account_statements_2024_summary'), '/reports/account_statements_2024_summary');
+    assert.equal(templater.key('/reports/annual-report-2024-q1'), '/reports/annual-report-2024-q1');
+  });
+
+  it('numbers repeated parameter names', () => {
+    const { key, params } = templater.match('/loans/123/statements/456');
+    assert.equal(key, '/loans/:id/statements/:id2');
+    assert.deepEqual(params, { id: '123', id2: '456' });
+  });
+
+  it('ignores the query string unless the parameter is a key parameter', () => {
+    assert.equal(templater.key('/make-a-payment?loanNumber=1'), '/make-a-payment');
+    assert.deepEqual(templater.match('/make-a-payment?loanNumber=1').query, { loanNumber: '1' });
+
+    const withTab = new RouteTemplater({ queryParams: ['tab'] });
+    assert.equal(withTab.key('/settings?tab=billing&ref=nav'), '/settings?tab=billing');
+  });
+
+  it('templates hash-router paths like paths', () => {
+    assert.equal(templater.key('https://bank.test/app#/loans/123'), '/app#/loans/:id');
+  });
+
+  it('matches explicit templates and segment rules before the built-in rules', () => {
+    const custom = new RouteTemplater({
+      templates: ['/loans/:loanNumber/statements/:statementId'],
+      segments: { accountNumber: '^ACC\\d+$' },
+    });
+    assert.equal(custom.key('/loans/42/statements/abc'), '/loans/:loanNumber/statements/:statementId');
+    assert.equal(custom.key('/accounts/ACC77'), '/accounts/:accountNumber');
+  });
+
+  it('keeps malformed percent-escapes as raw segments', () => {
+    assert.equal(templater.key('/files/100%/7'), '/files/100%/:id');
+    const custom = new RouteTemplater({ templates: ['/files/:name'] });
+    assert.deepEqual(custom.match('/files/%E0%A4%A').params, { name: '%E0%A4%A' });
+  });
+});
+
+describe('RouteTemplateIndex', () => {
+  it('keeps the first URL of a template as its representative and samples the rest', () => {
+    const index = new RouteTemplateIndex(new RouteTemplater());
+
+    assert.equal(index.add('/loans/123').isNew, true);
+    assert.equal(index.add('/loans/456').isNew, false);
+    assert.equal(index.add('/loans/456').representative, '/loans/123');
+    index.add('/help');
+
+    assert.deepEqual(index.toJSON(), {
+      '/loans/:id': { representative: '/loans/123', urlCount: 2, params: { id: ['123', '456'] }, query: {} },
+    });
+  });
+
+  it('continues from a checkpoint', () => {
+    const index = new RouteTemplateIndex(new RouteTemplater());
+    index.add('/loans/123');
+
+    const resumed = new RouteTemplateIndex(new RouteTemplater());
+    resumed.restore(JSON.parse(JSON.stringify(index.checkpoint())));
+
+    assert.equal(resumed.add('/loans/123').isNew, false);
+    assert.equal(resumed.entries['/loans/:id'].urlCount, 1);
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { encryptJson, decryptJson, readSecureJson, writeSecureJson, isEncryptedFile } = require('../src/authentication/secureStorage');
+
+const STATE = { cookies: [{ name: 'sid', value: 'live-session-cookie', domain: 'app.test' }], origins: [] };
+
+describe('secureStorage', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-secure-'));
+    file = path.join(dir, 'storage-state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips a value through an envelope that does not contain it', () => {
+    const envelope = encryptJson(STATE, 'correct horse');
+
+    assert.equal(envelope.encrypted, 'aes-256-gcm');
+    assert.doesNotMatch(JSON.stringify(envelope), /live-session-cookie/);
+    assert.deepEqual(decryptJson(envelope, 'correct horse'), STATE);
+    assert.notEqual(encryptJson(STATE, 'correct horse').data, envelope.data);
+  });
+
+  it('writes owner-only files, encrypted only when there is a key', () => {
+    writeSecureJson(file, STATE, 'correct horse');
+    assert.equal(isEncryptedFile(file), true);
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.deepEqual(readSecureJson(file, 'correct horse'), STATE);
+
+    writeSecureJson(file, STATE, '');
+    assert.equal(isEncryptedFile(file), false);
+    assert.deepEqual(readSecureJson(file, 'correct horse'), STATE);
+  });
+
+  it('says whether the key is missing or wrong', () => {
+    writeSecureJson(file, STATE, 'correct horse');
+
+    assert.throws(() => readSecureJson(file, ''),
+      { code: 'STORAGE_KEY_MISSING', message: `${file} is encrypted — set STORAGE_STATE_KEY to read it` });
+    assert.throws(() => readSecureJson(file, 'battery staple'),
+      { code: 'STORAGE_KEY_INVALID', message: `Cannot decrypt ${file}: STORAGE_STATE_KEY is wrong or the file is corrupt` });
+
+    const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+    envelope.data = Buffer.from('tampered').toString('base64');
+    assert.throws(() => decryptJson(envelope, 'correct horse'), { code: 'STORAGE_KEY_INVALID' });
+  });
+});
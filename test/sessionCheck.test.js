@@ -0,0 +1,124 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const http = require('http');
+const os   = require('os');
+const path = require('path');
+
+const { SessionValidator } = require('../src/authentication/sessionCheck');
+const { writeSecureJson } = require('../src/authentication/secureStorage');
+
+const warnings = mock.method(console, 'log', () => {});
+
+const HOUR_S = 3600;
+const nowS = () => Date.now() / 1000;
+
+describe('SessionValidator', () => {
+  let server;
+  let probeBase;
+  let dir;
+  let persona;
+  let savedKey;
+
+  before(async () => {
+    // /me accepts the "sid=live" cookie only; /bounce always redirects to the login page
+    server = http.createServer((req, res) => {
+      if (req.url === '/bounce') {
+        res.writeHead(302, { location: '/login' }).end();
+      } else if (req.url === '/broken') {
+        res.writeHead(500).end();
+      } else {
+        res.writeHead(/\bsid=live\b/.test(req.headers.cookie || '') ? 200 : 401).end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    probeBase = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autowright-session-'));
+    persona = { name: 'default', storageState: path.join(dir, 'storage-state.json'), postLoginUrl: `${probeBase}/home` };
+    savedKey = process.env.STORAGE_STATE_KEY;
+    delete process.env.STORAGE_STATE_KEY;
+    warnings.mock.resetCalls();
+  });
+
+  afterEach(() => {
+    if (savedKey === undefined) delete process.env.STORAGE_STATE_KEY;
+    else process.env.STORAGE_STATE_KEY = savedKey;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const validator = (options = {}) => new SessionValidator({
+    strategies: ['cookies', 'probe'],
+    probeUrl: `${probeBase}/me`,
+    cacheFile: path.join(dir, 'session-checks.json'),
+    cookieNames: [],
+    ttlMinutes: 10,
+    ...options,
+  });
+  const saveCookies = (...cookies) => writeSecureJson(persona.storageState, {
+    cookies: cookies.map(([name, value, expires]) => ({ name, value, domain: '127.0.0.1', path: '/', expires })),
+    origins: [],
+  });
+
+  it('asks for a login when there is no storage state', async () => {
+    const result = await validator().check(persona);
+
+    assert.deepEqual(result, { valid: false, strategy: 'cookies', reason: `no storage state at ${persona.storageState}` });
+  });
+
+  it('rejects expired or missing session cookies without probing', async () => {
+    saveCookies(['sid', 'live', nowS() - HOUR_S]);
+    assert.deepEqual(await validator().check(persona),
+      { valid: false, strategy: 'cookies', reason: 'all 1 cookie(s) for the app have expired' });
+
+    saveCookies(['theme', 'dark', -1]);
+    assert.deepEqual(await validator({ cookieNames: ['sid'] }).check(persona),
+      { valid: false, strategy: 'cookies', reason: 'session cookie(s) missing: sid' });
+  });
+
+  it('verifies with the probe endpoint and trusts the answer until the state changes', async () => {
+    saveCookies(['sid', 'live', nowS() + HOUR_S]);
+    const sessions = validator();
+
+    assert.deepEqual(await sessions.check(persona), { valid: true, strategy: 'probe', reason: `${probeBase}/me answered 200` });
+    const cached = await sessions.check(persona);
+    assert.equal(cached.strategy, 'cache');
+    assert.match(cached.reason, /^verified by probe \d+s ago$/);
+
+    saveCookies(['sid', 'stale', nowS() + HOUR_S]);
+    fs.utimesSync(persona.storageState, new Date(), new Date(Date.now() + 5000));
+    assert.deepEqual(await sessions.check(persona), { valid: false, strategy: 'probe', reason: `${probeBase}/me answered 401` });
+  });
+
+  it('treats a probe redirect as expired and other answers as inconclusive', async () => {
+    saveCookies(['sid', 'live', -1]);
+
+    assert.deepEqual(await validator({ probeUrl: `${probeBase}/bounce` }).check(persona),
+      { valid: false, strategy: 'probe', reason: `${probeBase}/bounce redirected to /login` });
+    assert.deepEqual(await validator({ probeUrl: `${probeBase}/broken`, ttlMinutes: 0 }).check(persona),
+      { valid: true, strategy: 'cookies', reason: 'session cookies not expired (unverified)' });
+  });
+
+  it('re-authenticates instead of crashing when the state cannot be decrypted', async () => {
+    process.env.STORAGE_STATE_KEY = 'old passphrase';
+    saveCookies(['sid', 'live', nowS() + HOUR_S]);
+
+    process.env.STORAGE_STATE_KEY = 'new passphrase';
+    assert.deepEqual(await validator().check(persona),
+      { valid: false, strategy: 'cookies', reason: 'storage state unreadable (STORAGE_KEY_INVALID)' });
+
+    delete process.env.STORAGE_STATE_KEY;
+    assert.deepEqual(await validator().check(persona),
+      { valid: false, strategy: 'cookies', reason: 'storage state unreadable (STORAGE_KEY_MISSING)' });
+
+    const logged = warnings.mock.calls.map(call => call.arguments[0]);
+    assert.ok(logged.some(line => /^⚠️ {2}\[auth\] Cannot decrypt .*STORAGE_STATE_KEY is wrong/.test(line)));
+    assert.ok(logged.some(line => /^⚠️ {2}\[auth\] .* is encrypted — set STORAGE_STATE_KEY/.test(line)));
+  });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+
+const { installSpaInstrumentation, takeNavigations, probeClientRoutes } = require('../src/route-discovery/spaNavigation');
+
+const SOURCE = 'https://app.test/home';
+
+describe('installSpaInstrumentation', () => {
+  it('logs History API navigations until they are taken', async () => {
+    let script;
+    await installSpaInstrumentation({ addInitScript: async (fn, arg) => { script = { fn, arg }; } });
+
+    // Run the init script in a bare "document" and drive its history
+    const listeners = {};
+    const sandbox = {
+      URL,
+      location: { href: SOURCE },
+      history: { pushState() {}, replaceState() {} },
+      addEventListener: (event, listener) => { listeners[event] = listener; },
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(`(${script.fn})(${JSON.stringify(script.arg)})`, sandbox);
+    vm.runInContext('history.pushState({}, "", "/statements"); history.replaceState({}, ""); history.replaceState({}, "", "?tab=2")', sandbox);
+    sandbox.location.href = 'https://app.test/home#help';
+    listeners.hashchange();
+
+    // Like Playwright, evaluate() runs in the document and serializes the result
+    const page = {
+      evaluate: async (fn, arg) => JSON.parse(vm.runInContext(`JSON.stringify((${fn})(${JSON.stringify(arg)}))`, sandbox)),
+    };
+    assert.deepEqual(await takeNavigations(page), [
+      { kind: 'pushState', url: 'https://app.test/statements' },
+      { kind: 'replaceState', url: 'https://app.test/home?tab=2' },
+      { kind: 'hashchange', url: 'https://app.test/home#help' },
+    ]);
+    assert.deepEqual(await takeNavigations(page), []);
+  });
+});
+
+// A source page with a tab that pushes a route, a menu that reveals an item,
+// a link-like button doing a full navigation and a profile tab already probed
+function spaPage() {
+  const mainFrame = {};
+  const state = { url: SOURCE, menuOpen: false, log: [], marked: null, aborted: [], guard: null, listeners: 0 };
+  const candidate = (role, name) => ({ key: `${role}|${name}`, role, name });
+  const request = (url, method, navigation) => ({
+    url: () => url, method: () => method, isNavigationRequest: () => navigation, frame: () => mainFrame,
+  });
+  const send = (url, method, navigation = false) => state.guard({
+    request: () => request(url, method, navigation),
+    abort: async () => state.aborted.push(`${method} ${url}`),
+    fallback: async () => {},
+  });
+  const clicks = {
+    'tab|Statements': () => {
+      send('https://app.test/api/read-receipts', 'POST');
+      state.url = 'https://app.test/statements';
+      state.log.push({ kind: 'pushState', url: state.url });
+    },
+    'button|More': () => { state.menuOpen = true; },
+    'menuitem|Settings': () => state.log.push({ kind: 'pushState', url: 'https://app.test/settings' }),
+    'button|Help': () => send('https://app.test/help', 'GET', true),
+    'tab|Profile': () => assert.fail('skipped controls must not be clicked'),
+  };
+
+  const page = {
+    state,
+    mainFrame: () => mainFrame,
+    url: () => state.url,
+    route: async (pattern, handler) => { state.guard = handler; },
+    unroute: async (pattern, handler) => { if (handler === state.guard) state.guard = null; },
+    on: () => { state.listeners++; },
+    off: () => { state.listeners--; },
+    waitForTimeout: async () => {},
+    goto: async url => { Object.assign(state, { url, menuOpen: false, log: [] }); },
+    evaluate: async (fn, arg) => {
+      if (typeof arg === 'string') return state.log.splice(0);
+      const markKey = arg[3];
+      const visible = [candidate('tab', 'Statements'), candidate('button', 'More'), candidate('button', 'Help'), candidate('tab', 'Profile')];
+      if (state.menuOpen) visible.push(candidate('menuitem', 'Settings'));
+      if (!markKey) return visible;
+      state.marked = visible.some(c => c.key === markKey) ? markKey : null;
+      return state.marked ? [markKey] : [];
+    },
+    locator: () => ({ first: () => ({ click: async () => clicks[state.marked]() }) }),
+  };
+  return page;
+}
+
+describe('probeClientRoutes', () => {
+  it('clicks navigation controls, opens menus and reports where they lead', async () => {
+    const page = spaPage();
+    const skipKeys = new Set(['tab|Profile']);
+
+    const found = await probeClientRoutes(page, { sourceUrl: SOURCE, skipKeys, settleMs: 0 });
+
+    assert.deepEqual(found, [
+      { kind: 'pushState', url: 'https://app.test/statements', trigger: { role: 'tab', name: 'Statements' } },
+      { kind: 'pushState', url: 'https://app.test/settings', trigger: { role: 'menuitem', name: 'Settings' } },
+      { kind: 'navigation', url: 'https://app.test/help', trigger: { role: 'button', name: 'Help' } },
+    ]);
+    assert.deepEqual([...skipKeys].sort(), ['button|Help', 'button|More', 'menuitem|Settings', 'tab|Profile', 'tab|Statements']);
+  });
+
+  it('blocks writes and full navigations while clicking, then restores the page', async () => {
+    const page = spaPage();
+
+    await probeClientRoutes(page, { sourceUrl: SOURCE, settleMs: 0 });
+
+    assert.deepEqual(page.state.aborted, ['POST https://app.test/api/read-receipts', 'GET https://app.test/help']);
+    assert.equal(page.url(), SOURCE);
+    assert.equal(page.state.guard, null);
+    assert.equal(page.state.listeners, 0);
+  });
+
+  it('stops after maxClicks', async () => {
+    const found = await probeClientRoutes(spaPage(), { sourceUrl: SOURCE, maxClicks: 1, settleMs: 0 });
+
+    assert.deepEqual(found.map(nav => nav.url), ['https://app.test/statements']);
+  });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateTotp, parseTotpSecret, decodeBase32 } = require('../src/authentication/totp');
+const { DEFAULT_OTP_SELECTOR } = require('../src/authentication/loginFlow');
+const McpBootstrap = require('../src/mcp-integration/mcpBootstrap');
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_URI = `otpauth://totp/Bank:qa?secret=${RFC_SECRET}&digits=8&period=30&algorithm=SHA1`;
+
+describe('totp', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130'],
+    ];
+    for (const [seconds, code] of vectors) {
+      assert.equal(generateTotp(RFC_URI, { time: seconds * 1000 }), code, `T=${seconds}`);
+    }
+  });
+
+  it('uses 6 digits and 30 s periods for a bare secret', () => {
+    assert.equal(generateTotp(RFC_SECRET, { time: 59000 }), '287082');
+    assert.equal(generateTotp(RFC_SECRET, { time: 30000 }), generateTotp(RFC_SECRET, { time: 59999 }));
+  });
+
+  it('accepts lowercase secrets with spaces and padding', () => {
+    assert.deepEqual(decodeBase32('gezd gnbv gy3t qojq gezd gnbv gy3t qojq===='), Buffer.from('12345678901234567890'));
+  });
+
+  it('reads the parameters of an otpauth:// URI', () => {
+    const { digits, period, algorithm } = parseTotpSecret(`otpauth://totp/x?secret=${RFC_SECRET}&digits=8&period=60&algorithm=SHA256`);
+    assert.deepEqual({ digits, period, algorithm }, { digits: 8, period: 60, algorithm: 'sha256' });
+  });
+
+  it('rejects invalid secrets', () => {
+    assert.throws(() => generateTotp(''), /Invalid TOTP secret: empty/);
+    assert.throws(() => generateTotp('not base32!'), /is not a base32 character/);
+    assert.throws(() => generateTotp('otpauth://totp/x?digits=6'), /missing secret parameter/);
+  });
+});
+
+// Just enough CSS to evaluate DEFAULT_OTP_SELECTOR against an input's attributes
+function matchesSelector(selector, attributes) {
+  return selector.split(', ').some(part => {
+    const [, name, operator, value] = part.match(/^input\[(\w+)(\*?)="([^"]+)"(?: i)?\]$/);
+    const actual = String(attributes[name] ?? '').toLowerCase();
+    return operator ? actual.includes(value.toLowerCase()) : actual === value;
+  });
+}
+
+describe('one-time-code field detection', () => {
+  it('targets one-time-code, otp, mfa and verification inputs', () => {
+    for (const attributes of [
+      { autocomplete: 'one-time-code' },
+      { name: 'totpCode' },
+      { id: 'mfa-token' },
+      { name: 'verificationCode' },
+    ]) {
+      assert.ok(matchesSelector(DEFAULT_OTP_SELECTOR, attributes), JSON.stringify(attributes));
+    }
+  });
+
+  it('leaves other code fields alone', () => {
+    for (const attributes of [
+      { name: 'postal_code', autocomplete: 'postal-code' },
+      { id: 'promoCode' },
+      { name: 'countryCode', autocomplete: 'country' },
+    ]) {
+      assert.ok(!matchesSelector(DEFAULT_OTP_SELECTOR, attributes), JSON.stringify(attributes));
+    }
+  });
+
+  it('only takes MFA-labelled textboxes from the login snapshot', () => {
+    const bootstrap = new McpBootstrap({ startUrl: 'https://app.test/login' });
+    const snapshot = (otpLabel) => [
+      '- textbox "Email" [ref=e1]',
+      '- textbox "Password" [ref=e2]',
+      `- textbox "${otpLabel}" [ref=e3]`,
+      '- button "Sign in" [ref=e4]',
+    ].join('\n');
+
+    assert.equal(bootstrap._extractAuthSelectors(snapshot('Verification code')).otpSelector, 'role=textbox[name="Verification code"]');
+    assert.equal(bootstrap._extractAuthSelectors(snapshot('Postal code')).otpSelector, null);
+    assert.equal(bootstrap._extractAuthSelectors(snapshot('Promo code')).otpSelector, null);
+  });
+});